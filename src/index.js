@@ -2,11 +2,16 @@ import { Command } from 'commander';
 import path from 'path';
 import fs from 'fs';
 import chalk from 'chalk';
-import { detectReactNativeProject, loadProjectConfiguration } from './utils/detection.js';
-import { resolveFilePaths } from './utils/files.js';
+import {
+  detectReactNativeProject,
+  loadProjectConfiguration,
+  loadVersioningModule,
+} from './utils/detection.js';
+import { resolveFilePaths, resolveIOSFilePaths } from './utils/files.js';
 import { parsePackageJsonVersion } from './utils/packageJson.js';
+import { getVersionContext } from './utils/version.js';
 import { updateAndroidVersions } from './utils/android.js';
-import { updateIOSVersions } from './utils/ios.js';
+import { checkIOSVersions, updateIOSVersions } from './utils/ios.js';
 import { handleUserCancellation, displayResults, showNextSteps } from './utils/ui.js';
 import {
   promptForPlatformSelection,
@@ -35,6 +40,14 @@ function mapOptionsToTechnicalTerms(options) {
   };
 }
 
+/**
+ * Collect repeatable CLI option values into an array
+ * Used for options like --flavor and --ios-target that may be passed multiple times
+ */
+function collectOptionValues(value, previous = []) {
+  return [...previous, value];
+}
+
 /**
  * Main function to handle platform selection and version updates
  * Orchestrates the entire version bump process including auto-detection,
@@ -66,9 +79,50 @@ async function executeVersionBump(userOptions) {
     const config = await loadProjectConfiguration(projectRoot, options.config);
     options.projectRoot = projectRoot;
 
+    // Android flavors to bump: --flavor takes precedence over the config file
+    options.flavors = options.flavor || config.android.flavors;
+
+    // iOS targets to bump: --ios-target takes precedence over the config file
+    options.iosTargets = options.iosTarget || config.ios.targets;
+
+    // Give app extensions their host app's versions instead of refusing a mismatched bump
+    options.syncExtensions = options.syncExtensions || config.ios.syncExtensions;
+
+    // Component of dotted iOS build numbers (4.2.17) to increment, defaulting to the last one
+    options.buildNumberComponent = config.ios.buildNumberComponent;
+
+    // Restart CURRENT_PROJECT_VERSION at ios.buildNumberStart (1) for each new MARKETING_VERSION
+    options.buildNumberPolicy = config.ios.buildNumberPolicy;
+    options.buildNumberStart = config.ios.buildNumberStart;
+
+    // Prerelease identifiers encoded into CURRENT_PROJECT_VERSION (e.g. { beta: 200, rc: 300 })
+    options.prereleaseBuildNumbers = config.ios.prereleaseBuildNumbers;
+
+    // Build configurations with different versions: --baseline picks the value to bump from,
+    // otherwise interactive runs prompt for it
+    options.baseline = options.baseline || config.ios.baseline;
+    options.interactive = Boolean(process.stdin.isTTY) && process.env.NODE_ENV !== 'test';
+
+    // Split APK versionCode scheme (base multiplier and per-ABI offsets)
+    options.versionCodeScheme = config.android.versionCodeScheme;
+
+    // Build number strategies: --build-strategy takes precedence over the config file,
+    // where android.versionCodeStrategy (e.g. 'semver-encoded') overrides the shared buildStrategy
+    const cliBuildStrategy = options.buildStrategy;
+    options.buildStrategy = cliBuildStrategy || config.buildStrategy;
+    options.versionCodeStrategy = cliBuildStrategy || config.android.versionCodeStrategy;
+    options.versionCodeDigits = config.android.versionCodeDigits;
+
+    // Versioning scheme for app versions: 'semver' (default) or 'calver' with a calverFormat
+    options.scheme = config.scheme;
+    options.calverFormat = config.calverFormat;
+
+    // House versioning schemes: a module with parse, format and increment replaces the scheme
+    options.versioning = await loadVersioningModule(config.versioning, projectRoot);
+
     // Resolve file paths using configuration
     const androidFiles = resolveFilePaths(config.android.files, projectRoot);
-    const iosFiles = resolveFilePaths(config.ios.files, projectRoot);
+    const iosFiles = await resolveIOSFilePaths(config.ios.files, projectRoot, options);
     const packageJsonPath = path.join(projectRoot, config.packageJson);
 
     if (androidFiles.length === 0 && iosFiles.length === 0) {
@@ -82,6 +136,14 @@ async function executeVersionBump(userOptions) {
     );
 
     options.packageJsonPath = packageJsonPath;
+
+    // MARKETING_VERSION can't hold a prerelease, so iOS bumps continue from the full version in
+    // package.json, read before any platform updates it
+    try {
+      options.currentPackageVersion = parsePackageJsonVersion(packageJsonPath).version;
+    } catch (error) {
+      options.currentPackageVersion = null;
+    }
     options.changes = [];
 
     // Determine which platforms to update based on options or user input
@@ -109,6 +171,9 @@ async function executeVersionBump(userOptions) {
     const incrementType = await determineIncrementType(options, platforms);
     options.increment = incrementType;
 
+    // Refuse the bump before confirming it if iOS can't be updated
+    await checkPlatformUpdates(platforms, iosFiles, options);
+
     // Confirm changes before proceeding (unless dry run)
     await confirmChangesIfNeeded(options);
 
@@ -119,9 +184,12 @@ async function executeVersionBump(userOptions) {
     displayResults(options.changes);
     showNextSteps(options);
   } catch (error) {
-    handleUserCancellation(error);
+    // Expected failures carry their own exit code and are never user cancellations
+    if (!error.exitCode) {
+      handleUserCancellation(error);
+    }
     console.log(chalk.red.bold('❌ Error:'), chalk.red(error.message));
-    process.exit(1);
+    process.exit(error.exitCode || 1);
   }
 }
 
@@ -212,7 +280,7 @@ async function determineIncrementType(options, platforms) {
         );
       }
 
-      return await promptForIncrementType(currentVersion);
+      return await promptForIncrementType(currentVersion, getVersionContext(options));
     } catch (error) {
       handleUserCancellation(error);
       throw error;
@@ -249,6 +317,26 @@ async function confirmChangesIfNeeded(options) {
   }
 }
 
+/**
+ * Check the iOS projects before any platform is updated
+ * Configuration drift and mismatched app extensions refuse the whole bump, so they are found
+ * before Android and package.json are written
+ */
+async function checkPlatformUpdates(platforms, iosFiles, options) {
+  if (platforms.includes('ios')) {
+    await checkIOSVersions(
+      iosFiles,
+      options.currentProjectVersion,
+      options.marketingVersion,
+      options
+    );
+  } else if (platforms.includes('ios-version-only') || platforms.includes('build-numbers-only')) {
+    await checkIOSVersions(iosFiles, options.currentProjectVersion, null, options);
+  } else if (platforms.includes('ios-marketing-only')) {
+    await checkIOSVersions(iosFiles, null, options.marketingVersion, options);
+  }
+}
+
 /**
  * Execute the actual platform updates based on user selection
  * Handles all different update scenarios (Android, iOS, both, partial)
@@ -364,8 +452,46 @@ function setupCliProgram() {
       'update iOS app version only (MARKETING_VERSION) - auto-increment patch if no version provided'
     )
 
+    // Android flavor selection
+    .option(
+      '--flavor <name>',
+      'Android product flavor to update (repeatable, use "defaultConfig" for the default block)',
+      collectOptionValues
+    )
+
+    // iOS target selection
+    .option(
+      '--ios-target <name>',
+      'iOS target to update along with the app target (repeatable, e.g. an app extension)',
+      collectOptionValues
+    )
+    .option(
+      '--sync-extensions',
+      'give iOS app extensions the versions of their host app when they differ'
+    )
+    .option(
+      '--baseline <baseline>',
+      'iOS version to bump from when build configurations differ (highest, first or a configuration name)'
+    )
+
+    // Computed versionCode/versionName expressions
+    .option(
+      '--force-literal',
+      'replace computed Android version expressions with the explicit value provided'
+    )
+
+    // Build number strategy
+    .option(
+      '--build-strategy <strategy>',
+      'build number strategy for versionCode and CURRENT_PROJECT_VERSION (increment, date, timestamp, semver-encoded)'
+    )
+
     // Other options
-    .option('--increment <type>', 'version increment type for app versions (major, minor, patch)')
+    .option(
+      '--increment <type>',
+      'version increment type for app versions (major, minor, patch, build or an ordinal such as 4th, premajor, preminor, prepatch, prerelease, release, or a type of the versioning module)'
+    )
+    .option('--preid <identifier>', 'prerelease identifier for prerelease increments (e.g. beta)')
     .option('--dry-run', 'show what would be updated without making changes')
     .action((options) => {
       executeVersionBump(options);
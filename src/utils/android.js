@@ -1,13 +1,71 @@
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
-import { calculateNewSemanticVersion, calculateNewBuildNumber } from './version.js';
+import {
+  calculateNewSemanticVersion,
+  calculateNewBuildNumber,
+  getVersionContext,
+  MAX_VERSION_CODE,
+} from './version.js';
 import { updatePackageJsonVersion } from './packageJson.js';
+import { getPropertyValue, parseProperties, updatePropertiesContent } from './properties.js';
+import { DynamicVersionError } from './errors.js';
+import {
+  parseGradle,
+  findGradleAssignments,
+  getLiteralValue,
+  getBlockPath,
+  getLineNumber,
+} from './gradle.js';
+
+const VERSION_PROPERTIES = ['versionCode', 'versionName'];
+
+// CLI flags that provide the explicit value --force-literal writes over a computed expression
+const FORCE_LITERAL_FLAGS = {
+  versionCode: '--android-build-number <number>',
+  versionName: '--android-app-version <version>',
+};
+
+// References to ext properties, e.g. rootProject.ext.versionCode, ext.versionName,
+// rootProject.ext.get("versionCode") or the Kotlin DSL rootProject.extra["versionCode"]
+const EXT_REFERENCE_PATTERN =
+  /^(?:(rootProject)\.|project\.)?(?:ext|extra)(?:\.get\(\s*["'](\w+)["']\s*\)|\[\s*["'](\w+)["']\s*\]|\.(\w+))/;
+
+// Namespace URI bound to the `android:` attribute prefix in AndroidManifest.xml
+const ANDROID_XML_NAMESPACE = 'http://schemas.android.com/apk/res/android';
+
+// Qualified ext assignment targets (`ext.name = value`, `extra["name"] = value`) and the
+// blocks whose plain assignments define ext properties (`ext { name = value }`)
+const EXT_CONTAINERS = [
+  'ext',
+  'extra',
+  'project.ext',
+  'project.extra',
+  'rootProject.ext',
+  'rootProject.extra',
+];
+const EXT_BLOCK_NAMES = ['ext', 'extra', 'ext.apply', 'extra.apply'];
+
+// Expressions that read a version from a properties file, e.g. project.property('VERSION_CODE'),
+// versionProps['VERSION_CODE'] or a bare gradle.properties key like VERSION_CODE.toInteger().
+// The whole expression must be the reference, optionally followed by conversions, so
+// computed values such as `VERSION_CODE + 1` are never mistaken for one
+const PROPERTY_CONVERSIONS = /(?:\s*\.\s*(?:get|toInteger|toInt|toString)\(\s*\)|\s+as\s+\w+)*/;
+const PROPERTY_REFERENCE_PATTERNS = [
+  /(?:[\w.]+\.)?(?:property|findProperty|getProperty|gradleProperty)\s*\(\s*["']([\w.-]+)["']\s*\)/,
+  /[\w.]+\s*\[\s*["']([\w.-]+)["']\s*\]/,
+  /([A-Z][A-Z0-9_]*)/,
+].map((pattern) => new RegExp(`^${pattern.source}${PROPERTY_CONVERSIONS.source}$`));
+
+// Properties files loaded explicitly by build.gradle, e.g. rootProject.file('version.properties')
+const PROPERTIES_FILE_PATTERN = /(rootProject\.)?file\(\s*["']([^"']+\.properties)["']\s*\)/;
 
 /**
  * Update Android versions in multiple build.gradle files
  * Supports updating both versionCode and versionName or individually
- * @param {Array<string>} files - Array of build.gradle file paths
+ * AndroidManifest.xml sources are updated last, with the values written to build.gradle
+ * @param {Array<string|Object>} files - Array of build.gradle or build.gradle.kts file paths,
+ *   or source objects like { path, type: 'properties' | 'manifest', versionCodeKey, versionNameKey }
  * @param {number|boolean} versionCode - New version code or true for auto-increment
  * @param {string|boolean|null} versionName - New version name, true for auto-increment, or null to skip
  * @param {Object} options - Configuration options including dry run, project root, etc.
@@ -16,8 +74,36 @@ import { updatePackageJsonVersion } from './packageJson.js';
 export async function updateAndroidVersions(files, versionCode, versionName, options = {}) {
   const results = [];
 
-  for (const filePath of files) {
-    const result = await processAndroidFile(filePath, versionCode, versionName, options);
+  // A versionCode derived from versionName follows every versionName change
+  if (getVersionCodeStrategy(options) === 'semver-encoded' && versionName !== null) {
+    versionCode = versionCode ?? true;
+  }
+
+  const sources = files.map((file) => (typeof file === 'string' ? { path: file } : file));
+
+  for (const source of sources.filter((candidate) => !isManifestSource(candidate))) {
+    const result = isPropertiesSource(source)
+      ? await processPropertiesFile(source.path, versionCode, versionName, options, source)
+      : await processAndroidFile(source.path, versionCode, versionName, options);
+    if (result) {
+      results.push(result);
+    }
+  }
+
+  // Legacy manifests follow the build.gradle values so the two never drift
+  const [primaryResult] = results;
+  const manifestVersionCode =
+    versionCode === null ? null : (primaryResult?.versionCode ?? versionCode);
+  const manifestVersionName =
+    versionName === null ? null : (primaryResult?.versionName ?? versionName);
+
+  for (const source of sources.filter(isManifestSource)) {
+    const result = await processManifestFile(
+      source.path,
+      manifestVersionCode,
+      manifestVersionName,
+      options
+    );
     if (result) {
       results.push(result);
     }
@@ -29,7 +115,8 @@ export async function updateAndroidVersions(files, versionCode, versionName, opt
 /**
  * Process a single Android build.gradle file for version updates
  * Handles file reading, version extraction, updating, and writing
- * @param {string} filePath - Path to build.gradle file
+ * Each versioned block (defaultConfig or a product flavor) is bumped from its own current values
+ * @param {string} filePath - Path to build.gradle or build.gradle.kts file
  * @param {number|boolean} versionCode - New version code or true for auto-increment
  * @param {string|boolean|null} versionName - New version name, true for auto-increment, or null to skip
  * @param {Object} options - Configuration options
@@ -41,63 +128,258 @@ async function processAndroidFile(filePath, versionCode, versionName, options) {
     return null;
   }
 
-  let content = fs.readFileSync(filePath, 'utf8');
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  // Find every block that declares versionCode or versionName
+  const { blocks, problems } = findAndroidVersionBlocks(content, filePath);
+
+  if (problems.length > 0) {
+    console.warn(
+      chalk.yellow(
+        `⚠️  Skipping ${filePath}:\n${problems.map((problem) => `   - ${problem}`).join('\n')}`
+      )
+    );
+    return null;
+  }
 
-  // Extract current version values from file content
-  const currentVersionCode = content.match(/versionCode\s+(\d+)/)?.[1];
-  const currentVersionName = content.match(/versionName\s+"([^"]+)"/)?.[1];
+  const versionBlocks = blocks.filter((block) => block.versionCode || block.versionName);
 
-  if (!currentVersionCode || !currentVersionName) {
+  if (versionBlocks.length === 0) {
     console.warn(chalk.yellow(`⚠️  Could not find version values in: ${filePath}`));
     return null;
   }
 
+  const targetBlocks = selectVersionBlocks(versionBlocks, options.flavors, filePath);
+
+  // Values another source already updated in this run, e.g. a listed gradle.properties that
+  // build.gradle also reads, are bumped only once
+  const updatedValues = getUpdatedAndroidValues(options);
+  for (const block of targetBlocks) {
+    for (const property of VERSION_PROPERTIES) {
+      if (block[property] && updatedValues.has(getAndroidValueId(block[property], filePath))) {
+        block[property] = null;
+      }
+    }
+  }
+
+  if (targetBlocks.every((block) => !block.versionCode && !block.versionName)) {
+    return null;
+  }
+
   console.log(
     chalk.cyan.bold(
       `Processing Android file: ${path.relative(options.projectRoot || process.cwd(), filePath)}`
     )
   );
 
-  // Calculate new version values
-  const newVersionCode =
-    versionCode !== null
-      ? calculateNewBuildNumber(versionCode, currentVersionCode)
-      : parseInt(currentVersionCode);
-  const newVersionName =
-    versionName !== null
-      ? calculateNewSemanticVersion(versionName, currentVersionName, options.increment || 'patch')
-      : currentVersionName;
-
-  // Update file content with new versions
-  content = updateAndroidFileContent(
-    content,
-    newVersionCode,
-    newVersionName,
+  // Computed versions (e.g. `versionCode getGitCommitCount()`) are never bumped silently
+  checkDynamicVersions(filePath, content, targetBlocks, versionCode, versionName, options);
+
+  // Flavor-aware files label every change with the block it belongs to
+  const hasFlavors = versionBlocks.some((block) => block.isFlavor);
+
+  // Calculate new version values for each targeted block
+  const blockUpdates = targetBlocks.map((block) => {
+    const currentVersionCode = getCurrentValue(block.versionCode);
+    const currentVersionName = getCurrentValue(block.versionName);
+
+    const newVersionName =
+      currentVersionName === undefined
+        ? undefined
+        : versionName !== null
+          ? calculateNewSemanticVersion(
+              versionName,
+              currentVersionName,
+              options.increment || 'patch',
+              getVersionContext(options)
+            )
+          : block.versionName.dynamic
+            ? undefined
+            : currentVersionName;
+
+    const newVersionCode =
+      currentVersionCode === undefined
+        ? undefined
+        : versionCode !== null
+          ? calculateNewBuildNumber(
+              versionCode,
+              currentVersionCode,
+              getBuildNumberContext(newVersionName, options)
+            )
+          : block.versionCode.dynamic
+            ? undefined
+            : parseInt(currentVersionCode);
+
+    return {
+      block,
+      target: hasFlavors ? block.name : undefined,
+      currentVersionCode,
+      currentVersionName,
+      newVersionCode,
+      newVersionName,
+    };
+  });
+
+  // Per-ABI versionCodes are derived from the new base and checked before anything is written
+  if (versionCode !== null) {
+    for (const update of blockUpdates) {
+      update.abiVersionCodes = calculateAbiVersionCodes(update, filePath, options);
+    }
+  }
+
+  // Values may live in this file or, via ext references, in the root build.gradle
+  const editsByFile = collectAndroidEdits(
+    filePath,
+    blockUpdates,
     versionCode !== null,
-    versionName !== null
+    versionName !== null,
+    updatedValues
+  );
+
+  for (const [editPath, edits] of editsByFile) {
+    const originalContent = editPath === filePath ? content : fs.readFileSync(editPath, 'utf8');
+    const updatedContent = updateAndroidFileContent(originalContent, edits);
+
+    // Write updated content back to file (unless dry run)
+    if (!options.dryRun) {
+      fs.writeFileSync(editPath, updatedContent);
+    }
+  }
+
+  // Record changes for summary display
+  for (const update of blockUpdates) {
+    recordAndroidChanges(
+      filePath,
+      update,
+      versionCode !== null && update.currentVersionCode !== undefined,
+      versionName !== null && update.currentVersionName !== undefined,
+      options
+    );
+  }
+
+  const [primaryUpdate] = blockUpdates;
+
+  if (versionName !== null && primaryUpdate.newVersionName !== undefined) {
+    await syncPackageJsonVersion(primaryUpdate.newVersionName, options);
+  }
+
+  const result = {
+    filePath,
+    versionCode: primaryUpdate.newVersionCode,
+    versionName: primaryUpdate.newVersionName,
+  };
+
+  if (hasFlavors) {
+    result.flavors = blockUpdates.map((update) => ({
+      name: update.block.name,
+      versionCode: update.newVersionCode,
+      versionName: update.newVersionName,
+    }));
+  }
+
+  return result;
+}
+
+/**
+ * Process a properties file (gradle.properties, version.properties, ...) for version updates
+ * Values are edited in place so comments and key order are preserved
+ * @param {string} filePath - Path to the properties file
+ * @param {number|boolean} versionCode - New version code or true for auto-increment
+ * @param {string|boolean|null} versionName - New version name, true for auto-increment, or null to skip
+ * @param {Object} options - Configuration options
+ * @param {Object} source - Source settings with optional versionCodeKey and versionNameKey
+ * @returns {Object|null} Result object or null if processing failed
+ */
+async function processPropertiesFile(filePath, versionCode, versionName, options, source = {}) {
+  if (!fs.existsSync(filePath)) {
+    console.warn(chalk.yellow(`⚠️  Android properties file not found: ${filePath}`));
+    return null;
+  }
+
+  const versionCodeKey = source.versionCodeKey || 'VERSION_CODE';
+  const versionNameKey = source.versionNameKey || 'VERSION_NAME';
+
+  let content = fs.readFileSync(filePath, 'utf8');
+
+  const currentVersionCode = getPropertyValue(content, versionCodeKey);
+  const currentVersionName = getPropertyValue(content, versionNameKey);
+
+  if (currentVersionCode === undefined && currentVersionName === undefined) {
+    console.warn(
+      chalk.yellow(`⚠️  Could not find ${versionCodeKey} or ${versionNameKey} in: ${filePath}`)
+    );
+    return null;
+  }
+
+  // Keys a build.gradle of this run already updated through a property reference stay as they are
+  const updatedValues = getUpdatedAndroidValues(options);
+  const isPending = (key, currentValue, requestedValue) =>
+    requestedValue !== null &&
+    currentValue !== undefined &&
+    !updatedValues.has(getAndroidValueId({ filePath, propertyKey: key }, filePath));
+  const updateVersionCode = isPending(versionCodeKey, currentVersionCode, versionCode);
+  const updateVersionName = isPending(versionNameKey, currentVersionName, versionName);
+
+  if (!updateVersionCode && !updateVersionName) {
+    return null;
+  }
+
+  console.log(
+    chalk.cyan.bold(
+      `Processing Android file: ${path.relative(options.projectRoot || process.cwd(), filePath)}`
+    )
   );
 
+  // Calculate new version values
+  const newVersionName = updateVersionName
+    ? calculateNewSemanticVersion(
+        versionName,
+        currentVersionName,
+        options.increment || 'patch',
+        getVersionContext(options)
+      )
+    : currentVersionName;
+  const newVersionCode = updateVersionCode
+    ? calculateNewBuildNumber(
+        versionCode,
+        currentVersionCode,
+        getBuildNumberContext(newVersionName, options)
+      )
+    : currentVersionCode && parseInt(currentVersionCode);
+
+  const abiVersionCodes = updateVersionCode
+    ? calculateAbiVersionCodes({ currentVersionCode, newVersionCode }, filePath, options)
+    : undefined;
+
+  for (const [key, updated] of [
+    [versionCodeKey, updateVersionCode],
+    [versionNameKey, updateVersionName],
+  ]) {
+    if (updated) {
+      updatedValues.add(getAndroidValueId({ filePath, propertyKey: key }, filePath));
+    }
+  }
+
+  content = updatePropertiesContent(content, {
+    ...(updateVersionCode && { [versionCodeKey]: newVersionCode }),
+    ...(updateVersionName && { [versionNameKey]: newVersionName }),
+  });
+
   // Write updated content back to file (unless dry run)
   if (!options.dryRun) {
     fs.writeFileSync(filePath, content);
   }
 
-  // Record changes for summary display
   recordAndroidChanges(
     filePath,
-    currentVersionCode,
-    newVersionCode,
-    currentVersionName,
-    newVersionName,
-    versionCode !== null,
-    versionName !== null,
+    { currentVersionCode, newVersionCode, currentVersionName, newVersionName, abiVersionCodes },
+    updateVersionCode,
+    updateVersionName,
     options
   );
 
-  // Update package.json if this is the first Android file processed and versionName was updated
-  if (!options.packageJsonUpdated && options.packageJsonPath && versionName !== null) {
-    await updatePackageJsonVersion(options.packageJsonPath, newVersionName, options);
-    options.packageJsonUpdated = true;
+  if (updateVersionName) {
+    await syncPackageJsonVersion(newVersionName, options);
   }
 
   return {
@@ -108,30 +390,761 @@ async function processAndroidFile(filePath, versionCode, versionName, options) {
 }
 
 /**
- * Update the content of build.gradle file with new version values
- * Performs regex replacements for versionCode and optionally versionName
- * @param {string} content - Original file content
- * @param {number} newVersionCode - New version code value
- * @param {string} newVersionName - New version name value
+ * Process a legacy AndroidManifest.xml that declares android:versionCode/android:versionName
+ * The attributes of the <manifest> element are edited in place, leaving the rest of the XML as is
+ * @param {string} filePath - Path to the AndroidManifest.xml file
+ * @param {number|boolean|null} versionCode - New version code, true for auto-increment, or null to skip
+ * @param {string|boolean|null} versionName - New version name, true for auto-increment, or null to skip
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} Result object or null if processing failed
+ */
+async function processManifestFile(filePath, versionCode, versionName, options) {
+  if (!fs.existsSync(filePath)) {
+    console.warn(chalk.yellow(`⚠️  Android manifest not found: ${filePath}`));
+    return null;
+  }
+
+  let content = fs.readFileSync(filePath, 'utf8');
+  const attributes = findManifestVersionAttributes(content);
+
+  if (!attributes) {
+    console.warn(
+      chalk.yellow(`⚠️  Could not find android:versionCode or android:versionName in: ${filePath}`)
+    );
+    return null;
+  }
+
+  console.log(
+    chalk.cyan.bold(
+      `Processing Android file: ${path.relative(options.projectRoot || process.cwd(), filePath)}`
+    )
+  );
+
+  const currentVersionCode = attributes.versionCode?.value;
+  const currentVersionName = attributes.versionName?.value;
+  const updateVersionCode = versionCode !== null && currentVersionCode !== undefined;
+  const updateVersionName = versionName !== null && currentVersionName !== undefined;
+
+  // Calculate new version values
+  const newVersionName = updateVersionName
+    ? calculateNewSemanticVersion(
+        versionName,
+        currentVersionName,
+        options.increment || 'patch',
+        getVersionContext(options)
+      )
+    : currentVersionName;
+  const newVersionCode = updateVersionCode
+    ? calculateNewBuildNumber(
+        versionCode,
+        currentVersionCode,
+        getBuildNumberContext(newVersionName, options)
+      )
+    : currentVersionCode && parseInt(currentVersionCode);
+
+  content = updateAndroidFileContent(content, [
+    ...(updateVersionCode ? [{ ...attributes.versionCode, text: String(newVersionCode) }] : []),
+    ...(updateVersionName ? [{ ...attributes.versionName, text: newVersionName }] : []),
+  ]);
+
+  // Write updated content back to file (unless dry run)
+  if (!options.dryRun) {
+    fs.writeFileSync(filePath, content);
+  }
+
+  recordAndroidChanges(
+    filePath,
+    { currentVersionCode, newVersionCode, currentVersionName, newVersionName },
+    updateVersionCode,
+    updateVersionName,
+    options
+  );
+
+  if (updateVersionName) {
+    await syncPackageJsonVersion(newVersionName, options);
+  }
+
+  return {
+    filePath,
+    versionCode: newVersionCode,
+    versionName: newVersionName,
+  };
+}
+
+/**
+ * Find the version attributes of the <manifest> element
+ * Comments and the XML declaration are skipped, and the Android namespace prefix is read
+ * from the element's xmlns declaration (`android` by default)
+ * @param {string} content - AndroidManifest.xml content
+ * @returns {Object|null} versionCode and versionName attributes with value and value offsets,
+ *   or null if the manifest declares neither
+ */
+function findManifestVersionAttributes(content) {
+  const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<manifest\b((?:[^>"']|"[^"]*"|'[^']*')*)>/dg;
+  let match;
+
+  while ((match = tagPattern.exec(content))) {
+    if (match[1] === undefined) {
+      continue;
+    }
+
+    const attributes = parseXmlAttributes(match[1], match.indices[1][0]);
+    const namespace = Object.keys(attributes).find(
+      (name) => name.startsWith('xmlns:') && attributes[name].value === ANDROID_XML_NAMESPACE
+    );
+    const prefix = namespace ? namespace.slice('xmlns:'.length) : 'android';
+
+    const versionCode = attributes[`${prefix}:versionCode`];
+    const versionName = attributes[`${prefix}:versionName`];
+
+    return versionCode || versionName ? { versionCode, versionName } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parse the attributes of an XML start tag
+ * @param {string} source - Attribute text of the tag
+ * @param {number} offset - Offset of the attribute text within the file
+ * @returns {Object} Attributes keyed by qualified name, with value and value offsets
+ */
+function parseXmlAttributes(source, offset) {
+  const attributes = {};
+  const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/dg;
+  let match;
+
+  while ((match = attributePattern.exec(source))) {
+    const group = match[2] !== undefined ? 2 : 3;
+    attributes[match[1]] = {
+      value: match[group],
+      start: offset + match.indices[group][0],
+      end: offset + match.indices[group][1],
+    };
+  }
+
+  return attributes;
+}
+
+/**
+ * Get the build number strategy for versionCode
+ * An Android-specific versionCodeStrategy takes precedence over the shared buildStrategy
+ * @param {Object} options - Configuration options
+ * @returns {string|undefined} Strategy name, or undefined for the default increment
+ */
+function getVersionCodeStrategy(options) {
+  return options.versionCodeStrategy || options.buildStrategy;
+}
+
+/**
+ * Build the strategy context for calculating a new versionCode
+ * @param {string|undefined} versionName - New versionName, encoded by the semver-encoded strategy
+ * @param {Object} options - Configuration options with the strategy, versionCodeDigits,
+ *   versioning module and now
+ * @returns {Object} Context for calculateNewBuildNumber
+ */
+function getBuildNumberContext(versionName, options) {
+  return {
+    strategy: getVersionCodeStrategy(options),
+    version: versionName,
+    digits: options.versionCodeDigits,
+    versioning: options.versioning,
+    now: options.now,
+  };
+}
+
+/**
+ * Calculate the per-ABI versionCodes of a split APK scheme (`base * multiplier + abiOffset`)
+ * The new values are validated against Google Play's versionCode limit
+ * @param {Object} update - Current and new base versionCode
+ * @param {string} filePath - Path to the file holding the base versionCode, used for errors
+ * @param {Object} options - Configuration options with an optional versionCodeScheme
+ * @returns {Array<Object>|undefined} Per-ABI old and new versionCodes, or undefined without a scheme
+ * @throws {Error} If the scheme is invalid or a per-ABI versionCode exceeds the limit
+ */
+function calculateAbiVersionCodes(update, filePath, options) {
+  const scheme = options.versionCodeScheme;
+  if (!scheme || update.newVersionCode === undefined) {
+    return undefined;
+  }
+
+  validateVersionCodeScheme(scheme);
+
+  const toAbiVersionCode = (baseVersionCode, offset) =>
+    /^\d+$/.test(String(baseVersionCode))
+      ? parseInt(baseVersionCode) * scheme.multiplier + offset
+      : undefined;
+
+  const abiVersionCodes = Object.entries(scheme.abiOffsets).map(([abi, offset]) => ({
+    abi,
+    oldValue: toAbiVersionCode(update.currentVersionCode, offset),
+    newValue: toAbiVersionCode(update.newVersionCode, offset),
+  }));
+
+  const oversized = abiVersionCodes.filter(({ newValue }) => newValue > MAX_VERSION_CODE);
+  if (oversized.length > 0) {
+    const details = oversized.map(({ abi, newValue }) => `${abi}: ${newValue}`).join(', ');
+    throw new Error(
+      `versionCode ${update.newVersionCode} in ${path.relative(options.projectRoot || process.cwd(), filePath)} ` +
+        `exceeds Google Play's limit of ${MAX_VERSION_CODE} for ${details}`
+    );
+  }
+
+  return abiVersionCodes;
+}
+
+/**
+ * Validate an android.versionCodeScheme configuration
+ * @param {Object} scheme - Scheme with multiplier and abiOffsets
+ * @throws {Error} If the multiplier or an ABI offset isn't a non-negative integer
+ */
+function validateVersionCodeScheme(scheme) {
+  if (!Number.isInteger(scheme.multiplier) || scheme.multiplier < 1) {
+    throw new Error('android.versionCodeScheme.multiplier must be a positive integer');
+  }
+
+  const offsets = Object.entries(scheme.abiOffsets || {});
+  if (offsets.length === 0) {
+    throw new Error('android.versionCodeScheme.abiOffsets must map at least one ABI to an offset');
+  }
+
+  for (const [abi, offset] of offsets) {
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`android.versionCodeScheme.abiOffsets.${abi} must be a non-negative integer`);
+    }
+  }
+}
+
+/**
+ * Update package.json with the new versionName once per run
+ * Only the first Android file processed drives the package.json version
+ * @param {string} newVersionName - New version name
+ * @param {Object} options - Configuration options with packageJsonPath and packageJsonUpdated
+ */
+async function syncPackageJsonVersion(newVersionName, options) {
+  if (!options.packageJsonUpdated && options.packageJsonPath) {
+    await updatePackageJsonVersion(options.packageJsonPath, newVersionName, options);
+    options.packageJsonUpdated = true;
+  }
+}
+
+/**
+ * Check whether a configured Android source is an AndroidManifest.xml
+ * @param {Object} source - Source object with path and optional type
+ * @returns {boolean} True for manifest sources
+ */
+function isManifestSource(source) {
+  return source.type === 'manifest' || path.basename(source.path) === 'AndroidManifest.xml';
+}
+
+/**
+ * Check whether a configured Android source is a properties file
+ * @param {Object} source - Source object with path and optional type
+ * @returns {boolean} True for properties sources
+ */
+function isPropertiesSource(source) {
+  return source.type === 'properties' || source.path.endsWith('.properties');
+}
+
+/**
+ * List the properties files a build.gradle may read its versions from
+ * An explicitly loaded file (e.g. rootProject.file('version.properties')) is used alone,
+ * otherwise gradle.properties in the Gradle root project and the module directory
+ * @param {string} content - build.gradle file content
+ * @param {string} filePath - Path to the build.gradle file
+ * @returns {Array<string>} Existing properties file paths, in lookup order
+ */
+function findPropertiesFiles(content, filePath) {
+  // Modules live one level below the Gradle root project (e.g. android/app)
+  const moduleDir = path.dirname(filePath);
+  const rootDir = path.dirname(moduleDir);
+  const fileMatch = content.match(PROPERTIES_FILE_PATTERN);
+
+  const candidates = fileMatch
+    ? [path.resolve(fileMatch[1] ? rootDir : moduleDir, fileMatch[2])]
+    : [path.join(rootDir, 'gradle.properties'), path.join(moduleDir, 'gradle.properties')];
+
+  return candidates.filter((candidate) => fs.existsSync(candidate));
+}
+
+/**
+ * Resolve a properties key to the entry that defines it
+ * @param {string} key - Properties key referenced by build.gradle
+ * @param {Array<string>} propertiesFiles - Properties files returned by findPropertiesFiles
+ * @returns {Object|null} Assignment with value, value offsets, filePath and source, or null if
+ *   no properties file defines the key
+ */
+function resolvePropertyReference(key, propertiesFiles) {
+  for (const propertiesPath of propertiesFiles) {
+    // Later definitions win, matching java.util.Properties
+    const entry = parseProperties(fs.readFileSync(propertiesPath, 'utf8')).findLast(
+      (candidate) => candidate.key === key
+    );
+    if (entry) {
+      const { value, start, end } = entry;
+      return { value, start, end, filePath: propertiesPath, source: key, propertyKey: key };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the properties key referenced by a versionCode or versionName expression
+ * @param {string|undefined} expression - Source text of the assigned value
+ * @returns {string|null} Referenced properties key, or null if the value isn't a property reference
+ */
+function findPropertyKey(expression) {
+  if (!expression) {
+    return null;
+  }
+
+  for (const pattern of PROPERTY_REFERENCE_PATTERNS) {
+    const match = expression.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the current value of a version assignment
+ * Computed values are represented by their source expression
+ * @param {Object|null} assignment - Resolved version assignment
+ * @returns {string|undefined} Current value, or undefined if there is no assignment
+ */
+function getCurrentValue(assignment) {
+  return assignment?.dynamic ? assignment.expression : assignment?.value;
+}
+
+/**
+ * Refuse to bump versions that are computed by the build script
+ * With --force-literal, computed expressions are replaced by an explicitly provided value instead
+ * @param {string} filePath - Path to the build.gradle file
+ * @param {string} content - build.gradle file content
+ * @param {Array<Object>} blocks - Blocks selected for updating
+ * @param {number|boolean|null} versionCode - Requested version code (null when not updating)
+ * @param {string|boolean|null} versionName - Requested version name (null when not updating)
+ * @param {Object} options - Configuration options including forceLiteral
+ * @throws {DynamicVersionError} If a computed value would be updated without --force-literal,
+ *   or --force-literal is used without an explicit value
+ */
+function checkDynamicVersions(filePath, content, blocks, versionCode, versionName, options) {
+  const requestedValues = { versionCode, versionName };
+  const dynamicValues = blocks.flatMap((block) =>
+    VERSION_PROPERTIES.filter(
+      (property) => block[property]?.dynamic && requestedValues[property] !== null
+    ).map((property) => ({ block, property, assignment: block[property] }))
+  );
+
+  if (dynamicValues.length === 0) {
+    return;
+  }
+
+  const relativePath = path.relative(options.projectRoot || process.cwd(), filePath);
+  const details = dynamicValues
+    .map(
+      ({ block, property, assignment }) =>
+        `   ${block.name} (line ${getLineNumber(content, assignment.start)}): ${property} ${assignment.expression}`
+    )
+    .join('\n');
+
+  if (!options.forceLiteral) {
+    throw new DynamicVersionError(
+      `Android version is computed dynamically in ${relativePath}:\n${details}\n` +
+        'Bump it where it is computed, or pass --force-literal with an explicit value to replace the expression.'
+    );
+  }
+
+  const missingValues = [...new Set(dynamicValues.map(({ property }) => property))].filter(
+    (property) => !requestedValues[property] || requestedValues[property] === true
+  );
+
+  if (missingValues.length > 0) {
+    const flags = missingValues.map((property) => FORCE_LITERAL_FLAGS[property]).join(' and ');
+    throw new DynamicVersionError(
+      `--force-literal needs an explicit value to replace the computed version in ${relativePath}:\n${details}\n` +
+        `Pass ${flags}.`
+    );
+  }
+}
+
+/**
+ * Pick the version blocks to update based on requested flavors
+ * Without requested flavors, defaultConfig is used when it holds versions,
+ * otherwise every versioned flavor is updated
+ * @param {Array<Object>} versionBlocks - Versioned blocks found in the file
+ * @param {Array<string>|undefined} flavors - Requested block names (flavor names or 'defaultConfig')
+ * @param {string} filePath - Path to the file, used for warnings
+ * @returns {Array<Object>} Blocks to update
+ */
+function selectVersionBlocks(versionBlocks, flavors, filePath) {
+  if (!flavors || flavors.length === 0) {
+    const defaultBlock = versionBlocks.find((block) => !block.isFlavor);
+    return defaultBlock ? [defaultBlock] : versionBlocks;
+  }
+
+  const missingFlavors = flavors.filter(
+    (flavor) => !versionBlocks.some((block) => block.name === flavor)
+  );
+
+  if (missingFlavors.length > 0) {
+    const available = versionBlocks.map((block) => block.name).join(', ');
+    console.warn(
+      chalk.yellow(
+        `⚠️  Could not find flavor(s) ${missingFlavors.join(', ')} in: ${filePath} (available: ${available})`
+      )
+    );
+  }
+
+  return versionBlocks.filter((block) => flavors.includes(block.name));
+}
+
+/**
+ * Find all blocks in a build.gradle file that declare version values
+ * Looks at `android { defaultConfig { } }` and every product flavor, supporting both the Groovy
+ * (`brandA { }`) and Kotlin DSL (`create("brandA") { }`) flavor declarations.
+ * Comments, strings and unrelated blocks such as buildTypes are never matched.
+ * @param {string} content - build.gradle file content
+ * @param {string} filePath - Path to the build.gradle file, used to resolve ext references
+ * @returns {Object} Versioned blocks (name, isFlavor, versionCode/versionName assignments and
+ *   raw expressions) and a list of problems that make the file ambiguous
+ */
+function findAndroidVersionBlocks(content, filePath) {
+  let root;
+  try {
+    root = parseGradle(content);
+  } catch (error) {
+    return { blocks: [], problems: [`could not be parsed: ${error.message}`] };
+  }
+
+  const assignments = findGradleAssignments(root).filter((assignment) =>
+    VERSION_PROPERTIES.includes(assignment.target)
+  );
+  const androidBlocks = root.children.filter((block) => block.name === 'android');
+  const defaultConfigs = findChildBlocksByName(androidBlocks, 'defaultConfig');
+  const flavorBlocks = findChildBlocksByName(androidBlocks, 'productFlavors').flatMap((container) =>
+    container.children.filter((child) => child.name)
+  );
+
+  const problems = [];
+  const describeLines = (items) =>
+    items.map((item) => getLineNumber(content, item.start)).join(', ');
+
+  if (defaultConfigs.length > 1) {
+    problems.push(
+      `android > defaultConfig is declared ${defaultConfigs.length} times (lines ${describeLines(defaultConfigs)})`
+    );
+  }
+
+  const candidates = [
+    ...defaultConfigs.map((block) => ({ block, name: 'defaultConfig', isFlavor: false })),
+    ...flavorBlocks.map((block) => ({ block, name: block.name, isFlavor: true })),
+  ];
+
+  // Match every assignment to the versioned block containing it, however deeply nested
+  for (const candidate of candidates) {
+    candidate.assignments = {};
+
+    for (const property of VERSION_PROPERTIES) {
+      const matches = assignments.filter(
+        (assignment) =>
+          assignment.target === property && isWithinBlock(assignment.block, candidate.block)
+      );
+      const blockPath = getBlockPath(candidate.block).join(' > ');
+
+      if (matches.length > 1) {
+        problems.push(
+          `${property} is assigned ${matches.length} times in ${blockPath} (lines ${describeLines(matches)})`
+        );
+      } else if (matches.length === 1 && matches[0].block !== candidate.block) {
+        problems.push(
+          `${property} is assigned conditionally in ${getBlockPath(matches[0].block).join(' > ')} (line ${describeLines(matches)})`
+        );
+      }
+
+      candidate.assignments[property] = matches[0];
+    }
+  }
+
+  // Versions assigned only elsewhere (e.g. buildTypes or variant filters) are never guessed at
+  for (const property of VERSION_PROPERTIES) {
+    const isAssignedInCandidates = candidates.some((candidate) => candidate.assignments[property]);
+    const strayAssignments = assignments.filter((assignment) => assignment.target === property);
+
+    if (!isAssignedInCandidates && strayAssignments.length > 0) {
+      const locations = strayAssignments
+        .map(
+          (assignment) =>
+            `${getBlockPath(assignment.block).join(' > ') || 'top level'} (line ${describeLines([assignment])})`
+        )
+        .join(', ');
+      problems.push(
+        `${property} is only assigned outside defaultConfig and productFlavors: ${locations}`
+      );
+    }
+  }
+
+  if (problems.length > 0) {
+    return { blocks: [], problems };
+  }
+
+  const propertiesFiles = findPropertiesFiles(content, filePath);
+  const blocks = candidates.map(({ name, isFlavor, assignments: blockAssignments }) => {
+    const versionBlock = { name, isFlavor, expressions: {} };
+
+    for (const property of VERSION_PROPERTIES) {
+      const assignment = blockAssignments[property];
+      versionBlock.expressions[property] =
+        assignment && content.slice(assignment.start, assignment.end);
+      versionBlock[property] = assignment
+        ? resolveVersionAssignment(
+            assignment,
+            versionBlock.expressions[property],
+            property,
+            filePath,
+            propertiesFiles
+          )
+        : null;
+    }
+
+    return versionBlock;
+  });
+
+  return { blocks, problems };
+}
+
+/**
+ * Find the direct children with the given name of a list of blocks
+ * @param {Array<Object>} blocks - Parent blocks
+ * @param {string} name - Child block name
+ * @returns {Array<Object>} Matching child blocks
+ */
+function findChildBlocksByName(blocks, name) {
+  return blocks.flatMap((block) => block.children.filter((child) => child.name === name));
+}
+
+/**
+ * Check whether a block is the given ancestor or nested inside it
+ * @param {Object} block - Block to check
+ * @param {Object} ancestor - Potential ancestor block
+ * @returns {boolean} True if block is within ancestor
+ */
+function isWithinBlock(block, ancestor) {
+  for (let current = block; current; current = current.parent) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Resolve the value of a versionCode or versionName assignment
+ * Literal values are located in the block itself; ext references such as
+ * `rootProject.ext.versionCode` and properties references such as
+ * `project.property('VERSION_CODE')` are followed to the file that defines them
+ * @param {Object} assignment - Parsed assignment with value tokens and offsets
+ * @param {string} expression - Source text of the assigned value
+ * @param {string} property - 'versionCode' or 'versionName'
+ * @param {string} filePath - Path to the build.gradle file
+ * @param {Array<string>} propertiesFiles - Properties files the build.gradle may read
+ * @returns {Object|null} Assignment with value and value offsets (plus filePath and source
+ *   for ext references), a dynamic assignment with the expression for computed values,
+ *   or null if no usable value was found
+ */
+function resolveVersionAssignment(assignment, expression, property, filePath, propertiesFiles) {
+  const literal = getVersionLiteral(assignment.valueTokens, property);
+  if (literal) {
+    return literal;
+  }
+
+  const reference = expression.match(EXT_REFERENCE_PATTERN);
+  if (reference) {
+    return resolveExtReference(reference, property, filePath);
+  }
+
+  // Only keys a properties file defines are property references; anything else is computed
+  const propertyKey = findPropertyKey(expression);
+  const propertyValue = propertyKey && resolvePropertyReference(propertyKey, propertiesFiles);
+  if (propertyValue) {
+    return propertyValue;
+  }
+
+  return { dynamic: true, expression, start: assignment.start, end: assignment.end };
+}
+
+/**
+ * Get a literal version value of the expected type
+ * @param {Array<Object>} valueTokens - Assignment value tokens
+ * @param {string} property - 'versionCode' (integer) or 'versionName' (string)
+ * @returns {Object|null} Literal value with offsets, or null if the value isn't a matching literal
+ */
+function getVersionLiteral(valueTokens, property) {
+  const literal = getLiteralValue(valueTokens);
+  const expectedType = property === 'versionCode' ? 'number' : 'string';
+
+  return literal?.type === expectedType ? literal : null;
+}
+
+/**
+ * Resolve an ext property reference to the assignment that defines it
+ * `rootProject.ext.*` lives in the root build.gradle, `ext.*` in the module's own file
+ * @param {Array<string>} reference - Match of EXT_REFERENCE_PATTERN
+ * @param {string} property - 'versionCode' or 'versionName'
+ * @param {string} filePath - Path to the module build.gradle file
+ * @returns {Object} Assignment with value, offsets, filePath and source
+ * @throws {DynamicVersionError} If no ext definition with a literal value is found, so
+ *   versionCode and versionName never drift apart by bumping only one of them
+ */
+function resolveExtReference(reference, property, filePath) {
+  const [source, rootProject, ...names] = reference;
+  const name = names.find(Boolean);
+
+  const definitionPath = rootProject ? findRootBuildFile(filePath) : filePath;
+  const definition = definitionPath
+    ? findExtDefinition(fs.readFileSync(definitionPath, 'utf8'), name, property)
+    : null;
+
+  if (!definition) {
+    throw new DynamicVersionError(
+      `Could not resolve ${source} referenced by ${property} in: ${filePath}\n` +
+        `Define it with a literal value in an ext block, or write ${property} literally.`
+    );
+  }
+
+  return { ...definition, filePath: definitionPath, source };
+}
+
+/**
+ * Find the root project's build file for a module build.gradle
+ * @param {string} filePath - Path to the module build.gradle file
+ * @returns {string|null} Path to the root build.gradle or build.gradle.kts, or null if missing
+ */
+function findRootBuildFile(filePath) {
+  // Modules live one level below the Gradle root project (e.g. android/app)
+  const rootDir = path.dirname(path.dirname(filePath));
+
+  return (
+    ['build.gradle', 'build.gradle.kts']
+      .map((fileName) => path.join(rootDir, fileName))
+      .find((candidate) => fs.existsSync(candidate)) || null
+  );
+}
+
+/**
+ * Find where an ext property is defined
+ * Supports `ext { name = value }` blocks (including buildscript.ext), `ext.name = value`,
+ * `extra["name"] = value` and `extra.apply { set("name", value) }`
+ * @param {string} content - Build file content
+ * @param {string} name - Ext property name
+ * @param {string} property - 'versionCode' (numeric value) or 'versionName' (string value)
+ * @returns {Object|null} Definition with value and value offsets, or null if not found
+ */
+function findExtDefinition(content, name, property) {
+  let root;
+  try {
+    root = parseGradle(content);
+  } catch {
+    return null;
+  }
+
+  const qualifiedTargets = EXT_CONTAINERS.map((container) => `${container}.${name}`);
+  const isExtBlock = (block) =>
+    getBlockPath(block).some((blockName) => EXT_BLOCK_NAMES.includes(blockName));
+
+  const definition = findGradleAssignments(root).find(
+    (assignment) =>
+      qualifiedTargets.includes(assignment.target) ||
+      (assignment.target === name && isExtBlock(assignment.block))
+  );
+
+  return definition ? getVersionLiteral(definition.valueTokens, property) : null;
+}
+
+/**
+ * Collect the value edits for each updated block, grouped by the file holding the value
+ * Blocks sharing an ext value produce a single edit
+ * @param {string} filePath - Path to the processed build.gradle file
+ * @param {Array<Object>} blockUpdates - Blocks with their new version values
  * @param {boolean} updateVersionCode - Whether to update versionCode
  * @param {boolean} updateVersionName - Whether to update versionName
- * @returns {string} Updated file content
+ * @param {Set<string>} updatedValues - Values updated in this run; the edited ones are added
+ * @returns {Map<string, Array<Object>>} Edits keyed by file path
  */
-function updateAndroidFileContent(
-  content,
-  newVersionCode,
-  newVersionName,
+function collectAndroidEdits(
+  filePath,
+  blockUpdates,
   updateVersionCode,
-  updateVersionName
+  updateVersionName,
+  updatedValues
 ) {
-  // Always update versionCode
-  if (updateVersionCode) {
-    content = content.replace(/versionCode\s+\d+/, `versionCode ${newVersionCode}`);
+  const editsByFile = new Map();
+
+  const addEdit = (assignment, text) => {
+    updatedValues.add(getAndroidValueId(assignment, filePath));
+    const editPath = assignment.filePath || filePath;
+    const edits = editsByFile.get(editPath) || [];
+    if (!edits.some((edit) => edit.start === assignment.start)) {
+      edits.push({ start: assignment.start, end: assignment.end, text: String(text) });
+    }
+    editsByFile.set(editPath, edits);
+  };
+
+  for (const { block, newVersionCode, newVersionName } of blockUpdates) {
+    if (updateVersionCode && block.versionCode) {
+      addEdit(block.versionCode, newVersionCode);
+    }
+
+    // Update versionName only if requested; a replaced expression becomes a string literal
+    if (updateVersionName && block.versionName) {
+      addEdit(
+        block.versionName,
+        block.versionName.dynamic ? `"${newVersionName}"` : newVersionName
+      );
+    }
   }
 
-  // Update versionName only if requested
-  if (updateVersionName) {
-    content = content.replace(/versionName\s+"[^"]+"/, `versionName "${newVersionName}"`);
+  return editsByFile;
+}
+
+/**
+ * Get the Android version values updated so far in this run
+ * @param {Object} options - Configuration options, which hold the set between sources
+ * @returns {Set<string>} Value ids returned by getAndroidValueId
+ */
+function getUpdatedAndroidValues(options) {
+  options.updatedAndroidValues = options.updatedAndroidValues || new Set();
+  return options.updatedAndroidValues;
+}
+
+/**
+ * Identify a version value by the file holding it and its properties key or offset
+ * Properties values use their key, since earlier edits of the file shift the offsets
+ * @param {Object} assignment - Resolved version assignment
+ * @param {string} filePath - Path to the file the assignment was found through
+ * @returns {string} Value id
+ */
+function getAndroidValueId(assignment, filePath) {
+  return `${path.resolve(assignment.filePath || filePath)}:${assignment.propertyKey ?? assignment.start}`;
+}
+
+/**
+ * Update the content of build.gradle file with new version values
+ * Replaces only the value of each assignment, so the Groovy or Kotlin DSL
+ * syntax and everything around it stays untouched
+ * @param {string} content - Original file content
+ * @param {Array<Object>} edits - Value edits with start/end offsets and replacement text
+ * @returns {string} Updated file content
+ */
+function updateAndroidFileContent(content, edits) {
+  // Apply edits from the end of the file so earlier offsets stay valid
+  const sortedEdits = [...edits].sort((a, b) => b.start - a.start);
+
+  for (const edit of sortedEdits) {
+    content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
   }
 
   return content;
@@ -140,47 +1153,54 @@ function updateAndroidFileContent(
 /**
  * Record Android version changes for summary display
  * Tracks changes to both versionCode and versionName for final report
- * @param {string} filePath - Path to the file that was modified
- * @param {string} oldVersionCode - Previous version code
- * @param {number} newVersionCode - New version code
- * @param {string} oldVersionName - Previous version name
- * @param {string} newVersionName - New version name
+ * Values resolved through ext or properties references are reported against the file that
+ * holds them
+ * @param {string} filePath - Path to the file that was processed
+ * @param {Object} update - Old and new values, the block and target for build.gradle files,
+ *   and per-ABI versionCodes for split APK schemes
  * @param {boolean} versionCodeUpdated - Whether version code was actually updated
  * @param {boolean} versionNameUpdated - Whether version name was actually updated
  * @param {Object} options - Configuration options containing changes array
  */
-function recordAndroidChanges(
-  filePath,
-  oldVersionCode,
-  newVersionCode,
-  oldVersionName,
-  newVersionName,
-  versionCodeUpdated,
-  versionNameUpdated,
-  options
-) {
+function recordAndroidChanges(filePath, update, versionCodeUpdated, versionNameUpdated, options) {
   options.changes = options.changes || [];
 
-  // Always record versionCode changes
-  if (versionCodeUpdated) {
+  const recordChange = (item, assignment, oldValue, newValue, target = update.target) => {
     options.changes.push({
       platform: 'Android',
-      file: path.relative(options.projectRoot || process.cwd(), filePath),
-      item: 'versionCode',
-      oldValue: oldVersionCode,
-      newValue: newVersionCode,
+      file: path.relative(options.projectRoot || process.cwd(), assignment?.filePath || filePath),
+      ...(target && { target }),
+      ...(assignment?.source && { source: assignment.source }),
+      item,
+      oldValue,
+      newValue,
     });
+  };
+
+  // Always record versionCode changes
+  if (versionCodeUpdated) {
+    recordChange(
+      'versionCode',
+      update.block?.versionCode,
+      update.currentVersionCode,
+      update.newVersionCode
+    );
+
+    // Split APKs get one row per ABI with the effective versionCode
+    for (const { abi, oldValue, newValue } of update.abiVersionCodes || []) {
+      const target = update.target ? `${update.target} / ${abi}` : abi;
+      recordChange('versionCode', update.block?.versionCode, oldValue, newValue, target);
+    }
   }
 
   // Record versionName changes only if it was updated
   if (versionNameUpdated) {
-    options.changes.push({
-      platform: 'Android',
-      file: path.relative(options.projectRoot || process.cwd(), filePath),
-      item: 'versionName',
-      oldValue: oldVersionName,
-      newValue: newVersionName,
-    });
+    recordChange(
+      'versionName',
+      update.block?.versionName,
+      update.currentVersionName,
+      update.newVersionName
+    );
   }
 }
 
@@ -188,8 +1208,10 @@ function recordAndroidChanges(
  * Parse Android version information from build.gradle file
  * Utility function for reading current version values without updating
  * @param {string} filePath - Path to build.gradle file
- * @returns {Object} Object with versionCode and versionName, or null values if not found
- * @throws {Error} If file doesn't exist
+ * @returns {Object} Object with defaultConfig versionCode and versionName (null if not found
+ *   or computed)
+ *   and a flavors array listing every versioned product flavor
+ * @throws {Error} If file doesn't exist or its versions are ambiguous
  */
 export function parseAndroidVersions(filePath) {
   if (!fs.existsSync(filePath)) {
@@ -197,12 +1219,23 @@ export function parseAndroidVersions(filePath) {
   }
 
   const content = fs.readFileSync(filePath, 'utf8');
+  const { blocks, problems } = findAndroidVersionBlocks(content, filePath);
+
+  if (problems.length > 0) {
+    throw new Error(`Could not read Android versions from ${filePath}: ${problems.join('; ')}`);
+  }
+
+  const versionBlocks = blocks.filter((block) => block.versionCode || block.versionName);
 
-  const versionCodeMatch = content.match(/versionCode\s+(\d+)/);
-  const versionNameMatch = content.match(/versionName\s+"([^"]+)"/);
+  const toVersions = (block) => ({
+    versionCode: block?.versionCode?.value ? parseInt(block.versionCode.value) : null,
+    versionName: block?.versionName?.value || null,
+  });
 
   return {
-    versionCode: versionCodeMatch ? parseInt(versionCodeMatch[1]) : null,
-    versionName: versionNameMatch ? versionNameMatch[1] : null,
+    ...toVersions(versionBlocks.find((block) => !block.isFlavor)),
+    flavors: versionBlocks
+      .filter((block) => block.isFlavor)
+      .map((block) => ({ name: block.name, ...toVersions(block) })),
   };
 }
@@ -0,0 +1,121 @@
+/**
+ * Calendar versioning (CalVer)
+ * Builds versions such as 2026.10.0 from a format string and today's date
+ */
+
+// Default format when the calver scheme is used without calverFormat
+export const DEFAULT_CALVER_FORMAT = 'YYYY.MM.MICRO';
+
+// Date tokens of a format and how each renders a date (https://calver.org)
+const DATE_TOKENS = {
+  YYYY: (date) => String(date.getFullYear()),
+  YY: (date) => String(date.getFullYear() - 2000),
+  '0Y': (date) => String(date.getFullYear() - 2000).padStart(2, '0'),
+  MM: (date) => String(date.getMonth() + 1),
+  '0M': (date) => String(date.getMonth() + 1).padStart(2, '0'),
+  DD: (date) => String(date.getDate()),
+  '0D': (date) => String(date.getDate()).padStart(2, '0'),
+};
+
+// Counter tokens: the release number within the current date period, starting at 0
+const COUNTER_TOKENS = ['MAJOR', 'MINOR', 'MICRO', 'PATCH'];
+
+/**
+ * Parse a CalVer format string into its tokens
+ * @param {string} format - Format such as "YYYY.MM.MICRO" or "YY.0M.PATCH"
+ * @returns {Array<string>} Tokens in version order
+ * @throws {Error} If a token is unknown, there is no date token or more than one counter
+ */
+export function parseCalverFormat(format) {
+  const tokens = String(format).split('.');
+  const unknown = tokens.filter(
+    (token) => !(token in DATE_TOKENS) && !COUNTER_TOKENS.includes(token)
+  );
+
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid CalVer format: ${format} (unknown ${unknown.join(', ')}; ` +
+        `expected ${Object.keys(DATE_TOKENS).join(', ')} or ${COUNTER_TOKENS.join(', ')})`
+    );
+  }
+  if (!tokens.some((token) => token in DATE_TOKENS)) {
+    throw new Error(`Invalid CalVer format: ${format} (needs at least one date token)`);
+  }
+  if (tokens.filter((token) => COUNTER_TOKENS.includes(token)).length > 1) {
+    throw new Error(`Invalid CalVer format: ${format} (only one counter token is supported)`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Calculate the next CalVer version for a date
+ * The counter continues while the current version belongs to the same date period and resets
+ * to 0 when the period changes (2026.09.4 → 2026.10.0). A current version in another format,
+ * e.g. when switching from SemVer, starts today's period.
+ * @param {string} currentVersion - Current version
+ * @param {string} format - CalVer format (defaults to YYYY.MM.MICRO)
+ * @param {Date} now - Release date (defaults to today)
+ * @returns {string} Next version
+ * @throws {Error} If the format is invalid, a format without counter was already released for
+ *   the period, or the new version would sort before the current one
+ */
+export function incrementCalendarVersion(currentVersion, format = DEFAULT_CALVER_FORMAT, now) {
+  const date = now || new Date();
+  const tokens = parseCalverFormat(format);
+  const current = String(currentVersion).split(/[-+]/)[0].split('.');
+
+  const samePeriod =
+    current.length === tokens.length &&
+    tokens.every((token, index) =>
+      token in DATE_TOKENS
+        ? parseInt(current[index]) === parseInt(DATE_TOKENS[token](date))
+        : /^\d+$/.test(current[index])
+    );
+
+  const counterIndex = tokens.findIndex((token) => COUNTER_TOKENS.includes(token));
+  if (samePeriod && counterIndex === -1) {
+    throw new Error(
+      `CalVer ${format} has no counter, and ${currentVersion} was already released for this period`
+    );
+  }
+
+  const next = tokens
+    .map((token, index) => {
+      if (token in DATE_TOKENS) {
+        return DATE_TOKENS[token](date);
+      }
+      return samePeriod ? String(parseInt(current[index]) + 1) : '0';
+    })
+    .join('.');
+
+  if (compareNumericVersions(next, currentVersion) <= 0) {
+    throw new Error(`CalVer ${next} for ${format} would not be newer than ${currentVersion}`);
+  }
+
+  return next;
+}
+
+/**
+ * Compare the numeric parts of two versions, ignoring prerelease and build metadata
+ * Versions that don't start with numbers (e.g. no current version yet) sort first
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is lower, positive if a is higher, 0 if equal
+ */
+function compareNumericVersions(a, b) {
+  const toNumbers = (version) =>
+    String(version)
+      .split(/[-+]/)[0]
+      .split('.')
+      .map((part) => (/^\d+$/.test(part) ? parseInt(part) : -1));
+  const [first, second] = [toNumbers(a), toNumbers(b)];
+
+  for (let index = 0; index < Math.max(first.length, second.length); index++) {
+    const difference = (first[index] ?? 0) - (second[index] ?? 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
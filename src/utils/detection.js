@@ -71,12 +71,29 @@ function hasReactNativeDependencies(packageJson) {
 
 /**
  * Load project configuration from config file or use defaults
- * Searches for various config file formats and merges with defaults
+ * Searches for various config file formats, merges with defaults and resolves
+ * Kotlin DSL build files for projects without a Groovy build.gradle
  * @param {string} projectRoot - Root directory of the project
  * @param {string} customConfigPath - Optional custom config file path
  * @returns {Object} Configuration object with android, ios, and packageJson settings
  */
 export async function loadProjectConfiguration(projectRoot, customConfigPath = null) {
+  const config = await loadConfigurationFile(projectRoot, customConfigPath);
+
+  if (config.android) {
+    config.android.files = resolveKotlinBuildFiles(config.android.files, projectRoot);
+  }
+
+  return config;
+}
+
+/**
+ * Find and load the first available config file, merged with defaults
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} customConfigPath - Optional custom config file path
+ * @returns {Object} Configuration object with android, ios, and packageJson settings
+ */
+async function loadConfigurationFile(projectRoot, customConfigPath) {
   try {
     // If custom config path provided, try to load it first
     if (customConfigPath) {
@@ -112,6 +129,33 @@ export async function loadProjectConfiguration(projectRoot, customConfigPath = n
   }
 }
 
+/**
+ * Swap Groovy build.gradle paths for their Kotlin DSL counterparts
+ * Newer React Native templates ship android/app/build.gradle.kts, so a configured
+ * build.gradle that doesn't exist falls back to the .kts file next to it
+ * @param {Array<string>} files - Configured Android file paths
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Array<string>} File paths with missing Groovy files replaced by existing .kts files
+ */
+function resolveKotlinBuildFiles(files, projectRoot) {
+  if (!Array.isArray(files)) {
+    return files;
+  }
+
+  return files.map((file) => {
+    if (typeof file !== 'string' || !file.endsWith('.gradle')) {
+      return file;
+    }
+
+    const groovyPath = path.isAbsolute(file) ? file : path.join(projectRoot, file);
+    if (!fs.existsSync(groovyPath) && fs.existsSync(`${groovyPath}.kts`)) {
+      return `${file}.kts`;
+    }
+
+    return file;
+  });
+}
+
 /**
  * Load configuration from a specific file path
  * Handles both JavaScript and JSON config files
@@ -157,6 +201,56 @@ async function loadConfigFromPath(configPath) {
   }
 }
 
+/**
+ * Load the versioning module named by the `versioning` config
+ * The config can hold the module itself (in vbump.config.js) or a path relative to the project
+ * root. The module, or its default export, must provide parse, format and increment functions,
+ * and may provide incrementBuildNumber and incrementTypes.
+ * @param {string|Object|undefined} versioning - Module path or module object
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Object|null>} Versioning module, or null when none is configured
+ * @throws {Error} If the module can't be found or lacks a required function
+ */
+export async function loadVersioningModule(versioning, projectRoot) {
+  if (versioning === undefined || versioning === null) {
+    return null;
+  }
+
+  let versioningModule = versioning;
+  let label = 'versioning';
+  if (typeof versioning === 'string') {
+    const modulePath = path.isAbsolute(versioning)
+      ? versioning
+      : path.join(projectRoot, versioning);
+    if (!fs.existsSync(modulePath)) {
+      throw new Error(`Versioning module not found: ${versioning}`);
+    }
+
+    const imported = await import(pathToFileURL(modulePath).href);
+    versioningModule = imported.default ?? imported;
+    label = versioning;
+  }
+
+  const missing = ['parse', 'format', 'increment'].filter(
+    (name) => typeof versioningModule?.[name] !== 'function'
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Versioning module ${label} must export parse, format and increment functions (missing: ${missing.join(', ')})`
+    );
+  }
+  if (
+    versioningModule.incrementBuildNumber !== undefined &&
+    typeof versioningModule.incrementBuildNumber !== 'function'
+  ) {
+    throw new Error(
+      `Versioning module ${label} exports an incrementBuildNumber that isn't a function`
+    );
+  }
+
+  return versioningModule;
+}
+
 /**
  * Deep merge two configuration objects
  * @param {Object} defaultConfig - Default configuration
@@ -0,0 +1,49 @@
+/**
+ * Error types for expected failures
+ * Each carries the process exit code the CLI should use, so scripts can tell them apart
+ */
+
+// Exit code used when a version is computed by the build script instead of written literally
+export const DYNAMIC_VERSION_EXIT_CODE = 3;
+
+// Exit code used when app extensions would ship with versions different from their host app
+export const EXTENSION_MISMATCH_EXIT_CODE = 4;
+
+// Exit code used when build configurations disagree on a version and no baseline was given
+export const CONFIGURATION_DRIFT_EXIT_CODE = 5;
+
+/**
+ * Raised when a version value is a computed expression (e.g. `versionCode getGitCommitCount()`)
+ * that can't be bumped without replacing the build logic behind it
+ */
+export class DynamicVersionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DynamicVersionError';
+    this.exitCode = DYNAMIC_VERSION_EXIT_CODE;
+  }
+}
+
+/**
+ * Raised when an iOS app extension's MARKETING_VERSION or CURRENT_PROJECT_VERSION would differ
+ * from its host app, which App Store Connect rejects
+ */
+export class ExtensionVersionMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExtensionVersionMismatchError';
+    this.exitCode = EXTENSION_MISMATCH_EXIT_CODE;
+  }
+}
+
+/**
+ * Raised when the build configurations of an iOS target disagree on a version and no
+ * baseline was chosen to bump from
+ */
+export class ConfigurationDriftError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigurationDriftError';
+    this.exitCode = CONFIGURATION_DRIFT_EXIT_CODE;
+  }
+}
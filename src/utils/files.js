@@ -1,17 +1,27 @@
 import fs from 'fs';
 import path from 'path';
+import chalk from 'chalk';
+import { discoverIOSProjects } from './workspace.js';
+import { promptForIOSProject } from './prompts.js';
 
 /**
  * Resolve file patterns to actual file paths
  * Supports glob patterns (specifically for *.xcodeproj) and regular paths
- * @param {Array<string>} patterns - Array of file path patterns
+ * Source objects such as { path, type } are resolved by their path and keep their other settings
+ * @param {Array<string|Object>} patterns - Array of file path patterns or source objects
  * @param {string} projectRoot - Root directory of the project
- * @returns {Array<string>} Array of resolved file paths that exist
+ * @returns {Array<string|Object>} Array of resolved file paths (or source objects) that exist
  */
 export function resolveFilePaths(patterns, projectRoot) {
   const resolvedPaths = [];
 
   for (const pattern of patterns) {
+    if (typeof pattern === 'object' && pattern !== null) {
+      const resolvedPattern = resolveFilePattern(pattern.path, projectRoot);
+      resolvedPaths.push(...resolvedPattern.map((filePath) => ({ ...pattern, path: filePath })));
+      continue;
+    }
+
     const resolvedPattern = resolveFilePattern(pattern, projectRoot);
     resolvedPaths.push(...resolvedPattern);
   }
@@ -38,43 +48,71 @@ function resolveFilePattern(pattern, projectRoot) {
 
 /**
  * Resolve glob pattern to matching file paths
- * Currently supports *.xcodeproj pattern for iOS projects
+ * Currently supports *.xcodeproj pattern for iOS projects, which finds the app's projects
+ * through the workspace and Podfile (see discoverIOSProjects)
  * @param {string} pattern - Original pattern (e.g., "ios/*.xcodeproj/project.pbxproj")
  * @param {string} projectRoot - Project root directory
  * @returns {Array<string>} Array of matching file paths
  */
 function resolveGlobPattern(pattern, projectRoot) {
-  const resolvedPaths = [];
-
-  // Handle iOS xcodeproj pattern specifically
-  if (pattern.includes('*.xcodeproj')) {
-    // Extract the directory part before the glob (e.g., "ios" from "ios/*.xcodeproj/project.pbxproj")
-    const patternParts = pattern.split('*');
-    const dirPart = patternParts[0]; // "ios/"
-    // const filePart = patternParts[1]; // ".xcodeproj/project.pbxproj"
+  const discovery = discoverGlobProjects(pattern, projectRoot);
+  return discovery ? discovery.projects : [];
+}
 
-    const searchDir = path.join(projectRoot, dirPart);
+/**
+ * Discover the Xcode projects matched by a *.xcodeproj glob
+ * @param {string} pattern - Original pattern (e.g., "ios/*.xcodeproj/project.pbxproj")
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object|null} discoverIOSProjects result, or null for other globs
+ */
+function discoverGlobProjects(pattern, projectRoot) {
+  if (!pattern.includes('*.xcodeproj')) {
+    return null;
+  }
 
-    if (!fs.existsSync(searchDir)) {
-      return resolvedPaths;
-    }
+  // Extract the directory part before the glob (e.g., "ios" from "ios/*.xcodeproj/project.pbxproj")
+  const dirPart = pattern.split('*')[0];
+  return discoverIOSProjects(path.join(projectRoot, dirPart));
+}
 
-    const files = fs.readdirSync(searchDir);
+/**
+ * Resolve iOS file patterns, asking which Xcode project to use when a *.xcodeproj glob
+ * matches several app projects that no workspace or Podfile tells apart
+ * Non-interactive runs keep every candidate and warn about it
+ * @param {Array<string|Object>} patterns - Array of file path patterns or source objects
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} options - CLI options (interactive)
+ * @returns {Promise<Array<string|Object>>} Array of resolved file paths (or source objects)
+ */
+export async function resolveIOSFilePaths(patterns, projectRoot, options = {}) {
+  const resolvedPaths = [];
 
-    // Look for .xcodeproj directories
-    const xcodeprojDirs = files.filter((file) => {
-      const fullPath = path.join(searchDir, file);
-      return fs.statSync(fullPath).isDirectory() && file.endsWith('.xcodeproj');
-    });
+  for (const pattern of patterns) {
+    const discovery = typeof pattern === 'string' && discoverGlobProjects(pattern, projectRoot);
+    if (!discovery?.ambiguous) {
+      resolvedPaths.push(...resolveFilePaths([pattern], projectRoot));
+      continue;
+    }
 
-    for (const xcodeprojDir of xcodeprojDirs) {
-      // Construct the full path to project.pbxproj
-      const pbxprojPath = path.join(searchDir, xcodeprojDir, 'project.pbxproj');
+    const candidates = discovery.projects.map((pbxprojPath) =>
+      path.relative(projectRoot, path.dirname(pbxprojPath))
+    );
 
-      if (fs.existsSync(pbxprojPath)) {
-        resolvedPaths.push(pbxprojPath);
-      }
+    if (options.interactive) {
+      const selected = await promptForIOSProject(candidates);
+      resolvedPaths.push(
+        ...discovery.projects.filter((_, index) => selected.includes(candidates[index]))
+      );
+      continue;
     }
+
+    console.warn(
+      chalk.yellow(
+        `⚠️  Found several Xcode projects for ${pattern}: ${candidates.join(', ')}. ` +
+          'Updating all of them; list the app project in ios.files to pick one.'
+      )
+    );
+    resolvedPaths.push(...discovery.projects);
   }
 
   return resolvedPaths;
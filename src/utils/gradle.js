@@ -0,0 +1,473 @@
+/**
+ * Lightweight Gradle build script parser
+ * Understands enough of the Groovy and Kotlin DSL syntax (comments, strings, nested blocks
+ * and assignments) to locate values without being fooled by commented-out code
+ */
+
+// Operators that continue a statement on the next line (e.g. `versionCode 1000 +`)
+const CONTINUATION_OPERATORS = ['=', '+', '-', '*', '/', '%', '.', '?.', ',', '&&', '||', '?', ':'];
+
+// Two-character operators recognized as a single token
+const TWO_CHAR_OPERATORS = ['==', '!=', '<=', '>=', '->', '&&', '||', '?.', '?:', '+=', '-=', '::'];
+
+// Container calls that name a block by string, e.g. `create("brandA") { }`
+const NAMED_CONTAINER_CALLS = ['create', 'register', 'getByName', 'maybeCreate', 'named'];
+
+/**
+ * Split a Gradle build script into tokens
+ * Comments and whitespace are dropped, newlines are kept because they end statements
+ * @param {string} content - Build script content
+ * @returns {Array<Object>} Tokens with type, value, start and end offsets
+ * @throws {Error} If a string or block comment is not terminated
+ */
+export function tokenizeGradle(content) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < content.length) {
+    const char = content[index];
+
+    if (char === '\n') {
+      tokens.push({ type: 'newline', value: '\n', start: index, end: index + 1 });
+      index++;
+    } else if (/\s/.test(char)) {
+      index++;
+    } else if (content.startsWith('//', index)) {
+      const lineEnd = content.indexOf('\n', index);
+      index = lineEnd === -1 ? content.length : lineEnd;
+    } else if (content.startsWith('/*', index)) {
+      const commentEnd = content.indexOf('*/', index + 2);
+      if (commentEnd === -1) {
+        throw new Error(`Unterminated comment at line ${getLineNumber(content, index)}`);
+      }
+      index = commentEnd + 2;
+    } else if (char === '"' || char === "'") {
+      const token = readString(content, index);
+      tokens.push(token);
+      index = token.end;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const match = /[\w$]+/y;
+      match.lastIndex = index;
+      const value = match.exec(content)[0];
+      tokens.push({ type: 'identifier', value, start: index, end: index + value.length });
+      index += value.length;
+    } else if (/\d/.test(char)) {
+      const match = /0[xX][\da-fA-F_]+[lL]?|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?[lLfFdD]?/y;
+      match.lastIndex = index;
+      const value = match.exec(content)[0];
+      tokens.push({ type: 'number', value, start: index, end: index + value.length });
+      index += value.length;
+    } else {
+      const twoChars = content.slice(index, index + 2);
+      const value = TWO_CHAR_OPERATORS.includes(twoChars) ? twoChars : char;
+      tokens.push({ type: 'punctuation', value, start: index, end: index + value.length });
+      index += value.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a string literal starting at the given offset
+ * Handles single, double and triple quotes, escapes and `${...}` interpolation
+ * @param {string} content - Build script content
+ * @param {number} start - Offset of the opening quote
+ * @returns {Object} String token with quote length and interpolation flag
+ * @throws {Error} If the string is not terminated
+ */
+function readString(content, start) {
+  const quoteChar = content[start];
+  const quote = content.startsWith(quoteChar.repeat(3), start) ? quoteChar.repeat(3) : quoteChar;
+  let index = start + quote.length;
+  let interpolated = false;
+
+  while (index < content.length) {
+    if (content.startsWith(quote, index)) {
+      const end = index + quote.length;
+      return {
+        type: 'string',
+        value: content.slice(start, end),
+        quote,
+        interpolated,
+        start,
+        end,
+      };
+    }
+
+    const char = content[index];
+
+    if (char === '\\') {
+      index += 2;
+    } else if (char === '\n' && quote.length === 1) {
+      break;
+    } else if (char === '$' && quoteChar === '"' && /[{\w]/.test(content[index + 1] || '')) {
+      interpolated = true;
+      index = content[index + 1] === '{' ? skipInterpolation(content, index + 2) : index + 1;
+    } else {
+      index++;
+    }
+  }
+
+  throw new Error(`Unterminated string at line ${getLineNumber(content, start)}`);
+}
+
+/**
+ * Skip over a `${...}` interpolation, including nested braces and strings
+ * @param {string} content - Build script content
+ * @param {number} index - Offset just after the opening `${`
+ * @returns {number} Offset just after the closing brace
+ */
+function skipInterpolation(content, index) {
+  let depth = 1;
+
+  while (index < content.length && depth > 0) {
+    const char = content[index];
+
+    if (char === '"' || char === "'") {
+      index = readString(content, index).end;
+      continue;
+    }
+
+    if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+    }
+    index++;
+  }
+
+  return index;
+}
+
+/**
+ * Parse a Gradle build script into a tree of blocks and statements
+ * Every `name { ... }` becomes a block; statements are split on newlines and semicolons
+ * @param {string} content - Build script content
+ * @returns {Object} Root block with nested children and statements
+ * @throws {Error} If strings, comments or braces are unbalanced
+ */
+export function parseGradle(content) {
+  const root = createBlock(null, [], null, 0);
+  let block = root;
+  let statement = [];
+  let parenDepth = 0;
+  const parenDepths = [];
+
+  const endStatement = () => {
+    if (statement.length > 0) {
+      block.statements.push({
+        tokens: statement,
+        start: statement[0].start,
+        end: statement[statement.length - 1].end,
+      });
+    }
+    statement = [];
+  };
+
+  for (const token of tokenizeGradle(content)) {
+    if (token.type === 'newline') {
+      if (parenDepth === 0 && !continuesOnNextLine(statement)) {
+        endStatement();
+      }
+    } else if (token.value === ';' && parenDepth === 0) {
+      endStatement();
+    } else if (token.value === '{') {
+      // A header on the previous line (`android\n{`) still names the block
+      const header =
+        statement.length === 0 ? takeHeaderFromPreviousLine(block, content, token) : statement;
+      const child = createBlock(getBlockName(header), header, block, token.start);
+      block.children.push(child);
+      parenDepths.push(parenDepth);
+      block = child;
+      statement = [];
+      parenDepth = 0;
+    } else if (token.value === '}') {
+      endStatement();
+      if (block === root) {
+        throw new Error(`Unexpected "}" at line ${getLineNumber(content, token.start)}`);
+      }
+      block.end = token.end;
+      block = block.parent;
+      parenDepth = parenDepths.pop();
+    } else {
+      if (token.value === '(' || token.value === '[') {
+        parenDepth++;
+      } else if ((token.value === ')' || token.value === ']') && parenDepth > 0) {
+        parenDepth--;
+      }
+      statement.push(token);
+    }
+  }
+
+  endStatement();
+
+  if (block !== root) {
+    throw new Error(
+      `Unclosed block "${block.name || '{'}" opened at line ${getLineNumber(content, block.start)}`
+    );
+  }
+
+  root.end = content.length;
+  return root;
+}
+
+/**
+ * Create a block node
+ * @param {string|null} name - Block name
+ * @param {Array<Object>} header - Tokens before the opening brace
+ * @param {Object|null} parent - Parent block
+ * @param {number} start - Offset of the opening brace
+ * @returns {Object} Block node
+ */
+function createBlock(name, header, parent, start) {
+  return { name, header, parent, children: [], statements: [], start, end: null };
+}
+
+/**
+ * Check whether a statement continues on the next line
+ * @param {Array<Object>} statement - Tokens collected so far
+ * @returns {boolean} True if the last token is a binary operator
+ */
+function continuesOnNextLine(statement) {
+  const lastToken = statement[statement.length - 1];
+  return Boolean(lastToken) && CONTINUATION_OPERATORS.includes(lastToken.value);
+}
+
+/**
+ * Use the previous statement as a block header when the brace starts its own line
+ * @param {Object} block - Current block
+ * @param {string} content - Build script content
+ * @param {Object} braceToken - The opening brace token
+ * @returns {Array<Object>} Header tokens, or an empty array for anonymous closures
+ */
+function takeHeaderFromPreviousLine(block, content, braceToken) {
+  const previous = block.statements[block.statements.length - 1];
+  const isAdjacent =
+    previous &&
+    (block.children.length === 0 ||
+      block.children[block.children.length - 1].end <= previous.start) &&
+    content.slice(previous.end, braceToken.start).trim() === '';
+
+  if (isAdjacent && getBlockName(previous.tokens)) {
+    block.statements.pop();
+    return previous.tokens;
+  }
+
+  return [];
+}
+
+/**
+ * Derive a block name from its header tokens
+ * `android` → "android", `applicationVariants.all` → "applicationVariants.all",
+ * `create("brandA")` → "brandA", `if (x)` → "if"
+ * @param {Array<Object>} header - Header tokens
+ * @returns {string|null} Block name, or null for anonymous closures
+ */
+function getBlockName(header) {
+  if (header.length === 0 || header[0].type !== 'identifier') {
+    return null;
+  }
+
+  const parts = [header[0].value];
+  let index = 1;
+
+  while (header[index]?.value === '.' && header[index + 1]?.type === 'identifier') {
+    parts.push(header[index + 1].value);
+    index += 2;
+  }
+
+  const call = parts[parts.length - 1];
+  if (
+    NAMED_CONTAINER_CALLS.includes(call) &&
+    header[index]?.value === '(' &&
+    header[index + 1]?.type === 'string' &&
+    header[index + 2]?.value === ')'
+  ) {
+    return getStringValue(header[index + 1]);
+  }
+
+  return parts.join('.');
+}
+
+/**
+ * Interpret a statement as an assignment
+ * Supports `name = value`, Groovy command syntax (`name value`, `name(value)`),
+ * dotted and bracket targets (`ext.name`, `extra["name"]`) and `set("name", value)` calls
+ * @param {Object} statement - Statement with tokens
+ * @returns {Object|null} Assignment with target, valueTokens and value offsets, or null
+ */
+export function getGradleAssignment(statement) {
+  const { tokens } = statement;
+  if (tokens[0]?.type !== 'identifier') {
+    return null;
+  }
+
+  const parts = [tokens[0].value];
+  let index = 1;
+
+  while (index < tokens.length) {
+    if (tokens[index].value === '.' && tokens[index + 1]?.type === 'identifier') {
+      parts.push(tokens[index + 1].value);
+      index += 2;
+    } else if (
+      tokens[index].value === '[' &&
+      tokens[index + 1]?.type === 'string' &&
+      tokens[index + 2]?.value === ']'
+    ) {
+      parts.push(getStringValue(tokens[index + 1]));
+      index += 3;
+    } else {
+      break;
+    }
+  }
+
+  let target = parts.join('.');
+  let valueTokens;
+
+  if (
+    parts[parts.length - 1] === 'set' &&
+    tokens[index]?.value === '(' &&
+    tokens[index + 1]?.type === 'string' &&
+    tokens[index + 2]?.value === ',' &&
+    tokens[tokens.length - 1].value === ')'
+  ) {
+    target = [...parts.slice(0, -1), getStringValue(tokens[index + 1])].join('.');
+    valueTokens = tokens.slice(index + 3, -1);
+  } else if (tokens[index]?.value === '=') {
+    valueTokens = tokens.slice(index + 1);
+  } else if (parts.length === 1 && index < tokens.length && isValueStart(tokens[index])) {
+    valueTokens = unwrapParentheses(tokens.slice(index));
+  } else {
+    return null;
+  }
+
+  if (valueTokens.length === 0) {
+    return null;
+  }
+
+  return {
+    target,
+    valueTokens,
+    start: valueTokens[0].start,
+    end: valueTokens[valueTokens.length - 1].end,
+  };
+}
+
+/**
+ * Check whether a token can start a command-syntax value (`versionCode 12`)
+ * @param {Object} token - Token following the target
+ * @returns {boolean} True for identifiers, literals and opening parentheses
+ */
+function isValueStart(token) {
+  return ['identifier', 'number', 'string'].includes(token.type) || token.value === '(';
+}
+
+/**
+ * Remove parentheses wrapping an entire value, e.g. `versionCode(12)` → `12`
+ * @param {Array<Object>} tokens - Value tokens
+ * @returns {Array<Object>} Tokens without the outer parentheses
+ */
+function unwrapParentheses(tokens) {
+  if (tokens[0]?.value !== '(' || tokens[tokens.length - 1]?.value !== ')') {
+    return tokens;
+  }
+
+  let depth = 0;
+  for (let index = 0; index < tokens.length - 1; index++) {
+    if (tokens[index].value === '(') {
+      depth++;
+    } else if (tokens[index].value === ')') {
+      depth--;
+    }
+    if (depth === 0) {
+      return tokens;
+    }
+  }
+
+  return unwrapParentheses(tokens.slice(1, -1));
+}
+
+/**
+ * Collect every assignment in a parsed build script
+ * @param {Object} root - Root block returned by parseGradle
+ * @returns {Array<Object>} Assignments with their containing block
+ */
+export function findGradleAssignments(root) {
+  const assignments = [];
+
+  const visit = (block) => {
+    for (const statement of block.statements) {
+      const assignment = getGradleAssignment(statement);
+      if (assignment) {
+        assignments.push({ ...assignment, block });
+      }
+    }
+    block.children.forEach(visit);
+  };
+
+  visit(root);
+  return assignments;
+}
+
+/**
+ * Get the literal value of an assignment
+ * Only a single integer or a single non-interpolated string counts as a literal
+ * @param {Array<Object>} valueTokens - Assignment value tokens
+ * @returns {Object|null} Literal type ('number' or 'string'), value and start/end offsets of the
+ *   editable text, or null
+ */
+export function getLiteralValue(valueTokens) {
+  if (valueTokens.length !== 1) {
+    return null;
+  }
+
+  const [token] = valueTokens;
+
+  if (token.type === 'number' && /^\d+$/.test(token.value)) {
+    return { type: 'number', value: token.value, start: token.start, end: token.end };
+  }
+
+  if (token.type === 'string' && !token.interpolated) {
+    return {
+      type: 'string',
+      value: getStringValue(token),
+      start: token.start + token.quote.length,
+      end: token.end - token.quote.length,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Get the names of a block and its ancestors, outermost first
+ * @param {Object} block - Block node
+ * @returns {Array<string>} Block names, e.g. ['android', 'defaultConfig']
+ */
+export function getBlockPath(block) {
+  const names = [];
+  for (let current = block; current?.parent; current = current.parent) {
+    names.unshift(current.name || '{ }');
+  }
+  return names;
+}
+
+/**
+ * Get the 1-based line number of an offset
+ * @param {string} content - File content
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+export function getLineNumber(content, offset) {
+  return content.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Strip the quotes from a string token
+ * @param {Object} token - String token
+ * @returns {string} String contents
+ */
+function getStringValue(token) {
+  return token.value.slice(token.quote.length, -token.quote.length);
+}
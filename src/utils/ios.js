@@ -1,17 +1,91 @@
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
-import { calculateNewSemanticVersion, calculateNewBuildNumber } from './version.js';
+import {
+  calculateNewSemanticVersion,
+  getVersionContext,
+  calculateNewBuildNumber,
+  compareSemanticVersions,
+  compareBuildNumbers,
+  parseSemanticVersion,
+  getCoreVersion,
+} from './version.js';
 import { updatePackageJsonVersion } from './packageJson.js';
+import { ExtensionVersionMismatchError, ConfigurationDriftError } from './errors.js';
+import { promptForConfigurationBaseline } from './prompts.js';
+import { findPlistStrings, updatePlistContent } from './plist.js';
+import { findXcconfigSetting, updateXcconfigContent } from './xcconfig.js';
+import {
+  parsePbxproj,
+  getNativeTargets,
+  getAllBuildConfigurations,
+  getProjectBuildConfigurations,
+  getEmbeddedTargetIds,
+  getFileReferencePath,
+  updatePbxprojContent,
+} from './pbxproj.js';
+
+// Build settings holding the iOS versions
+const BUILD_NUMBER_SETTING = 'CURRENT_PROJECT_VERSION';
+const MARKETING_VERSION_SETTING = 'MARKETING_VERSION';
+
+// Info.plist keys mirroring the build settings, by build setting
+const INFO_PLIST_KEYS = {
+  [MARKETING_VERSION_SETTING]: 'CFBundleShortVersionString',
+  [BUILD_NUMBER_SETTING]: 'CFBundleVersion',
+};
+
+// Version keys of a configuration, by build setting
+const VERSION_KEYS = {
+  [BUILD_NUMBER_SETTING]: 'currentProjectVersion',
+  [MARKETING_VERSION_SETTING]: 'marketingVersion',
+};
+
+// Baselines picking the current version among drifted configurations (besides a configuration name)
+const BASELINES = ['highest', 'first'];
+
+// Build number policies (ios.buildNumberPolicy) besides the default monotonic one
+const RESET_ON_VERSION_CHANGE = 'reset-on-version-change';
+const BUILD_NUMBER_POLICIES = ['monotonic', RESET_ON_VERSION_CHANGE];
+
+// Build setting references such as $(MARKETING_VERSION) or ${CURRENT_PROJECT_VERSION}
+const BUILD_SETTING_REFERENCE_PATTERN = /\$[({]/;
+
+// A value made of a single build setting reference, which can be followed to its definition
+const VARIABLE_REFERENCE_PATTERN =
+  /^\$(?:\(([A-Za-z_][A-Za-z0-9_]*)\)|\{([A-Za-z_][A-Za-z0-9_]*)\})$/;
+
+// Product type of the main application target
+const APPLICATION_PRODUCT_TYPE = 'com.apple.product-type.application';
+
+// Extensions and watch apps that App Store Connect requires to match the host app's versions
+const EXTENSION_PRODUCT_TYPES = [
+  'com.apple.product-type.app-extension',
+  'com.apple.product-type.app-extension.messages',
+  'com.apple.product-type.extensionkit-extension',
+  'com.apple.product-type.tv-app-extension',
+  'com.apple.product-type.watchkit2-extension',
+  'com.apple.product-type.application.watchapp2',
+];
+
+// Test bundles are never bumped unless listed explicitly
+const TEST_PRODUCT_TYPES = [
+  'com.apple.product-type.bundle.unit-test',
+  'com.apple.product-type.bundle.ui-testing',
+];
 
 /**
- * Update iOS versions in multiple project.pbxproj files
- * Supports updating both CURRENT_PROJECT_VERSION and MARKETING_VERSION or individually
- * @param {Array<string>} files - Array of project.pbxproj file paths
+ * Update iOS versions in multiple project.pbxproj and .xcconfig files
+ * Supports updating both CURRENT_PROJECT_VERSION and MARKETING_VERSION or individually.
+ * Projects are processed first, so an .xcconfig already updated through a build
+ * configuration's baseConfigurationReference isn't bumped twice.
+ * @param {Array<string>} files - Array of project.pbxproj and .xcconfig file paths
  * @param {number|boolean} currentProjectVersion - New project version or true for auto-increment
  * @param {string|boolean|null} marketingVersion - New marketing version, true for auto-increment, or null to skip
  * @param {Object} options - Configuration options including dry run, project root, etc.
  * @returns {Array<Object>} Results for each file processed
+ * @throws {Error} If the build number policy, its start value or a prerelease build number is
+ *   invalid
  */
 export async function updateIOSVersions(
   files,
@@ -19,47 +93,164 @@ export async function updateIOSVersions(
   marketingVersion,
   options = {}
 ) {
+  validateBuildNumberSettings(options);
+
   const results = [];
 
-  for (const filePath of files) {
+  for (const filePath of files.filter((file) => !isXcconfigFile(file))) {
     const result = await processIOSFile(filePath, currentProjectVersion, marketingVersion, options);
     if (result) {
       results.push(result);
     }
   }
 
+  for (const filePath of files.filter(isXcconfigFile)) {
+    const result = await processXcconfigFile(
+      filePath,
+      currentProjectVersion,
+      marketingVersion,
+      options
+    );
+    if (result) {
+      results.push(result);
+    }
+  }
+
   return results;
 }
 
 /**
- * Process a single iOS project.pbxproj file for version updates
- * Handles file reading, version extraction, updating, and writing
+ * Validate the ios.buildNumberPolicy, ios.buildNumberStart and ios.prereleaseBuildNumbers
+ * configuration
+ * @param {Object} options - Configuration options with buildNumberPolicy, buildNumberStart and
+ *   prereleaseBuildNumbers
+ * @throws {Error} If the policy is unknown, the start isn't a positive integer or a prerelease
+ *   build number isn't a non-negative integer
+ */
+function validateBuildNumberSettings(options) {
+  const policy = options.buildNumberPolicy;
+  if (policy !== undefined && !BUILD_NUMBER_POLICIES.includes(policy)) {
+    throw new Error(
+      `Invalid ios.buildNumberPolicy: ${policy} (expected one of: ${BUILD_NUMBER_POLICIES.join(', ')})`
+    );
+  }
+
+  const start = options.buildNumberStart;
+  if (start !== undefined && (!Number.isInteger(start) || start < 1)) {
+    throw new Error(`ios.buildNumberStart must be a positive integer (got ${start})`);
+  }
+
+  for (const [preid, base] of Object.entries(options.prereleaseBuildNumbers || {})) {
+    if (!Number.isInteger(base) || base < 0) {
+      throw new Error(`ios.prereleaseBuildNumbers.${preid} must be a non-negative integer`);
+    }
+  }
+}
+
+/**
+ * Check iOS projects before any platform is updated
+ * Configuration drift and app extensions that don't match their host app refuse the whole bump,
+ * so they are resolved before Android and package.json are written. The planned updates are kept
+ * in options.iosPlans for updateIOSVersions.
+ * @param {Array<string>} files - Array of project.pbxproj and .xcconfig file paths
+ * @param {number|boolean} currentProjectVersion - New project version or true for auto-increment
+ * @param {string|boolean|null} marketingVersion - New marketing version, true for auto-increment, or null to skip
+ * @param {Object} options - Configuration options
+ * @throws {ConfigurationDriftError} If configurations differ and no baseline was picked
+ * @throws {ExtensionVersionMismatchError} If extensions don't match their host app
+ */
+export async function checkIOSVersions(
+  files,
+  currentProjectVersion,
+  marketingVersion,
+  options = {}
+) {
+  validateBuildNumberSettings(options);
+
+  options.iosPlans = new Map();
+  for (const filePath of files.filter((file) => !isXcconfigFile(file))) {
+    options.iosPlans.set(
+      filePath,
+      await planIOSFile(filePath, currentProjectVersion, marketingVersion, options)
+    );
+  }
+}
+
+/**
+ * Calculate the updates of a single iOS project.pbxproj file without writing them
+ * Each target is bumped from its own current values
  * @param {string} filePath - Path to project.pbxproj file
  * @param {number|boolean} currentProjectVersion - New project version or true for auto-increment
  * @param {string|boolean|null} marketingVersion - New marketing version, true for auto-increment, or null to skip
  * @param {Object} options - Configuration options
- * @returns {Object|null} Result object or null if processing failed
+ * @returns {Object|null} File content and target updates, or null if the file can't be updated
  */
-async function processIOSFile(filePath, currentProjectVersion, marketingVersion, options) {
+async function planIOSFile(filePath, currentProjectVersion, marketingVersion, options) {
   if (!fs.existsSync(filePath)) {
     console.warn(chalk.yellow(`⚠️  iOS project.pbxproj not found: ${filePath}`));
     return null;
   }
 
-  let content = fs.readFileSync(filePath, 'utf8');
+  const content = fs.readFileSync(filePath, 'utf8');
 
-  // Find current values (there might be multiple occurrences in the file)
-  const currentProjectVersionMatches = content.match(/CURRENT_PROJECT_VERSION = (\d+);/g);
-  const marketingVersionMatches = content.match(/MARKETING_VERSION = ([^;]+);/g);
+  let versionTargets;
+  try {
+    versionTargets = findVersionTargets(parsePbxproj(content), filePath);
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Skipping ${filePath}: ${error.message}`));
+    return null;
+  }
 
-  if (!currentProjectVersionMatches || !marketingVersionMatches) {
+  if (versionTargets.length === 0) {
     console.warn(chalk.yellow(`⚠️  Could not find version values in: ${filePath}`));
     return null;
   }
 
-  // Extract the first occurrence values for processing
-  const currentProjectVersionValue = currentProjectVersionMatches[0].match(/(\d+)/)[1];
-  const marketingVersionValue = marketingVersionMatches[0].match(/MARKETING_VERSION = ([^;]+);/)[1];
+  const targets = selectIOSTargets(versionTargets, options.iosTargets, filePath);
+
+  if (targets.length === 0) {
+    return null;
+  }
+
+  // Configurations that disagree need a baseline before their versions can be bumped
+  await resolveConfigurationDrift(
+    filePath,
+    targets,
+    { currentProjectVersion, marketingVersion },
+    options
+  );
+
+  const updates = targets.map((target) =>
+    calculateTargetUpdate(target, currentProjectVersion, marketingVersion, options)
+  );
+
+  // Extensions must ship with the host app's versions; check before anything is written
+  enforceExtensionParity(filePath, versionTargets, updates, options);
+
+  return { content, updates };
+}
+
+/**
+ * Process a single iOS project.pbxproj file for version updates
+ * Only the build settings of each target's configurations are rewritten. A plan made by
+ * checkIOSVersions is used when there is one.
+ * @param {string} filePath - Path to project.pbxproj file
+ * @param {number|boolean} currentProjectVersion - New project version or true for auto-increment
+ * @param {string|boolean|null} marketingVersion - New marketing version, true for auto-increment, or null to skip
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} Result object or null if processing failed
+ */
+async function processIOSFile(filePath, currentProjectVersion, marketingVersion, options) {
+  const plan = options.iosPlans?.has(filePath)
+    ? options.iosPlans.get(filePath)
+    : await planIOSFile(filePath, currentProjectVersion, marketingVersion, options);
+  options.iosPlans?.delete(filePath);
+
+  if (!plan) {
+    return null;
+  }
+
+  const { content, updates } = plan;
 
   console.log(
     chalk.cyan.bold(
@@ -67,140 +258,1065 @@ async function processIOSFile(filePath, currentProjectVersion, marketingVersion,
     )
   );
 
-  // Calculate new version values
-  const newCurrentProjectVersion =
-    currentProjectVersion !== null
-      ? calculateNewBuildNumber(currentProjectVersion, currentProjectVersionValue)
-      : parseInt(currentProjectVersionValue);
-  const newMarketingVersion =
-    marketingVersion !== null
-      ? calculateNewSemanticVersion(
-          marketingVersion,
-          marketingVersionValue,
-          options.increment || 'patch'
-        )
-      : marketingVersionValue;
-
-  // Update file content with new versions (updates all occurrences)
-  content = updateIOSFileContent(
-    content,
-    newCurrentProjectVersion,
-    newMarketingVersion,
-    currentProjectVersion !== null,
-    marketingVersion !== null
-  );
+  // Info.plist files with hardcoded versions are updated along with the build settings
+  const infoPlistUpdates = prepareInfoPlistUpdates(filePath, updates);
 
-  // Write updated content back to file (unless dry run)
+  // Write updated content back to files (unless dry run)
+  const edits = updates.flatMap((update) => update.edits);
+  const updatedContent = updatePbxprojContent(content, getPbxprojEdits(edits));
+  writeXcconfigEdits(edits, options);
   if (!options.dryRun) {
-    fs.writeFileSync(filePath, content);
+    if (updatedContent !== content) {
+      fs.writeFileSync(filePath, updatedContent);
+    }
+    for (const infoPlist of infoPlistUpdates) {
+      if (infoPlist.edits.length > 0) {
+        fs.writeFileSync(infoPlist.path, updatePlistContent(infoPlist.content, infoPlist.edits));
+      }
+    }
   }
 
   // Record changes for summary display
-  recordIOSChanges(
+  for (const update of updates) {
+    recordIOSChanges(filePath, update, options);
+  }
+  for (const infoPlist of infoPlistUpdates) {
+    recordInfoPlistChanges(infoPlist, options);
+  }
+
+  const primary = updates.find((update) => update.isApplication) || updates[0];
+
+  // Update package.json if this is the first iOS file processed and marketingVersion was updated
+  if (
+    !options.packageJsonUpdated &&
+    options.packageJsonPath &&
+    marketingVersion !== null &&
+    primary.newMarketingVersion !== undefined
+  ) {
+    await updatePackageJsonVersion(options.packageJsonPath, primary.newPackageVersion, options);
+    options.packageJsonUpdated = true;
+  }
+
+  return {
     filePath,
-    currentProjectVersionValue,
-    newCurrentProjectVersion,
-    marketingVersionValue,
-    newMarketingVersion,
-    currentProjectVersion !== null,
-    marketingVersion !== null,
-    options
+    currentProjectVersion: primary.newCurrentProjectVersion,
+    marketingVersion: primary.newMarketingVersion,
+    targets: updates.map((update) => ({
+      name: update.name,
+      currentProjectVersion: update.newCurrentProjectVersion,
+      marketingVersion: update.newMarketingVersion,
+    })),
+  };
+}
+
+/**
+ * Process an .xcconfig file for version updates
+ * The settings are looked up through #include chains and updated in the file defining them
+ * @param {string} filePath - Path to the .xcconfig file
+ * @param {number|boolean} currentProjectVersion - New project version or true for auto-increment
+ * @param {string|boolean|null} marketingVersion - New marketing version, true for auto-increment, or null to skip
+ * @param {Object} options - Configuration options
+ * @returns {Object|null} Result object or null if processing failed
+ */
+async function processXcconfigFile(filePath, currentProjectVersion, marketingVersion, options) {
+  if (!fs.existsSync(filePath)) {
+    console.warn(chalk.yellow(`⚠️  iOS .xcconfig not found: ${filePath}`));
+    return null;
+  }
+
+  let configuration;
+  const lookups = [(setting) => findXcconfigSetting(filePath, setting)];
+  const unresolved = new Set();
+  try {
+    configuration = {
+      name: null,
+      currentProjectVersion: resolveBuildSetting(lookups, [], BUILD_NUMBER_SETTING, unresolved),
+      marketingVersion: resolveBuildSetting(lookups, [], MARKETING_VERSION_SETTING, unresolved),
+    };
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Skipping ${filePath}: ${error.message}`));
+    return null;
+  }
+
+  for (const description of unresolved) {
+    console.warn(chalk.yellow(`⚠️  Leaving ${description} alone in: ${filePath}`));
+  }
+
+  if (!configuration.currentProjectVersion && !configuration.marketingVersion) {
+    console.warn(chalk.yellow(`⚠️  Could not find version values in: ${filePath}`));
+    return null;
+  }
+
+  // Settings already updated through a project's baseConfigurationReference
+  const updatedSettings = options.updatedXcconfigSettings || new Set();
+  for (const key of ['currentProjectVersion', 'marketingVersion']) {
+    if (configuration[key] && updatedSettings.has(getXcconfigSettingId(configuration[key]))) {
+      configuration[key] = undefined;
+    }
+  }
+
+  if (!configuration.currentProjectVersion && !configuration.marketingVersion) {
+    return null;
+  }
+
+  console.log(
+    chalk.cyan.bold(
+      `Processing iOS file: ${path.relative(options.projectRoot || process.cwd(), filePath)}`
+    )
   );
 
+  const target = { id: null, name: null, productType: null, configurations: [configuration] };
+  const update = calculateTargetUpdate(target, currentProjectVersion, marketingVersion, options);
+
+  writeXcconfigEdits(update.edits, options);
+  recordIOSChanges(filePath, update, options);
+
   // Update package.json if this is the first iOS file processed and marketingVersion was updated
-  if (!options.packageJsonUpdated && options.packageJsonPath && marketingVersion !== null) {
-    await updatePackageJsonVersion(options.packageJsonPath, newMarketingVersion, options);
+  if (!options.packageJsonUpdated && options.packageJsonPath && update.updateMarketingVersion) {
+    await updatePackageJsonVersion(options.packageJsonPath, update.newPackageVersion, options);
     options.packageJsonUpdated = true;
   }
 
   return {
     filePath,
-    currentProjectVersion: newCurrentProjectVersion,
-    marketingVersion: newMarketingVersion,
+    currentProjectVersion: update.newCurrentProjectVersion,
+    marketingVersion: update.newMarketingVersion,
   };
 }
 
 /**
- * Update the content of project.pbxproj file with new version values
- * Performs regex replacements for CURRENT_PROJECT_VERSION and optionally MARKETING_VERSION
- * Updates all occurrences in the file to maintain consistency
- * @param {string} content - Original file content
- * @param {number} newCurrentProjectVersion - New current project version value
- * @param {string} newMarketingVersion - New marketing version value
- * @param {boolean} updateCurrentProjectVersion - Whether to update CURRENT_PROJECT_VERSION
- * @param {boolean} updateMarketingVersion - Whether to update MARKETING_VERSION
- * @returns {string} Updated file content
+ * Check whether a configured iOS file is an .xcconfig file
+ * @param {string} filePath - Configured file path
+ * @returns {boolean} True for .xcconfig files
  */
-function updateIOSFileContent(
-  content,
-  newCurrentProjectVersion,
-  newMarketingVersion,
-  updateCurrentProjectVersion,
-  updateMarketingVersion
-) {
-  // Update CURRENT_PROJECT_VERSION only if requested (all occurrences)
-  if (updateCurrentProjectVersion) {
-    content = content.replace(
-      /CURRENT_PROJECT_VERSION = \d+;/g,
-      `CURRENT_PROJECT_VERSION = ${newCurrentProjectVersion};`
+function isXcconfigFile(filePath) {
+  return path.extname(filePath) === '.xcconfig';
+}
+
+/**
+ * Identify an .xcconfig setting definition across files
+ * @param {Object} definition - Definition returned by findXcconfigSetting
+ * @returns {string} Identifier made of the file and value offset
+ */
+function getXcconfigSettingId(definition) {
+  return `${definition.filePath}:${definition.start}`;
+}
+
+/**
+ * Pick the edits that target the project.pbxproj itself
+ * Settings referenced by several configurations (e.g. a project-level APP_VERSION) are edited once
+ * @param {Array<Object>} edits - Value edits; .xcconfig edits carry their filePath
+ * @returns {Array<Object>} project.pbxproj edits with distinct ranges
+ */
+function getPbxprojEdits(edits) {
+  const editsByStart = new Map();
+  for (const edit of edits.filter((candidate) => !candidate.filePath)) {
+    if (!editsByStart.has(edit.start)) {
+      editsByStart.set(edit.start, edit);
+    }
+  }
+  return [...editsByStart.values()];
+}
+
+/**
+ * Apply the edits that target .xcconfig files
+ * Configurations sharing an .xcconfig produce the same edit, which is applied once. Updated
+ * settings are remembered so a listed .xcconfig isn't bumped again.
+ * @param {Array<Object>} edits - Value edits; .xcconfig edits carry their filePath
+ * @param {Object} options - Configuration options
+ */
+function writeXcconfigEdits(edits, options) {
+  options.updatedXcconfigSettings = options.updatedXcconfigSettings || new Set();
+  const editsByFile = new Map();
+
+  for (const edit of edits.filter((candidate) => candidate.filePath)) {
+    const settingId = getXcconfigSettingId(edit);
+    if (options.updatedXcconfigSettings.has(settingId)) {
+      continue;
+    }
+    options.updatedXcconfigSettings.add(settingId);
+
+    editsByFile.set(edit.filePath, [...(editsByFile.get(edit.filePath) || []), edit]);
+  }
+
+  if (options.dryRun) {
+    return;
+  }
+
+  for (const [xcconfigPath, xcconfigEdits] of editsByFile) {
+    const content = fs.readFileSync(xcconfigPath, 'utf8');
+    fs.writeFileSync(xcconfigPath, updateXcconfigContent(content, xcconfigEdits));
+  }
+}
+
+/**
+ * Find the targets of a parsed project that carry version build settings
+ * Settings missing from a configuration's buildSettings are looked up in the .xcconfig its
+ * baseConfigurationReference points to. Values like $(APP_VERSION) are followed to the setting
+ * that defines them. Projects without PBXNativeTarget objects fall back to a single unnamed
+ * target holding every build configuration.
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @param {string} filePath - Path to the project.pbxproj file, used to locate .xcconfig files
+ * @returns {Array<Object>} Targets with id, name, productType, embedded target ids and versioned
+ *   configurations
+ */
+function findVersionTargets(root, filePath) {
+  const projectConfigurations = getProjectBuildConfigurations(root);
+  const unresolved = new Set();
+
+  const nativeTargets = getNativeTargets(root);
+  const targets =
+    nativeTargets.length > 0
+      ? nativeTargets
+      : [
+          {
+            id: null,
+            name: null,
+            productType: null,
+            buildConfigurations: getAllBuildConfigurations(root),
+          },
+        ];
+
+  const versionTargets = targets
+    .map((target) => ({
+      id: target.id,
+      name: target.name,
+      productType: target.productType,
+      embeddedTargetIds: target.node ? getEmbeddedTargetIds(root, target) : [],
+      configurations: target.buildConfigurations
+        .map((configuration) => {
+          // Referenced settings may also come from the project-level configuration
+          const projectConfiguration = projectConfigurations.find(
+            (candidate) =>
+              candidate.name === configuration.name && candidate.id !== configuration.id
+          );
+          const lookups = getSettingLookups(root, configuration, filePath);
+          const inheritedLookups = projectConfiguration
+            ? getSettingLookups(root, projectConfiguration, filePath)
+            : [];
+          const getSetting = (setting) =>
+            resolveBuildSetting(lookups, inheritedLookups, setting, unresolved);
+
+          return {
+            name: configuration.name,
+            currentProjectVersion: getSetting(BUILD_NUMBER_SETTING),
+            marketingVersion: getSetting(MARKETING_VERSION_SETTING),
+            infoPlistFile: findSetting(lookups, 'INFOPLIST_FILE')?.value,
+          };
+        })
+        .filter(
+          (configuration) => configuration.currentProjectVersion || configuration.marketingVersion
+        ),
+    }))
+    .filter((target) => target.configurations.length > 0);
+
+  for (const description of unresolved) {
+    console.warn(chalk.yellow(`⚠️  Leaving ${description} alone in: ${filePath}`));
+  }
+
+  return versionTargets;
+}
+
+/**
+ * Get the places a build configuration's settings come from, in precedence order
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @param {Object} configuration - Build configuration from pbxproj.js
+ * @param {string} filePath - Path to the project.pbxproj file
+ * @returns {Array<Function>} Lookups taking a setting name and returning its definition
+ */
+function getSettingLookups(root, configuration, filePath) {
+  const xcconfigPath = resolveBaseConfigurationPath(root, configuration, filePath);
+
+  return [
+    (setting) => getBuildSetting(configuration, setting),
+    (setting) => (xcconfigPath ? findXcconfigSetting(xcconfigPath, setting) : null),
+  ];
+}
+
+/**
+ * Find the first definition of a setting
+ * @param {Array<Function>} lookups - Lookups returned by getSettingLookups
+ * @param {string} setting - Build setting name
+ * @returns {Object|undefined} Definition
+ */
+function findSetting(lookups, setting) {
+  for (const lookup of lookups) {
+    const definition = lookup(setting);
+    if (definition) {
+      return definition;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Find the definition holding the literal value of a version setting
+ * A value such as $(APP_VERSION) is followed to the definition of APP_VERSION, which may also
+ * come from the inherited (project-level) settings. Values that can't be followed, like
+ * $(APP_VERSION).1 or an undefined variable, are left alone with a warning.
+ * @param {Array<Function>} lookups - Lookups of the configuration itself
+ * @param {Array<Function>} inheritedLookups - Lookups of the settings it inherits
+ * @param {string} setting - Build setting name
+ * @param {Set<string>} unresolved - Collects the settings left alone, with the reason
+ * @returns {Object|undefined} Definition with the literal value; followed definitions carry the
+ *   name of the referenced setting
+ */
+function resolveBuildSetting(lookups, inheritedLookups, setting, unresolved) {
+  let definition = findSetting(lookups, setting);
+  const followed = [setting];
+
+  while (definition && BUILD_SETTING_REFERENCE_PATTERN.test(definition.value)) {
+    const match = definition.value.match(VARIABLE_REFERENCE_PATTERN);
+    const reference = match && (match[1] || match[2]);
+
+    if (!reference || followed.includes(reference)) {
+      unresolved.add(
+        `${setting} = ${definition.value} (only a single $(VARIABLE) reference can be followed)`
+      );
+      return undefined;
+    }
+
+    followed.push(reference);
+    const referenced = findSetting([...lookups, ...inheritedLookups], reference);
+    if (!referenced) {
+      unresolved.add(`${setting} = ${definition.value} (${reference} isn't defined)`);
+      return undefined;
+    }
+    definition = { ...referenced, reference };
+  }
+
+  return definition;
+}
+
+/**
+ * Resolve the .xcconfig file a build configuration is based on
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @param {Object} configuration - Build configuration from pbxproj.js
+ * @param {string} filePath - Path to the project.pbxproj file
+ * @returns {string|null} Absolute .xcconfig path, or null if there is none or it doesn't exist
+ */
+function resolveBaseConfigurationPath(root, configuration, filePath) {
+  if (!configuration.baseConfigurationReference) {
+    return null;
+  }
+
+  const referencePath = getFileReferencePath(root, configuration.baseConfigurationReference);
+  if (!referencePath) {
+    return null;
+  }
+
+  // Paths are relative to the project directory (the folder holding the .xcodeproj)
+  const xcconfigPath = path.resolve(path.dirname(path.dirname(filePath)), referencePath);
+  return fs.existsSync(xcconfigPath) ? xcconfigPath : null;
+}
+
+/**
+ * Pick the targets to update based on requested target names
+ * Without requested names every target except test bundles is updated. With names, the
+ * application target is always updated together with the listed targets (e.g. extensions).
+ * @param {Array<Object>} targets - Versioned targets found in the project
+ * @param {Array<string>|undefined} requestedTargets - Target names from --ios-target or ios.targets
+ * @param {string} filePath - Path to the project.pbxproj file, used for warnings
+ * @returns {Array<Object>} Targets to update
+ */
+function selectIOSTargets(targets, requestedTargets, filePath) {
+  // Projects without PBXNativeTarget objects have a single unnamed target
+  if (targets.every((target) => target.name === null)) {
+    return targets;
+  }
+
+  if (!requestedTargets || requestedTargets.length === 0) {
+    return targets.filter((target) => !TEST_PRODUCT_TYPES.includes(target.productType));
+  }
+
+  const missingTargets = requestedTargets.filter(
+    (name) => !targets.some((target) => target.name === name)
+  );
+
+  if (missingTargets.length > 0) {
+    const available = targets.map((target) => target.name).join(', ');
+    console.warn(
+      chalk.yellow(
+        `⚠️  Could not find target(s) ${missingTargets.join(', ')} in: ${filePath} (available: ${available})`
+      )
     );
   }
 
-  // Update MARKETING_VERSION only if requested (all occurrences)
-  if (updateMarketingVersion) {
-    content = content.replace(
-      /MARKETING_VERSION = [^;]+;/g,
-      `MARKETING_VERSION = ${newMarketingVersion};`
+  return targets.filter(
+    (target) =>
+      target.productType === APPLICATION_PRODUCT_TYPE || requestedTargets.includes(target.name)
+  );
+}
+
+/**
+ * Get a string build setting node of a configuration
+ * @param {Object} configuration - Build configuration from pbxproj.js
+ * @param {string} setting - Build setting name
+ * @returns {Object|undefined} String node with value and source range
+ */
+function getBuildSetting(configuration, setting) {
+  const node = configuration.buildSettings?.entries.get(setting);
+  return node?.type === 'string' ? node : undefined;
+}
+
+/**
+ * Get the current versions of a target
+ * The values are read from the first configuration that defines each setting
+ * @param {Object} target - Target returned by findVersionTargets
+ * @returns {Object} Raw currentProjectVersion and marketingVersion (undefined when not set)
+ */
+function getCurrentTargetVersions(target) {
+  const getCurrentValue = (key) =>
+    target.baselines?.[key] ??
+    target.configurations.find((configuration) => configuration[key])?.[key].value;
+
+  return {
+    currentProjectVersion: getCurrentValue('currentProjectVersion'),
+    marketingVersion: getCurrentValue('marketingVersion'),
+  };
+}
+
+/**
+ * Find the version settings whose build configurations disagree within a target
+ * @param {Object} target - Target returned by findVersionTargets
+ * @returns {Array<Object>} Drifted settings with key, setting and the value of each
+ *   configuration (configuration, value, filePath)
+ */
+function findConfigurationDrift(target) {
+  return Object.entries(VERSION_KEYS)
+    .map(([setting, key]) => ({
+      key,
+      setting,
+      values: target.configurations
+        .filter((configuration) => configuration[key])
+        .map((configuration) => ({
+          configuration: configuration.name,
+          value: configuration[key].value,
+          filePath: configuration[key].filePath,
+          reference: configuration[key].reference,
+        })),
+    }))
+    .filter(({ values }) => new Set(values.map(({ value }) => value)).size > 1);
+}
+
+/**
+ * Report configuration drift and pick the current value of each drifted setting
+ * Only auto-incremented settings need a baseline: --baseline (highest, first or a configuration
+ * name) is used when given, otherwise interactive runs prompt for it and other runs fail.
+ * Explicit values replace every configuration's value, so their drift is only reported.
+ * @param {string} filePath - Path to the project.pbxproj file
+ * @param {Array<Object>} targets - Targets about to be updated; baselines are stored on them
+ * @param {Object} requested - Requested currentProjectVersion and marketingVersion values
+ * @param {Object} options - Configuration options (baseline, interactive)
+ * @throws {ConfigurationDriftError} If a baseline is needed but wasn't given, or names an
+ *   unknown configuration
+ */
+async function resolveConfigurationDrift(filePath, targets, requested, options) {
+  const relativePath = path.relative(options.projectRoot || process.cwd(), filePath);
+  const unresolved = [];
+
+  for (const target of targets) {
+    // Only null settings are left alone: undefined (plain --ios) is auto-incremented like true
+    const drifts = findConfigurationDrift(target).filter(({ key }) => requested[key] !== null);
+    target.drift = Object.fromEntries(drifts.map(({ key, values }) => [key, values]));
+
+    for (const drift of drifts) {
+      const report = formatDrift(target, drift);
+      const needsBaseline = isAutoIncrement(requested[drift.key]);
+
+      // Drift without a baseline is only listed in the error
+      if (needsBaseline && !options.baseline && !options.interactive) {
+        unresolved.push(report);
+        continue;
+      }
+
+      console.warn(chalk.yellow(`⚠️  Build configurations differ in ${relativePath}:\n${report}`));
+
+      if (!needsBaseline) {
+        continue;
+      }
+
+      const baseline =
+        options.baseline ||
+        (await promptForConfigurationBaseline(target.name, drift.setting, drift.values));
+
+      const { configuration, value } = pickBaseline(drift, baseline, target);
+      console.log(
+        chalk.gray(`Using ${drift.setting} ${value} of ${configuration} as the current version`)
+      );
+      target.baselines = { ...target.baselines, [drift.key]: value };
+    }
+  }
+
+  if (unresolved.length > 0) {
+    throw new ConfigurationDriftError(
+      `Build configurations in ${relativePath} have different versions:\n${unresolved.join('\n')}\n` +
+        `Pass --baseline highest, first or a configuration name to pick the version to bump from.`
     );
   }
+}
 
-  return content;
+/**
+ * Describe a drifted setting with the value of each configuration
+ * @param {Object} target - Target the setting belongs to
+ * @param {Object} drift - Drifted setting returned by findConfigurationDrift
+ * @returns {string} Report line (e.g. "   App: MARKETING_VERSION Debug 1.4.0, Release 1.3.9")
+ */
+function formatDrift(target, drift) {
+  const values = drift.values.map(({ configuration, value }) => `${configuration} ${value}`);
+  return `   ${target.name ? `${target.name}: ` : ''}${drift.setting} ${values.join(', ')}`;
 }
 
 /**
- * Record iOS version changes for summary display
- * Tracks changes to both CURRENT_PROJECT_VERSION and MARKETING_VERSION for final report
- * @param {string} filePath - Path to the file that was modified
- * @param {string} oldCurrentProjectVersion - Previous current project version
- * @param {number} newCurrentProjectVersion - New current project version
- * @param {string} oldMarketingVersion - Previous marketing version
- * @param {string} newMarketingVersion - New marketing version
- * @param {boolean} currentProjectVersionUpdated - Whether current project version was actually updated
- * @param {boolean} marketingVersionUpdated - Whether marketing version was actually updated
+ * Pick the configuration value to bump from
+ * @param {Object} drift - Drifted setting returned by findConfigurationDrift
+ * @param {string} baseline - highest, first or a configuration name
+ * @param {Object} target - Target the setting belongs to
+ * @returns {Object} Chosen configuration and value
+ * @throws {ConfigurationDriftError} If the baseline names an unknown configuration
+ */
+function pickBaseline(drift, baseline, target) {
+  if (baseline === 'first') {
+    return drift.values[0];
+  }
+
+  if (baseline === 'highest') {
+    const compare =
+      drift.key === 'marketingVersion' ? compareSemanticVersions : compareBuildNumbers;
+    return drift.values.reduce((highest, candidate) =>
+      compare(candidate.value, highest.value) > 0 ? candidate : highest
+    );
+  }
+
+  const match = drift.values.find(({ configuration }) => configuration === baseline);
+  if (!match) {
+    const available = [...BASELINES, ...drift.values.map(({ configuration }) => configuration)];
+    throw new ConfigurationDriftError(
+      `Unknown baseline "${baseline}" for ${drift.setting}${target.name ? ` of ${target.name}` : ''} (available: ${available.join(', ')})`
+    );
+  }
+
+  return match;
+}
+
+/**
+ * Find extensions whose versions differ from their host app
+ * Extensions are the app extension and watch targets a host application depends on or embeds,
+ * followed recursively (e.g. a watch app embedding its WatchKit extension)
+ * @param {Array<Object>} targets - Targets returned by findVersionTargets
+ * @param {Function} getVersions - Returns the { currentProjectVersion, marketingVersion } to
+ *   compare for a target
+ * @returns {Array<Object>} Mismatches with host, extension, version key, setting and both values
+ */
+function findExtensionMismatches(targets, getVersions) {
+  const mismatches = [];
+
+  for (const host of targets.filter((target) => target.productType === APPLICATION_PRODUCT_TYPE)) {
+    const hostVersions = getVersions(host);
+
+    for (const extension of findHostExtensions(targets, host)) {
+      const extensionVersions = getVersions(extension);
+
+      for (const [key, setting] of [
+        ['marketingVersion', MARKETING_VERSION_SETTING],
+        ['currentProjectVersion', BUILD_NUMBER_SETTING],
+      ]) {
+        const hostValue = hostVersions[key];
+        const extensionValue = extensionVersions[key];
+
+        if (
+          hostValue !== undefined &&
+          extensionValue !== undefined &&
+          String(hostValue) !== String(extensionValue)
+        ) {
+          mismatches.push({ host, extension, key, setting, hostValue, extensionValue });
+        }
+      }
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Collect the versioned extension targets of a host app
+ * @param {Array<Object>} targets - Targets returned by findVersionTargets
+ * @param {Object} host - Host application target
+ * @returns {Array<Object>} Extension targets
+ */
+function findHostExtensions(targets, host) {
+  const extensions = [];
+  const pending = [...host.embeddedTargetIds];
+  const visited = new Set([host.id]);
+
+  while (pending.length > 0) {
+    const id = pending.shift();
+    if (visited.has(id)) {
+      continue;
+    }
+    visited.add(id);
+
+    const target = targets.find((candidate) => candidate.id === id);
+    if (target && EXTENSION_PRODUCT_TYPES.includes(target.productType)) {
+      extensions.push(target);
+      pending.push(...target.embeddedTargetIds);
+    }
+  }
+
+  return extensions;
+}
+
+/**
+ * Make sure every extension ends up with its host app's versions
+ * With syncExtensions, diverging extensions are given the host's new values (and added to the
+ * updates when they weren't selected); otherwise the bump is refused with a report
+ * @param {string} filePath - Path to the project.pbxproj file
+ * @param {Array<Object>} targets - Targets returned by findVersionTargets
+ * @param {Array<Object>} updates - Target updates, modified in place when syncing
+ * @param {Object} options - Configuration options
+ * @throws {ExtensionVersionMismatchError} If extensions diverge and syncExtensions isn't set
+ */
+function enforceExtensionParity(filePath, targets, updates, options) {
+  const getFinalVersions = (target) => {
+    const update = updates.find((candidate) => candidate.id === target.id);
+    return update
+      ? {
+          currentProjectVersion: update.newCurrentProjectVersion,
+          marketingVersion: update.newMarketingVersion,
+        }
+      : getCurrentTargetVersions(target);
+  };
+
+  const mismatches = findExtensionMismatches(targets, getFinalVersions);
+
+  if (mismatches.length === 0) {
+    return;
+  }
+
+  if (!options.syncExtensions) {
+    const relativePath = path.relative(options.projectRoot || process.cwd(), filePath);
+    // Report the values on disk; the host's new value is added when the bump changes it
+    const report = mismatches
+      .map(({ host, extension, key, setting, hostValue }) => {
+        const extensionValue = getCurrentTargetVersions(extension)[key];
+        const currentHostValue = getCurrentTargetVersions(host)[key];
+        const bump =
+          String(currentHostValue) === String(hostValue) ? '' : `, bumping to ${hostValue}`;
+        return `   ${extension.name}: ${setting} ${extensionValue} (${host.name} has ${currentHostValue}${bump})`;
+      })
+      .join('\n');
+
+    throw new ExtensionVersionMismatchError(
+      `App extensions in ${relativePath} don't match their host app:\n${report}\n` +
+        'Pass --sync-extensions to give extensions the version of their host app.'
+    );
+  }
+
+  for (const extension of new Set(mismatches.map((mismatch) => mismatch.extension))) {
+    const host = mismatches.find((mismatch) => mismatch.extension === extension).host;
+    const hostVersions = getFinalVersions(host);
+    const syncedUpdate = calculateTargetUpdate(
+      extension,
+      hostVersions.currentProjectVersion ?? null,
+      hostVersions.marketingVersion ?? null,
+      options
+    );
+
+    const index = updates.findIndex((update) => update.id === extension.id);
+    if (index === -1) {
+      updates.push(syncedUpdate);
+    } else {
+      updates[index] = syncedUpdate;
+    }
+  }
+}
+
+/**
+ * Calculate the new versions of a target and the edits applying them
+ * The current values are the chosen baselines of drifted settings, otherwise the values of the
+ * first configuration that defines each setting
+ * @param {Object} target - Target returned by findVersionTargets
+ * @param {number|boolean|null} currentProjectVersion - Requested build number
+ * @param {string|boolean|null} marketingVersion - Requested marketing version
+ * @param {Object} options - Configuration options
+ * @returns {Object} Target update with current and new values and the value edits
+ */
+function calculateTargetUpdate(target, currentProjectVersion, marketingVersion, options) {
+  const {
+    currentProjectVersion: currentCurrentProjectVersion,
+    marketingVersion: currentMarketingVersion,
+  } = getCurrentTargetVersions(target);
+
+  const updateMarketingVersion = marketingVersion !== null && currentMarketingVersion !== undefined;
+  const updateCurrentProjectVersion =
+    currentProjectVersion !== null && currentCurrentProjectVersion !== undefined;
+
+  // Calculate new version values. MARKETING_VERSION only holds the version core, so prereleases
+  // are bumped from the full version in package.json and written without their prerelease
+  const newPackageVersion = updateMarketingVersion
+    ? calculateNewSemanticVersion(
+        marketingVersion,
+        getFullMarketingVersion(currentMarketingVersion, options),
+        options.increment || 'patch',
+        getVersionContext(options)
+      )
+    : currentMarketingVersion;
+  const newMarketingVersion = updateMarketingVersion
+    ? getCoreVersion(newPackageVersion)
+    : currentMarketingVersion;
+
+  // ios.prereleaseBuildNumbers turns the prerelease into the build number (beta.3 → 203)
+  const prereleaseBuildNumber =
+    updateMarketingVersion && isAutoIncrement(currentProjectVersion)
+      ? encodePrereleaseBuildNumber(newPackageVersion, options.prereleaseBuildNumbers)
+      : undefined;
+
+  // With the reset-on-version-change policy a new marketing version restarts the build number,
+  // unless an explicit build number was requested
+  const resetCurrentProjectVersion =
+    options.buildNumberPolicy === RESET_ON_VERSION_CHANGE &&
+    isAutoIncrement(currentProjectVersion) &&
+    newMarketingVersion !== currentMarketingVersion;
+
+  let newCurrentProjectVersion =
+    currentCurrentProjectVersion !== undefined
+      ? toBuildNumber(currentCurrentProjectVersion)
+      : undefined;
+  if (updateCurrentProjectVersion && prereleaseBuildNumber !== undefined) {
+    newCurrentProjectVersion = prereleaseBuildNumber;
+  } else if (updateCurrentProjectVersion) {
+    newCurrentProjectVersion = resetCurrentProjectVersion
+      ? (options.buildNumberStart ?? 1)
+      : calculateNewBuildNumber(currentProjectVersion, currentCurrentProjectVersion, {
+          strategy: options.buildStrategy,
+          version: newMarketingVersion,
+          now: options.now,
+          dotted: true,
+          component: options.buildNumberComponent,
+          versioning: options.versioning,
+        });
+  }
+
+  const edits = [];
+  for (const configuration of target.configurations) {
+    if (updateCurrentProjectVersion && configuration.currentProjectVersion) {
+      edits.push({ ...configuration.currentProjectVersion, value: newCurrentProjectVersion });
+    }
+    if (updateMarketingVersion && configuration.marketingVersion) {
+      edits.push({ ...configuration.marketingVersion, value: newMarketingVersion });
+    }
+  }
+
+  return {
+    id: target.id,
+    name: target.name,
+    infoPlistFiles: [
+      ...new Set(
+        target.configurations
+          .map((configuration) => configuration.infoPlistFile)
+          .filter((infoPlistFile) => infoPlistFile !== undefined)
+      ),
+    ],
+    isApplication: target.productType === APPLICATION_PRODUCT_TYPE,
+    currentCurrentProjectVersion,
+    newCurrentProjectVersion,
+    currentMarketingVersion,
+    newMarketingVersion,
+    newPackageVersion,
+    updateCurrentProjectVersion,
+    updateMarketingVersion,
+    sources: {
+      currentProjectVersion: getSettingSources(target, 'currentProjectVersion'),
+      marketingVersion: getSettingSources(target, 'marketingVersion'),
+    },
+    drift: target.drift || {},
+    edits,
+  };
+}
+
+/**
+ * Find the version to bump MARKETING_VERSION from
+ * MARKETING_VERSION can't hold a prerelease, so a prerelease in package.json with the same
+ * version core (2.0.0-beta.3 for 2.0.0) is the current version
+ * @param {string} currentMarketingVersion - Current MARKETING_VERSION value
+ * @param {Object} options - Configuration options with the currentPackageVersion read before
+ *   any update
+ * @returns {string} Version to bump
+ */
+function getFullMarketingVersion(currentMarketingVersion, options) {
+  const packageVersion = options.currentPackageVersion;
+  if (
+    !packageVersion ||
+    packageVersion === currentMarketingVersion ||
+    getCoreVersion(packageVersion) !== currentMarketingVersion
+  ) {
+    return currentMarketingVersion;
+  }
+
+  return parseSemanticVersion(packageVersion).prerelease.length > 0
+    ? packageVersion
+    : currentMarketingVersion;
+}
+
+/**
+ * Encode the prerelease of a version as a build number using ios.prereleaseBuildNumbers
+ * Each prerelease identifier maps to a base that its counter is added to, so with
+ * { beta: 200, rc: 300 } 2.0.0-beta.3 builds 203 and 2.0.0-rc.0 builds 300. The `release` entry,
+ * if any, is the build number of the final version.
+ * @param {string} version - New full version
+ * @param {Object} mapping - Base build number by prerelease identifier
+ * @returns {number|undefined} Build number, or undefined when the mapping doesn't apply
+ * @throws {Error} If the prerelease identifier has no entry in the mapping
+ */
+function encodePrereleaseBuildNumber(version, mapping) {
+  if (!mapping) {
+    return undefined;
+  }
+
+  let prerelease;
+  try {
+    ({ prerelease } = parseSemanticVersion(version));
+  } catch (error) {
+    // Values that aren't semantic versions keep the usual build number
+    return undefined;
+  }
+
+  if (prerelease.length === 0) {
+    return mapping.release;
+  }
+
+  const preid = typeof prerelease[0] === 'string' ? prerelease[0] : '';
+  if (mapping[preid] === undefined) {
+    throw new Error(
+      `Cannot encode ${version} as a build number: ios.prereleaseBuildNumbers has no "${preid}" entry`
+    );
+  }
+
+  const counter = [...prerelease].reverse().find((identifier) => typeof identifier === 'number');
+  return mapping[preid] + (counter ?? 0);
+}
+
+/**
+ * Check whether a requested value asks for auto-increment instead of an explicit value
+ * Full --ios runs leave the values undefined, --ios-build-number without a number passes true
+ * @param {number|string|boolean|null|undefined} value - Requested value
+ * @returns {boolean} True when the value is undefined or true
+ */
+function isAutoIncrement(value) {
+  return value === undefined || value === true;
+}
+
+/**
+ * Convert a CURRENT_PROJECT_VERSION value to a build number
+ * Dotted build numbers (4.2.17) stay strings, plain ones become integers
+ * @param {string} value - Build setting value
+ * @returns {number|string} Build number
+ */
+function toBuildNumber(value) {
+  return String(value).includes('.') ? value : parseInt(value);
+}
+
+/**
+ * List where the values of a version setting of a target are defined
+ * @param {Object} target - Version target returned by findVersionTargets
+ * @param {string} key - Configuration key (currentProjectVersion or marketingVersion)
+ * @returns {Array<Object>} Distinct sources with the .xcconfig filePath (undefined for values set
+ *   in the project itself) and the followed reference, if any
+ */
+function getSettingSources(target, key) {
+  const sources = new Map();
+
+  for (const configuration of target.configurations.filter((candidate) => candidate[key])) {
+    const { filePath, reference } = configuration[key];
+    sources.set(`${filePath}:${reference}`, { filePath, reference });
+  }
+
+  return [...sources.values()];
+}
+
+/**
+ * Work out the Info.plist edits for the updated targets
+ * Each target's INFOPLIST_FILE is read; hardcoded CFBundleShortVersionString/CFBundleVersion
+ * values get the target's new versions, while $(VARIABLE) references are left alone because
+ * they already follow the build settings
+ * @param {string} filePath - Path to the project.pbxproj file
+ * @param {Array<Object>} updates - Target updates returned by calculateTargetUpdate
+ * @returns {Array<Object>} Info.plist files with path, content, edits and per-key entries
+ */
+function prepareInfoPlistUpdates(filePath, updates) {
+  const infoPlists = new Map();
+
+  for (const update of updates) {
+    for (const infoPlistFile of update.infoPlistFiles) {
+      const infoPlistPath = resolveInfoPlistPath(filePath, infoPlistFile);
+      if (!infoPlistPath || infoPlists.has(infoPlistPath)) {
+        continue;
+      }
+
+      const infoPlist = readInfoPlist(infoPlistPath);
+      if (!infoPlist) {
+        continue;
+      }
+
+      infoPlist.target = update.name;
+      infoPlist.edits = [];
+      infoPlist.entries = [];
+      infoPlists.set(infoPlistPath, infoPlist);
+
+      const settings = [
+        [MARKETING_VERSION_SETTING, update.updateMarketingVersion, update.newMarketingVersion],
+        [BUILD_NUMBER_SETTING, update.updateCurrentProjectVersion, update.newCurrentProjectVersion],
+      ];
+
+      for (const [setting, updated, newValue] of settings) {
+        const key = INFO_PLIST_KEYS[setting];
+        const current = infoPlist.strings.get(key);
+        if (!updated || !current) {
+          continue;
+        }
+
+        if (BUILD_SETTING_REFERENCE_PATTERN.test(current.value)) {
+          infoPlist.entries.push({ key, variable: true, oldValue: current.value });
+        } else {
+          infoPlist.edits.push({ ...current, value: newValue });
+          infoPlist.entries.push({ key, variable: false, oldValue: current.value, newValue });
+        }
+      }
+    }
+  }
+
+  return [...infoPlists.values()];
+}
+
+/**
+ * Resolve an INFOPLIST_FILE build setting to a file path
+ * Paths are relative to the project directory (the folder holding the .xcodeproj);
+ * a leading $(SRCROOT) is supported, other build setting references are not followed
+ * @param {string} filePath - Path to the project.pbxproj file
+ * @param {string} infoPlistFile - INFOPLIST_FILE value
+ * @returns {string|null} Absolute Info.plist path, or null if it can't be resolved
+ */
+function resolveInfoPlistPath(filePath, infoPlistFile) {
+  const relativePath = infoPlistFile.replace(/^\$[({](SRCROOT|PROJECT_DIR)[)}]\/?/, '');
+
+  if (BUILD_SETTING_REFERENCE_PATTERN.test(relativePath)) {
+    console.warn(
+      chalk.yellow(`⚠️  Could not resolve INFOPLIST_FILE ${infoPlistFile} in: ${filePath}`)
+    );
+    return null;
+  }
+
+  const projectDir = path.dirname(path.dirname(filePath));
+  return path.resolve(projectDir, relativePath);
+}
+
+/**
+ * Read the string values of an Info.plist
+ * @param {string} infoPlistPath - Path to the Info.plist
+ * @returns {Object|null} Info.plist with path, content and strings, or null if it can't be read
+ */
+function readInfoPlist(infoPlistPath) {
+  if (!fs.existsSync(infoPlistPath)) {
+    console.warn(chalk.yellow(`⚠️  Info.plist not found: ${infoPlistPath}`));
+    return null;
+  }
+
+  const content = fs.readFileSync(infoPlistPath, 'utf8');
+
+  try {
+    return { path: infoPlistPath, content, strings: findPlistStrings(content) };
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Skipping ${infoPlistPath}: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Record Info.plist version changes for summary display
+ * Hardcoded values show their old and new versions; variable references are listed as
+ * unchanged so it's clear the value comes from the build settings
+ * @param {Object} infoPlist - Info.plist returned by prepareInfoPlistUpdates
  * @param {Object} options - Configuration options containing changes array
  */
-function recordIOSChanges(
-  filePath,
-  oldCurrentProjectVersion,
-  newCurrentProjectVersion,
-  oldMarketingVersion,
-  newMarketingVersion,
-  currentProjectVersionUpdated,
-  marketingVersionUpdated,
-  options
-) {
+function recordInfoPlistChanges(infoPlist, options) {
   options.changes = options.changes || [];
 
-  // Record CURRENT_PROJECT_VERSION changes only if it was updated
-  if (currentProjectVersionUpdated) {
+  for (const entry of infoPlist.entries) {
     options.changes.push({
       platform: 'iOS',
-      file: path.relative(options.projectRoot || process.cwd(), filePath),
-      item: 'CURRENT_PROJECT_VERSION',
-      oldValue: oldCurrentProjectVersion,
-      newValue: newCurrentProjectVersion,
+      file: path.relative(options.projectRoot || process.cwd(), infoPlist.path),
+      ...(infoPlist.target && { target: infoPlist.target }),
+      source: 'INFOPLIST_FILE',
+      item: entry.key,
+      oldValue: entry.oldValue,
+      newValue: entry.variable ? entry.oldValue : entry.newValue,
+      ...(entry.variable && { variable: true }),
     });
   }
+}
 
-  // Record MARKETING_VERSION changes only if it was updated
-  if (marketingVersionUpdated) {
+/**
+ * Record iOS version changes for summary display
+ * Tracks changes to both CURRENT_PROJECT_VERSION and MARKETING_VERSION for final report,
+ * one row per target, or one row per configuration when the configurations disagreed
+ * @param {string} filePath - Path to the file that was modified
+ * @param {Object} update - Target update returned by calculateTargetUpdate
+ * @param {Object} options - Configuration options containing changes array
+ */
+function recordIOSChanges(filePath, update, options) {
+  options.changes = options.changes || [];
+
+  // Values defined in another file (an .xcconfig) are reported against that file, and values
+  // followed through a $(VARIABLE) reference name the variable
+  const recordChange = ({ item, source, configuration, oldValue, newValue }) => {
+    const definedElsewhere = source.filePath && source.filePath !== path.resolve(filePath);
     options.changes.push({
       platform: 'iOS',
-      file: path.relative(options.projectRoot || process.cwd(), filePath),
-      item: 'MARKETING_VERSION',
-      oldValue: oldMarketingVersion,
-      newValue: newMarketingVersion,
+      file: path.relative(
+        options.projectRoot || process.cwd(),
+        definedElsewhere ? source.filePath : filePath
+      ),
+      ...(update.name && { target: update.name }),
+      ...(configuration && { configuration }),
+      item,
+      oldValue,
+      newValue,
+      ...(definedElsewhere && { source: 'xcconfig' }),
+      ...(source.reference && { reference: source.reference }),
     });
+  };
+
+  const recordSetting = (item, key, oldValue, newValue) => {
+    if (update.drift[key]) {
+      for (const { configuration, value, ...source } of update.drift[key]) {
+        recordChange({ item, source, configuration, oldValue: value, newValue });
+      }
+      return;
+    }
+
+    for (const source of update.sources[key]) {
+      recordChange({ item, source, oldValue, newValue });
+    }
+  };
+
+  // Record CURRENT_PROJECT_VERSION changes only if it was updated
+  if (update.updateCurrentProjectVersion) {
+    recordSetting(
+      BUILD_NUMBER_SETTING,
+      'currentProjectVersion',
+      update.currentCurrentProjectVersion,
+      update.newCurrentProjectVersion
+    );
+  }
+
+  // Record MARKETING_VERSION changes only if it was updated
+  if (update.updateMarketingVersion) {
+    recordSetting(
+      MARKETING_VERSION_SETTING,
+      'marketingVersion',
+      update.currentMarketingVersion,
+      update.newMarketingVersion
+    );
   }
 }
 
@@ -208,8 +1324,9 @@ function recordIOSChanges(
  * Parse iOS version information from project.pbxproj file
  * Utility function for reading current version values without updating
  * @param {string} filePath - Path to project.pbxproj file
- * @returns {Object} Object with currentProjectVersion and marketingVersion, or null values if not found
- * @throws {Error} If file doesn't exist
+ * @returns {Object} Object with currentProjectVersion and marketingVersion of the main target
+ *   (null values if not found) and a targets array listing every versioned target
+ * @throws {Error} If file doesn't exist or can't be parsed
  */
 export function parseIOSVersions(filePath) {
   if (!fs.existsSync(filePath)) {
@@ -217,14 +1334,52 @@ export function parseIOSVersions(filePath) {
   }
 
   const content = fs.readFileSync(filePath, 'utf8');
+  const targets = findVersionTargets(parsePbxproj(content), filePath).map((target) => {
+    const { currentProjectVersion, marketingVersion } = getCurrentTargetVersions(target);
+
+    return {
+      name: target.name,
+      productType: target.productType,
+      currentProjectVersion:
+        currentProjectVersion !== undefined ? toBuildNumber(currentProjectVersion) : null,
+      marketingVersion: marketingVersion ?? null,
+    };
+  });
 
-  const currentProjectVersionMatch = content.match(/CURRENT_PROJECT_VERSION = (\d+);/);
-  const marketingVersionMatch = content.match(/MARKETING_VERSION = ([^;]+);/);
+  const primary =
+    targets.find((target) => target.productType === APPLICATION_PRODUCT_TYPE) || targets[0];
 
   return {
-    currentProjectVersion: currentProjectVersionMatch
-      ? parseInt(currentProjectVersionMatch[1])
-      : null,
-    marketingVersion: marketingVersionMatch ? marketingVersionMatch[1] : null,
+    currentProjectVersion: primary?.currentProjectVersion ?? null,
+    marketingVersion: primary?.marketingVersion ?? null,
+    targets,
   };
 }
+
+/**
+ * Check that app extensions share the versions of their host app
+ * App Store Connect rejects uploads where an embedded extension's CFBundleShortVersionString or
+ * CFBundleVersion differs from the app's
+ * @param {string} filePath - Path to project.pbxproj file
+ * @returns {Array<Object>} Mismatches with host and extension target names, the build setting
+ *   and both values (empty when every extension matches)
+ * @throws {Error} If file doesn't exist or can't be parsed
+ */
+export function checkIOSExtensionVersions(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`iOS project.pbxproj not found at: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const targets = findVersionTargets(parsePbxproj(content), filePath);
+
+  return findExtensionMismatches(targets, getCurrentTargetVersions).map(
+    ({ host, extension, setting, hostValue, extensionValue }) => ({
+      host: host.name,
+      extension: extension.name,
+      setting,
+      hostValue,
+      extensionValue,
+    })
+  );
+}
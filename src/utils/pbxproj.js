@@ -0,0 +1,452 @@
+/**
+ * Xcode project.pbxproj parser
+ * Reads the OpenStep property list format while keeping the source range of every value,
+ * so build settings can be edited in place and everything else is written back byte for byte
+ */
+
+// Strings Xcode writes without quotes
+const UNQUOTED_STRING_PATTERN = /^[A-Za-z0-9_$/:.]+$/;
+
+// Characters allowed in unquoted strings when reading
+const UNQUOTED_CHARACTER_PATTERN = /[A-Za-z0-9_$/:.\-+@~]/;
+
+// Escape sequences used in quoted strings
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', "'": "'" };
+
+/**
+ * Parse a project.pbxproj file
+ * @param {string} content - project.pbxproj content
+ * @returns {Object} Root dictionary node. Dictionaries have `entries` (a Map of key to node),
+ *   arrays have `items`, strings have `value` and `quoted`; every node has start/end offsets
+ * @throws {Error} If the content isn't a valid OpenStep property list
+ */
+export function parsePbxproj(content) {
+  const parser = { content, index: 0 };
+  const root = parseValue(parser);
+
+  skipTrivia(parser);
+  if (parser.index < content.length) {
+    throw createParseError(parser, 'unexpected content after the root object');
+  }
+  if (root.type !== 'dict') {
+    throw createParseError(parser, 'the root object must be a dictionary');
+  }
+
+  return root;
+}
+
+/**
+ * Parse the value at the current position
+ * @param {Object} parser - Parser state with content and index
+ * @returns {Object} Parsed node
+ */
+function parseValue(parser) {
+  skipTrivia(parser);
+  const char = parser.content[parser.index];
+
+  if (char === '{') {
+    return parseDictionary(parser);
+  }
+  if (char === '(') {
+    return parseArray(parser);
+  }
+  return parseString(parser);
+}
+
+/**
+ * Parse a `{ key = value; ... }` dictionary
+ * @param {Object} parser - Parser state positioned at the opening brace
+ * @returns {Object} Dictionary node
+ */
+function parseDictionary(parser) {
+  const start = parser.index;
+  const entries = new Map();
+  parser.index++;
+
+  for (;;) {
+    skipTrivia(parser);
+    if (parser.content[parser.index] === '}') {
+      parser.index++;
+      return { type: 'dict', entries, start, end: parser.index };
+    }
+
+    const key = parseString(parser);
+    expectCharacter(parser, '=');
+    const value = parseValue(parser);
+    expectCharacter(parser, ';');
+
+    entries.set(key.value, value);
+  }
+}
+
+/**
+ * Parse a `( item, item, )` array
+ * @param {Object} parser - Parser state positioned at the opening parenthesis
+ * @returns {Object} Array node
+ */
+function parseArray(parser) {
+  const start = parser.index;
+  const items = [];
+  parser.index++;
+
+  for (;;) {
+    skipTrivia(parser);
+    if (parser.content[parser.index] === ')') {
+      parser.index++;
+      return { type: 'array', items, start, end: parser.index };
+    }
+
+    items.push(parseValue(parser));
+
+    skipTrivia(parser);
+    if (parser.content[parser.index] === ',') {
+      parser.index++;
+    } else if (parser.content[parser.index] !== ')') {
+      throw createParseError(parser, 'expected "," or ")"');
+    }
+  }
+}
+
+/**
+ * Parse a quoted or unquoted string
+ * @param {Object} parser - Parser state positioned at the string
+ * @returns {Object} String node with the unescaped value
+ */
+function parseString(parser) {
+  skipTrivia(parser);
+  const { content } = parser;
+  const start = parser.index;
+
+  if (content[start] === '"') {
+    let value = '';
+    parser.index++;
+
+    while (parser.index < content.length && content[parser.index] !== '"') {
+      if (content[parser.index] === '\\') {
+        const escaped = content[parser.index + 1];
+        value += ESCAPES[escaped] ?? escaped;
+        parser.index += 2;
+      } else {
+        value += content[parser.index];
+        parser.index++;
+      }
+    }
+
+    if (parser.index >= content.length) {
+      parser.index = start;
+      throw createParseError(parser, 'unterminated string');
+    }
+
+    parser.index++;
+    return { type: 'string', value, quoted: true, start, end: parser.index };
+  }
+
+  while (
+    parser.index < content.length &&
+    UNQUOTED_CHARACTER_PATTERN.test(content[parser.index]) &&
+    !content.startsWith('/*', parser.index) &&
+    !content.startsWith('//', parser.index)
+  ) {
+    parser.index++;
+  }
+
+  if (parser.index === start) {
+    throw createParseError(parser, 'expected a value');
+  }
+
+  return {
+    type: 'string',
+    value: content.slice(start, parser.index),
+    quoted: false,
+    start,
+    end: parser.index,
+  };
+}
+
+/**
+ * Skip whitespace and comments
+ * @param {Object} parser - Parser state
+ */
+function skipTrivia(parser) {
+  const { content } = parser;
+
+  while (parser.index < content.length) {
+    if (/\s/.test(content[parser.index])) {
+      parser.index++;
+    } else if (content.startsWith('/*', parser.index)) {
+      const commentEnd = content.indexOf('*/', parser.index + 2);
+      if (commentEnd === -1) {
+        throw createParseError(parser, 'unterminated comment');
+      }
+      parser.index = commentEnd + 2;
+    } else if (content.startsWith('//', parser.index)) {
+      const lineEnd = content.indexOf('\n', parser.index);
+      parser.index = lineEnd === -1 ? content.length : lineEnd;
+    } else {
+      return;
+    }
+  }
+}
+
+/**
+ * Consume an expected punctuation character
+ * @param {Object} parser - Parser state
+ * @param {string} char - Expected character
+ * @throws {Error} If a different character is found
+ */
+function expectCharacter(parser, char) {
+  skipTrivia(parser);
+  if (parser.content[parser.index] !== char) {
+    throw createParseError(parser, `expected "${char}"`);
+  }
+  parser.index++;
+}
+
+/**
+ * Create a parse error pointing at the current line
+ * @param {Object} parser - Parser state
+ * @param {string} message - Error description
+ * @returns {Error} Parse error
+ */
+function createParseError(parser, message) {
+  const line = parser.content.slice(0, parser.index).split('\n').length;
+  return new Error(`Invalid project.pbxproj at line ${line}: ${message}`);
+}
+
+/**
+ * Get the string value of a dictionary entry
+ * @param {Object|undefined} dict - Dictionary node
+ * @param {string} key - Entry key
+ * @returns {string|undefined} String value, or undefined if missing or not a string
+ */
+export function getString(dict, key) {
+  const node = dict?.entries.get(key);
+  return node?.type === 'string' ? node.value : undefined;
+}
+
+/**
+ * Get the string items of an array entry, such as a list of object references
+ * @param {Object|undefined} dict - Dictionary node
+ * @param {string} key - Entry key
+ * @returns {Array<string>} String values (empty if the entry is missing)
+ */
+export function getStringList(dict, key) {
+  const node = dict?.entries.get(key);
+  return node?.type === 'array'
+    ? node.items.filter((item) => item.type === 'string').map((item) => item.value)
+    : [];
+}
+
+/**
+ * Get every object of the project keyed by its identifier
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @returns {Map<string, Object>} Object dictionaries by identifier
+ */
+export function getObjects(root) {
+  const objects = root.entries.get('objects');
+  return objects?.type === 'dict' ? objects.entries : new Map();
+}
+
+/**
+ * Get the objects of a given type (e.g. PBXNativeTarget or XCBuildConfiguration)
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @param {string} isa - Object type
+ * @returns {Array<Object>} Objects with id and node
+ */
+export function getObjectsByIsa(root, isa) {
+  return [...getObjects(root)]
+    .filter(([, node]) => node.type === 'dict' && getString(node, 'isa') === isa)
+    .map(([id, node]) => ({ id, node }));
+}
+
+/**
+ * Describe a build configuration object
+ * @param {string} id - Object identifier
+ * @param {Object} node - XCBuildConfiguration dictionary
+ * @returns {Object} Configuration with id, name, buildSettings node and baseConfigurationReference
+ */
+function toBuildConfiguration(id, node) {
+  return {
+    id,
+    name: getString(node, 'name'),
+    buildSettings: node.entries.get('buildSettings'),
+    baseConfigurationReference: getString(node, 'baseConfigurationReference'),
+  };
+}
+
+/**
+ * Get the build configurations of an XCConfigurationList
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @param {string} configurationListId - XCConfigurationList identifier
+ * @returns {Array<Object>} Build configurations in list order
+ */
+export function getBuildConfigurations(root, configurationListId) {
+  const objects = getObjects(root);
+  const configurationList = objects.get(configurationListId);
+
+  return getStringList(configurationList, 'buildConfigurations')
+    .filter((id) => objects.get(id)?.type === 'dict')
+    .map((id) => toBuildConfiguration(id, objects.get(id)));
+}
+
+/**
+ * Get the project-level build configurations, whose settings every target inherits
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @returns {Array<Object>} Build configurations of the PBXProject object
+ */
+export function getProjectBuildConfigurations(root) {
+  const project = getObjects(root).get(getString(root, 'rootObject'));
+  return getBuildConfigurations(root, getString(project, 'buildConfigurationList'));
+}
+
+/**
+ * Get every build configuration in the project, regardless of the target it belongs to
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @returns {Array<Object>} Build configurations in file order
+ */
+export function getAllBuildConfigurations(root) {
+  return getObjectsByIsa(root, 'XCBuildConfiguration').map(({ id, node }) =>
+    toBuildConfiguration(id, node)
+  );
+}
+
+/**
+ * Get the native targets of the project with their build configurations
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @returns {Array<Object>} Targets with id, name, productType, node and buildConfigurations
+ */
+export function getNativeTargets(root) {
+  return getObjectsByIsa(root, 'PBXNativeTarget').map(({ id, node }) => ({
+    id,
+    name: getString(node, 'name'),
+    productType: getString(node, 'productType'),
+    node,
+    buildConfigurations: getBuildConfigurations(root, getString(node, 'buildConfigurationList')),
+  }));
+}
+
+/**
+ * Get the path of a file reference, such as the xcconfig of a baseConfigurationReference
+ * Group-relative paths are joined with the paths of their parent groups
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @param {string} fileReferenceId - PBXFileReference identifier
+ * @returns {string|null} Path relative to the project directory (or absolute), or null if it
+ *   is relative to a build location such as BUILT_PRODUCTS_DIR
+ */
+export function getFileReferencePath(root, fileReferenceId) {
+  const objects = getObjects(root);
+  const parents = new Map();
+
+  for (const isa of ['PBXGroup', 'PBXVariantGroup']) {
+    for (const { id, node } of getObjectsByIsa(root, isa)) {
+      for (const childId of getStringList(node, 'children')) {
+        parents.set(childId, id);
+      }
+    }
+  }
+
+  const segments = [];
+  let id = fileReferenceId;
+
+  while (id) {
+    const node = objects.get(id);
+    const nodePath = getString(node, 'path');
+    const sourceTree = getString(node, 'sourceTree');
+
+    if (nodePath) {
+      segments.unshift(nodePath);
+    }
+    if (sourceTree === '<absolute>' || sourceTree === 'SOURCE_ROOT') {
+      break;
+    }
+    if (sourceTree !== '<group>') {
+      return null;
+    }
+
+    id = parents.get(id);
+  }
+
+  return segments.length > 0 ? segments.join('/') : null;
+}
+
+/**
+ * Get the targets a target depends on or embeds
+ * Combines PBXTargetDependency entries with the products copied by its copy files build
+ * phases (e.g. "Embed App Extensions" or "Embed Watch Content")
+ * @param {Object} root - Root node returned by parsePbxproj
+ * @param {Object} target - Target returned by getNativeTargets
+ * @returns {Array<string>} Identifiers of the dependent targets
+ */
+export function getEmbeddedTargetIds(root, target) {
+  const objects = getObjects(root);
+  const targetIds = new Set();
+
+  for (const dependencyId of getStringList(target.node, 'dependencies')) {
+    const targetId = getString(objects.get(dependencyId), 'target');
+    if (targetId) {
+      targetIds.add(targetId);
+    }
+  }
+
+  // Map product file references back to the target building them
+  const productTargets = new Map(
+    getObjectsByIsa(root, 'PBXNativeTarget').map(({ id, node }) => [
+      getString(node, 'productReference'),
+      id,
+    ])
+  );
+
+  for (const phaseId of getStringList(target.node, 'buildPhases')) {
+    const phase = objects.get(phaseId);
+    if (getString(phase, 'isa') !== 'PBXCopyFilesBuildPhase') {
+      continue;
+    }
+
+    for (const buildFileId of getStringList(phase, 'files')) {
+      const targetId = productTargets.get(getString(objects.get(buildFileId), 'fileRef'));
+      if (targetId) {
+        targetIds.add(targetId);
+      }
+    }
+  }
+
+  return [...targetIds];
+}
+
+/**
+ * Format a string the way Xcode writes it, quoting only when needed
+ * @param {string} value - String value
+ * @returns {string} pbxproj representation
+ */
+export function formatPbxprojString(value) {
+  const text = String(value);
+  if (UNQUOTED_STRING_PATTERN.test(text)) {
+    return text;
+  }
+
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t');
+  return `"${escaped}"`;
+}
+
+/**
+ * Replace string values in place
+ * Only the given value ranges change; formatting, comments and ordering are preserved
+ * @param {string} content - Original project.pbxproj content
+ * @param {Array<Object>} edits - String nodes (start/end offsets) with the new value
+ * @returns {string} Updated content
+ */
+export function updatePbxprojContent(content, edits) {
+  // Apply edits from the end of the file so earlier offsets stay valid
+  const sortedEdits = [...edits].sort((a, b) => b.start - a.start);
+
+  for (const edit of sortedEdits) {
+    content =
+      content.slice(0, edit.start) + formatPbxprojString(edit.value) + content.slice(edit.end);
+  }
+
+  return content;
+}
@@ -0,0 +1,139 @@
+/**
+ * Info.plist reader
+ * Reads the top-level string values of XML property lists together with their source ranges,
+ * so values can be replaced without reformatting the rest of the file
+ */
+
+// Markup that never holds plist elements
+const IGNORED_MARKUP_PATTERN = /^(<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>)/;
+
+// Opening, closing or self-closing element tag
+const TAG_PATTERN = /^<(\/?)([A-Za-z][\w-]*)[^>]*?(\/?)>/;
+
+// Characters escaped in XML text
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Find the string values of the root dictionary of an XML property list
+ * @param {string} content - Info.plist content
+ * @returns {Map<string, Object>} Values by key, each with the decoded value and the start/end
+ *   offsets of its text (self-closing `<string/>` elements cover the whole tag)
+ * @throws {Error} If the content isn't an XML property list
+ */
+export function findPlistStrings(content) {
+  if (!content.trimStart().startsWith('<')) {
+    throw new Error('not an XML property list');
+  }
+
+  const strings = new Map();
+  const stack = [];
+  let pendingKey = null;
+  let index = 0;
+
+  while ((index = content.indexOf('<', index)) !== -1) {
+    const rest = content.slice(index);
+    const ignored = rest.match(IGNORED_MARKUP_PATTERN);
+    if (ignored) {
+      index += ignored[0].length;
+      continue;
+    }
+
+    const tag = rest.match(TAG_PATTERN);
+    if (!tag) {
+      throw new Error(`unexpected "<" at line ${getLineNumber(content, index)}`);
+    }
+
+    const [markup, closing, name, selfClosing] = tag;
+    const tagEnd = index + markup.length;
+    const inRootDict = stack.length === 2 && stack[0] === 'plist' && stack[1] === 'dict';
+
+    if (closing) {
+      if (stack.pop() !== name) {
+        throw new Error(`unexpected </${name}> at line ${getLineNumber(content, index)}`);
+      }
+      index = tagEnd;
+      continue;
+    }
+
+    if (inRootDict && (name === 'key' || name === 'string')) {
+      const value = selfClosing
+        ? { value: '', start: index, end: tagEnd, selfClosing: true }
+        : readElementText(content, name, tagEnd);
+
+      if (name === 'key') {
+        pendingKey = value.value;
+      } else if (pendingKey !== null) {
+        strings.set(pendingKey, value);
+        pendingKey = null;
+      }
+
+      index = selfClosing ? tagEnd : value.end + `</${name}>`.length;
+      continue;
+    }
+
+    // Any other value ends the pending key
+    if (inRootDict) {
+      pendingKey = null;
+    }
+    if (!selfClosing) {
+      stack.push(name);
+    }
+    index = tagEnd;
+  }
+
+  if (stack.length > 0) {
+    throw new Error(`unclosed <${stack[stack.length - 1]}>`);
+  }
+
+  return strings;
+}
+
+/**
+ * Read the text of a simple element such as <key> or <string>
+ * @param {string} content - Info.plist content
+ * @param {string} name - Element name
+ * @param {number} start - Offset right after the opening tag
+ * @returns {Object} Decoded value with start/end offsets of the raw text
+ */
+function readElementText(content, name, start) {
+  const end = content.indexOf(`</${name}>`, start);
+  if (end === -1) {
+    throw new Error(`unclosed <${name}> at line ${getLineNumber(content, start)}`);
+  }
+
+  const value = content
+    .slice(start, end)
+    .replace(/&(amp|lt|gt|quot|apos);/g, (entity, entityName) => XML_ENTITIES[entityName]);
+
+  return { value, start, end };
+}
+
+/**
+ * Get the 1-based line number of an offset
+ * @param {string} content - File content
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+function getLineNumber(content, offset) {
+  return content.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Replace string values in place
+ * @param {string} content - Original Info.plist content
+ * @param {Array<Object>} edits - Values returned by findPlistStrings with the new value
+ * @returns {string} Updated content
+ */
+export function updatePlistContent(content, edits) {
+  // Apply edits from the end of the file so earlier offsets stay valid
+  const sortedEdits = [...edits].sort((a, b) => b.start - a.start);
+
+  for (const edit of sortedEdits) {
+    const text = String(edit.value).replace(/[&<>]/g, (char) => XML_ESCAPES[char]);
+    const replacement = edit.selfClosing ? `<string>${text}</string>` : text;
+    content = content.slice(0, edit.start) + replacement + content.slice(edit.end);
+  }
+
+  return content;
+}
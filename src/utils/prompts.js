@@ -1,6 +1,6 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import { incrementSemanticVersion } from './version.js';
+import { calculateNewSemanticVersion, getIncrementChoices } from './version.js';
 
 /**
  * Prompt user to select which platforms to update
@@ -49,23 +49,22 @@ export async function promptForPlatformSelection() {
 
 /**
  * Prompt user to select version increment type
- * Provides clear examples of what each increment type does based on current version
+ * The choices come from the versioning scheme (semver, calver or a versioning module), each
+ * with an example of what it does to the current version
  * @param {string} currentVersion - Current version to use for examples (fallback to generic if not provided)
+ * @param {Object} context - Increment settings (preid, scheme, calverFormat, versioning)
  * @returns {string} Selected increment type
  */
-export async function promptForIncrementType(currentVersion = '2.12.0') {
+export async function promptForIncrementType(currentVersion = '2.12.0', context = {}) {
   // Generate dynamic examples based on current version
-  let patchExample, minorExample, majorExample;
-
+  let exampleVersion = currentVersion;
+  let choices;
   try {
-    patchExample = `${currentVersion} → ${incrementSemanticVersion(currentVersion, 'patch')}`;
-    minorExample = `${currentVersion} → ${incrementSemanticVersion(currentVersion, 'minor')}`;
-    majorExample = `${currentVersion} → ${incrementSemanticVersion(currentVersion, 'major')}`;
+    choices = getIncrementChoices(exampleVersion, context);
   } catch (error) {
     // Fallback to generic examples if current version is invalid
-    patchExample = '2.12.0 → 2.12.1';
-    minorExample = '2.12.0 → 2.13.0';
-    majorExample = '2.12.0 → 3.0.0';
+    exampleVersion = '2.12.0';
+    choices = getIncrementChoices(exampleVersion, context);
   }
 
   const incrementAnswer = await inquirer.prompt([
@@ -73,27 +72,37 @@ export async function promptForIncrementType(currentVersion = '2.12.0') {
       type: 'list',
       name: 'increment',
       message: chalk.white.bold('What type of version increment?'),
-      choices: [
-        {
-          name: `🔧 Patch (${patchExample}) - Bug fixes`,
-          value: 'patch',
-        },
-        {
-          name: `⬆️  Minor (${minorExample}) - New features`,
-          value: 'minor',
-        },
-        {
-          name: `🚀 Major (${majorExample}) - Breaking changes`,
-          value: 'major',
-        },
-      ],
-      default: 0, // Default to patch
+      choices: choices.map(({ type, name, description }) => ({
+        name: formatIncrementChoice(exampleVersion, type, name, description, context),
+        value: type,
+      })),
+      default: 0, // Default to the scheme's first choice (patch, or release for prereleases)
     },
   ]);
 
   return incrementAnswer.increment;
 }
 
+/**
+ * Label an increment choice with an example of the version it produces
+ * @param {string} currentVersion - Current version
+ * @param {string} type - Increment type
+ * @param {string} name - Choice name
+ * @param {string} description - Optional description
+ * @param {Object} context - Increment settings
+ * @returns {string} Choice label, e.g. "🔧 Patch (2.12.0 → 2.12.1) - Bug fixes"
+ */
+function formatIncrementChoice(currentVersion, type, name, description, context) {
+  let example = '';
+  try {
+    example = ` (${currentVersion} → ${calculateNewSemanticVersion(true, currentVersion, type, context)})`;
+  } catch (error) {
+    // Increments that can't apply to the current version are shown without an example
+  }
+
+  return `${name}${example}${description ? ` - ${description}` : ''}`;
+}
+
 /**
  * Prompt user for confirmation before making changes
  * Safety prompt to prevent accidental file modifications
@@ -111,3 +120,52 @@ export async function promptForConfirmation() {
 
   return confirmAnswer.proceed;
 }
+
+/**
+ * Prompt user to pick the build configuration whose value is the current version
+ * Used when the configurations of an iOS target disagree (e.g. Debug 1.4.0, Release 1.3.9)
+ * @param {string} targetName - Target name, or null for projects without targets
+ * @param {string} setting - Build setting name (e.g. MARKETING_VERSION)
+ * @param {Array<Object>} values - Configuration names and their values
+ * @returns {string} Selected configuration name
+ */
+export async function promptForConfigurationBaseline(targetName, setting, values) {
+  const baselineAnswer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'configuration',
+      message: chalk.white.bold(
+        `Build configurations${targetName ? ` of ${targetName}` : ''} have different ${setting} values. Which one is current?`
+      ),
+      choices: values.map(({ configuration, value }) => ({
+        name: `${configuration} (${value})`,
+        value: configuration,
+      })),
+    },
+  ]);
+
+  return baselineAnswer.configuration;
+}
+
+/**
+ * Prompt user to pick the Xcode project to update
+ * Used when the ios directory holds several app projects and no workspace or Podfile
+ * says which one belongs to the app
+ * @param {Array<string>} projects - Candidate .xcodeproj paths relative to the project root
+ * @returns {Array<string>} Selected project paths
+ */
+export async function promptForIOSProject(projects) {
+  const projectAnswer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'projects',
+      message: chalk.white.bold('Several Xcode projects were found. Which one should be updated?'),
+      choices: [
+        ...projects.map((project) => ({ name: project, value: [project] })),
+        { name: 'All of them', value: projects },
+      ],
+    },
+  ]);
+
+  return projectAnswer.projects;
+}
@@ -0,0 +1,65 @@
+/**
+ * Java properties file utilities
+ * Reads and edits key/value pairs in place so comments, blank lines and key order are preserved
+ */
+
+/**
+ * Parse a properties file into entries with value positions
+ * Supports `key=value`, `key: value` and `key value` separators, skipping `#` and `!` comments
+ * @param {string} content - Properties file content
+ * @returns {Array<Object>} Entries with key, value, and start/end offsets of the value
+ */
+export function parseProperties(content) {
+  const entries = [];
+  const linePattern = /^([ \t]*)([^\s=:#!][^\s=:]*)([ \t]*[=:][ \t]*|[ \t]+)(.*?)[ \t]*$/;
+  let lineStart = 0;
+
+  for (const line of content.split('\n')) {
+    const text = line.endsWith('\r') ? line.slice(0, -1) : line;
+    const match = text.match(linePattern);
+
+    if (match) {
+      const valueStart = lineStart + match[1].length + match[2].length + match[3].length;
+      entries.push({
+        key: match[2],
+        value: match[4],
+        start: valueStart,
+        end: valueStart + match[4].length,
+      });
+    }
+
+    lineStart += line.length + 1;
+  }
+
+  return entries;
+}
+
+/**
+ * Get the value of a single property
+ * @param {string} content - Properties file content
+ * @param {string} key - Property key
+ * @returns {string|undefined} Property value, or undefined if the key is not defined
+ */
+export function getPropertyValue(content, key) {
+  // Later definitions win, matching java.util.Properties
+  return parseProperties(content).findLast((entry) => entry.key === key)?.value;
+}
+
+/**
+ * Replace property values in place
+ * Only existing keys are updated; everything else in the file is left untouched
+ * @param {string} content - Properties file content
+ * @param {Object} values - Map of property keys to new values
+ * @returns {string} Updated properties file content
+ */
+export function updatePropertiesContent(content, values) {
+  const edits = parseProperties(content)
+    .filter((entry) => Object.prototype.hasOwnProperty.call(values, entry.key))
+    .sort((a, b) => b.start - a.start);
+
+  for (const entry of edits) {
+    content = content.slice(0, entry.start) + String(values[entry.key]) + content.slice(entry.end);
+  }
+
+  return content;
+}
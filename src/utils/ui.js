@@ -32,10 +32,39 @@ export function displayResults(changes) {
     return;
   }
 
+  // Show a Target column only when changes are scoped to flavors, targets or configurations
+  const hasTargets = changes.some((change) => change.target || change.configuration);
+
+  // Widen the Target column for target and configuration names (e.g. "MyApp (Release)")
+  const targetWidth = Math.max(
+    20,
+    ...changes.map((change) => formatChangeTarget(change).length + 2)
+  );
+
+  // Widen the Item and value columns for long keys (CFBundleShortVersionString), source files
+  // and values
+  const itemWidth = Math.max(
+    25,
+    ...changes.map(
+      (change) => Math.max(change.item.length, formatChangeOrigin(change).length + 2) + 2
+    )
+  );
+  const valueWidth = Math.max(
+    15,
+    ...changes.flatMap((change) => [
+      String(change.oldValue ?? '-').length + 2,
+      String(change.newValue).length + 2,
+    ])
+  );
+
   // Create comprehensive table showing all changes
   const allChangesTable = new Table({
-    head: ['Platform', 'Item', 'Before', 'After'],
-    colWidths: [15, 25, 15, 15],
+    head: hasTargets
+      ? ['Platform', 'Target', 'Item', 'Before', 'After']
+      : ['Platform', 'Item', 'Before', 'After'],
+    colWidths: hasTargets
+      ? [15, targetWidth, itemWidth, valueWidth, valueWidth]
+      : [15, itemWidth, valueWidth, valueWidth],
     style: {
       head: ['green', 'bold'],
       border: ['gray'],
@@ -46,15 +75,73 @@ export function displayResults(changes) {
   changes.forEach((change) => {
     allChangesTable.push([
       change.platform,
-      change.item,
-      chalk.yellow(change.oldValue),
-      chalk.green.bold(change.newValue),
+      ...(hasTargets ? [formatChangeTarget(change)] : []),
+      formatChangeItem(change),
+      ...formatChangeValues(change),
     ]);
   });
 
   console.log('\n' + allChangesTable.toString());
 }
 
+/**
+ * Format the Target cell of a change row
+ * Build configurations with differing versions get a row each (e.g. "MyApp (Debug)")
+ * @param {Object} change - Change object
+ * @returns {string} Cell content
+ */
+function formatChangeTarget(change) {
+  if (!change.configuration) {
+    return change.target || '-';
+  }
+
+  return change.target ? `${change.target} (${change.configuration})` : change.configuration;
+}
+
+/**
+ * Format the Item cell of a change row
+ * Values resolved through a reference (e.g. rootProject.ext.versionCode or $(APP_VERSION)) also
+ * show where they are actually defined
+ * @param {Object} change - Change object
+ * @returns {string} Cell content
+ */
+function formatChangeItem(change) {
+  if (!change.source && !change.reference) {
+    return change.item;
+  }
+
+  return `${change.item}\n${chalk.gray(`↳ ${formatChangeOrigin(change)}`)}`;
+}
+
+/**
+ * Describe where a referenced value is defined
+ * @param {Object} change - Change object
+ * @returns {string} The file, prefixed with the followed build setting (e.g. "$(APP_VERSION) in
+ *   ios/Config/Version.xcconfig"), or an empty string for values that weren't referenced
+ */
+function formatChangeOrigin(change) {
+  if (!change.source && !change.reference) {
+    return '';
+  }
+
+  return change.reference ? `$(${change.reference}) in ${change.file}` : change.file;
+}
+
+/**
+ * Format the Before and After cells of a change row
+ * Values that reference a build setting (e.g. $(MARKETING_VERSION) in Info.plist) aren't
+ * changed themselves and are shown dimmed
+ * @param {Object} change - Change object
+ * @returns {Array<string>} Before and After cells
+ */
+function formatChangeValues(change) {
+  if (change.variable) {
+    return [chalk.gray(change.oldValue), chalk.gray('unchanged')];
+  }
+
+  return [chalk.yellow(change.oldValue ?? '-'), chalk.green.bold(change.newValue)];
+}
+
 /**
  * Show next steps and helpful information after version bump
  * Provides git commands and additional context about changes made
@@ -3,54 +3,342 @@
  * Handles semantic versioning operations for version strings
  */
 
+import { incrementCalendarVersion } from './calver.js';
+
+// Digit widths of the semver-encoded build number strategy: major*10000 + minor*100 + patch
+const DEFAULT_ENCODING_DIGITS = { minor: 2, patch: 2, prerelease: 0, build: 0 };
+
+// Highest versionCode Google Play accepts
+export const MAX_VERSION_CODE = 2100000000;
+
+// Apple's CFBundleVersion format: one to three period-separated integers (e.g. 4.2.17)
+const DOTTED_BUILD_NUMBER_PATTERN = /^\d+(\.\d+){0,2}$/;
+
+// Build number strategies, selected with the buildStrategy config or --build-strategy
+const BUILD_NUMBER_STRATEGIES = {
+  increment: incrementBuildNumber,
+  date: calculateDateBuildNumber,
+  timestamp: calculateTimestampBuildNumber,
+  'semver-encoded': (currentValue, context) =>
+    encodeSemanticVersion(context.version, currentValue, context.digits),
+};
+
+// SemVer 2.0 version with optional -prerelease and +build metadata identifiers. The numeric
+// core may have two or more components (5.2, 1.4.2.7), and leading zeros are tolerated in it,
+// as they always were
+const SEMANTIC_VERSION_PATTERN =
+  /^(\d+(?:\.\d+)+)(?:-((?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*)(?:\.(?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*))*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+// Version components incremented by the named increment types; other positions use ordinals
+// such as '4th' (build is the fourth component of major.minor.patch.build versions)
+const INCREMENT_POSITIONS = { major: 0, minor: 1, patch: 2, build: 3 };
+
+// Increment types that start a prerelease of the next version
+const PRERELEASE_POSITIONS = { premajor: 0, preminor: 1, prepatch: 2 };
+
+// Versioning schemes, selected with the scheme config
+const VERSIONING_SCHEMES = ['semver', 'calver'];
+
+// Increment types that can't be expressed as a CalVer release
+const PRERELEASE_INCREMENT_TYPES = [...Object.keys(PRERELEASE_POSITIONS), 'prerelease', 'release'];
+
+// Interactive increment choices of the semver scheme; `when` hides choices that don't apply to
+// the current version
+const SEMVER_INCREMENT_CHOICES = [
+  {
+    type: 'release',
+    name: '✅ Release',
+    description: 'Promote the prerelease',
+    when: (version) => version.prerelease.length > 0,
+  },
+  { type: 'patch', name: '🔧 Patch', description: 'Bug fixes' },
+  { type: 'minor', name: '⬆️  Minor', description: 'New features' },
+  { type: 'major', name: '🚀 Major', description: 'Breaking changes' },
+  {
+    type: 'build',
+    name: '🔩 Build',
+    description: 'Internal builds',
+    when: (version) => version.components.length > 3,
+  },
+  { type: 'prerelease', name: '🧪 Prerelease', description: 'Next build of the prerelease' },
+  { type: 'prepatch', name: '🧪 Pre-patch' },
+  { type: 'preminor', name: '🧪 Pre-minor' },
+  { type: 'premajor', name: '🧪 Pre-major' },
+];
+
+// Interactive increment choices of the calver scheme
+const CALVER_INCREMENT_CHOICES = [{ type: 'calver', name: '📅 Next CalVer release' }];
+
+// Increment types offered for versioning modules that don't export incrementTypes
+const DEFAULT_MODULE_INCREMENT_TYPES = ['patch', 'minor', 'major'];
+
 /**
  * Parse semantic version string into components
- * Validates version format and extracts major, minor, patch numbers
- * @param {string} versionString - Version string in format "major.minor.patch"
- * @returns {Object} Object with major, minor, patch as integers
+ * Validates the SemVer 2.0 format, with two or more numeric components, and extracts the
+ * numbers, prerelease and build metadata
+ * @param {string} versionString - Version string (e.g. "1.2.3", "5.2", "2.0.0-beta.3+sha.5114f85")
+ * @returns {Object} Object with the numeric components, major, minor, patch as integers (0 when
+ *   missing), prerelease identifiers (numeric ones as integers) and build metadata identifiers
  * @throws {Error} If version format is invalid
  */
 export function parseSemanticVersion(versionString) {
-  const match = versionString.match(/^(\d+)\.(\d+)\.(\d+)$/);
+  const match = versionString.match(SEMANTIC_VERSION_PATTERN);
   if (!match) {
     throw new Error(`Invalid version format: ${versionString}`);
   }
+
+  const components = match[1].split('.').map((component) => parseInt(component));
   return {
-    major: parseInt(match[1]),
-    minor: parseInt(match[2]),
-    patch: parseInt(match[3]),
+    components,
+    major: components[0],
+    minor: components[1],
+    patch: components[2] ?? 0,
+    prerelease: match[2]
+      ? match[2]
+          .split('.')
+          .map((identifier) => (/^\d+$/.test(identifier) ? parseInt(identifier) : identifier))
+      : [],
+    build: match[3] ? match[3].split('.') : [],
   };
 }
 
+/**
+ * Format parsed version components back into a version string
+ * @param {Object} version - Components returned by parseSemanticVersion
+ * @returns {string} Version string
+ */
+export function formatSemanticVersion({ components, prerelease = [], build = [] }) {
+  return (
+    components.join('.') +
+    (prerelease.length > 0 ? `-${prerelease.join('.')}` : '') +
+    (build.length > 0 ? `+${build.join('.')}` : '')
+  );
+}
+
+/**
+ * Strip the prerelease and build metadata from a version (2.0.0-beta.3 → 2.0.0)
+ * Values that aren't semantic versions are returned unchanged
+ * @param {string} version - Version string
+ * @returns {string} Version core
+ */
+export function getCoreVersion(version) {
+  try {
+    parseSemanticVersion(version);
+  } catch (error) {
+    return version;
+  }
+  // Cut the string rather than reformat it, so zero-padded CalVer parts (26.09.1) survive
+  return version.replace(/[-+].*$/, '');
+}
+
 /**
  * Increment semantic version based on type
- * Supports major, minor, and patch increments with proper reset behavior
+ * Follows npm's semver rules: major, minor and patch release a prerelease of that version
+ * (2.0.0-rc.1 → 2.0.0 for major), the pre* types start a prerelease of the next version,
+ * prerelease advances the prerelease counter and release drops the prerelease.
+ * Any component can be incremented with an ordinal type ('4th') or 'build'. Later components
+ * are reset to 0 and the version keeps its width (5.2 → 6.0), growing only when a component
+ * past its end is incremented (5.2 → 5.2.1 for patch). Build metadata is dropped.
+ * With the calver scheme the next release for the date is returned whatever the type, except
+ * for the prerelease types, which are rejected.
  * @param {string} version - Current version string
- * @param {string} type - Increment type: 'major', 'minor', or 'patch'
+ * @param {string} type - Increment type: 'major', 'minor', 'patch', 'build', an ordinal such
+ *   as '4th', 'premajor', 'preminor', 'prepatch', 'prerelease' or 'release' ('calver' for the
+ *   calver scheme)
+ * @param {Object} context - Optional settings: preid (prerelease identifier for the pre* types,
+ *   e.g. 'beta'), scheme ('semver' or 'calver'), calverFormat and now (release date)
  * @returns {string} New incremented version string
- * @throws {Error} If increment type is invalid
+ * @throws {Error} If increment type or scheme is invalid, or release is used on a stable version
  */
-export function incrementSemanticVersion(version, type = 'patch') {
+export function incrementSemanticVersion(version, type = 'patch', context = {}) {
+  const { preid, scheme = 'semver' } = context;
+
+  if (!VERSIONING_SCHEMES.includes(scheme)) {
+    throw new Error(
+      `Invalid versioning scheme: ${scheme} (expected one of: ${VERSIONING_SCHEMES.join(', ')})`
+    );
+  }
+  if (scheme === 'calver') {
+    if (PRERELEASE_INCREMENT_TYPES.includes(type)) {
+      throw new Error(`The ${type} increment isn't supported by the calver scheme`);
+    }
+    return incrementCalendarVersion(version, context.calverFormat, context.now);
+  }
+
   const parsed = parseSemanticVersion(version);
+  const isPrerelease = parsed.prerelease.length > 0;
+  const startPrerelease = preid ? [preid, 0] : [0];
+
+  if (preid !== undefined && !/^[0-9A-Za-z-]+$/.test(preid)) {
+    throw new Error(`Invalid prerelease identifier: ${preid}`);
+  }
+
+  let components = parsed.components;
+  let prerelease = [];
+
+  if (type in PRERELEASE_POSITIONS) {
+    const position =
+      type === 'prepatch'
+        ? getIncrementPosition('patch', components.length)
+        : PRERELEASE_POSITIONS[type];
+    components = incrementComponent(components, position);
+    prerelease = startPrerelease;
+  } else if (type === 'prerelease') {
+    if (!isPrerelease) {
+      components = incrementComponent(components, components.length - 1);
+      prerelease = startPrerelease;
+    } else if (preid && parsed.prerelease[0] !== preid) {
+      prerelease = startPrerelease;
+    } else {
+      prerelease = incrementPrerelease(parsed.prerelease);
+    }
+  } else if (type === 'release') {
+    if (!isPrerelease) {
+      throw new Error(`Cannot release ${version}: it is not a prerelease version`);
+    }
+  } else {
+    const position = getIncrementPosition(type, components.length);
+
+    // A prerelease whose later components are all 0 is released instead (2.0.0-rc.1 → 2.0.0)
+    const releasesPrerelease =
+      isPrerelease && components.slice(position + 1).every((component) => component === 0);
+    if (!releasesPrerelease) {
+      components = incrementComponent(components, position);
+    }
+  }
+
+  return formatSemanticVersion({ components, prerelease, build: [] });
+}
+
+/**
+ * Find the version component incremented by a type
+ * patch increments the last component of a two-part version (5.2 → 5.3), and at most one
+ * component can be added past the end (1.4.2 → 1.4.2.1 with 4th)
+ * @param {string} type - Named increment type or an ordinal such as '4th'
+ * @param {number} width - Number of components in the version
+ * @returns {number} Zero-based component position
+ * @throws {Error} If the type is neither a named type nor a valid ordinal, or is past the end
+ */
+function getIncrementPosition(type, width) {
+  if (type === 'patch') {
+    return Math.min(INCREMENT_POSITIONS.patch, width - 1);
+  }
 
-  switch (type) {
-    case 'major':
-      parsed.major++;
-      parsed.minor = 0;
-      parsed.patch = 0;
-      break;
-    case 'minor':
-      parsed.minor++;
-      parsed.patch = 0;
-      break;
-    case 'patch':
-      parsed.patch++;
-      break;
-    default:
+  let position = INCREMENT_POSITIONS[type];
+  if (!(type in INCREMENT_POSITIONS)) {
+    const match = String(type).match(/^([1-9]\d*)(st|nd|rd|th)$/);
+    if (!match || match[2] !== getOrdinalSuffix(parseInt(match[1]))) {
       throw new Error(`Invalid increment type: ${type}`);
+    }
+    position = parseInt(match[1]) - 1;
   }
 
-  return `${parsed.major}.${parsed.minor}.${parsed.patch}`;
+  if (position > width) {
+    throw new Error(`Invalid increment type: ${type}`);
+  }
+  return position;
+}
+
+/**
+ * Get the English ordinal suffix of a number (1st, 2nd, 3rd, 4th, 11th, 22nd)
+ * @param {number} number - Positive integer
+ * @returns {string} Ordinal suffix
+ */
+function getOrdinalSuffix(number) {
+  if (number % 100 >= 11 && number % 100 <= 13) {
+    return 'th';
+  }
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+}
+
+/**
+ * Increment one version component and reset the later ones to 0
+ * Components past the end of the version are added as 0 first
+ * @param {Array<number>} components - Numeric version components
+ * @param {number} position - Zero-based position of the component to increment
+ * @returns {Array<number>} New components
+ */
+function incrementComponent(components, position) {
+  const next = [...components];
+  while (next.length <= position) {
+    next.push(0);
+  }
+
+  next[position]++;
+  return next.map((component, index) => (index > position ? 0 : component));
+}
+
+/**
+ * Advance the last numeric identifier of a prerelease (beta.3 → beta.4)
+ * A prerelease without numeric identifiers gets one appended (beta → beta.0)
+ * @param {Array<string|number>} prerelease - Prerelease identifiers
+ * @returns {Array<string|number>} New prerelease identifiers
+ */
+function incrementPrerelease(prerelease) {
+  const next = [...prerelease];
+
+  for (let index = next.length - 1; index >= 0; index--) {
+    if (typeof next[index] === 'number') {
+      next[index]++;
+      return next;
+    }
+  }
+
+  return [...next, 0];
+}
+
+/**
+ * Compare two semantic versions using SemVer precedence
+ * Missing components count as 0 (5.2 equals 5.2.0), a prerelease sorts before its release
+ * (2.0.0-rc.1 < 2.0.0) and build metadata is ignored
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is lower, positive if a is higher, 0 if equal
+ * @throws {Error} If either version format is invalid
+ */
+export function compareSemanticVersions(a, b) {
+  const first = parseSemanticVersion(a);
+  const second = parseSemanticVersion(b);
+
+  const width = Math.max(first.components.length, second.components.length);
+  for (let index = 0; index < width; index++) {
+    const difference = (first.components[index] || 0) - (second.components[index] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  return comparePrereleases(first.prerelease, second.prerelease);
+}
+
+/**
+ * Compare prerelease identifiers using SemVer precedence
+ * Numeric identifiers sort numerically and before alphanumeric ones, and a longer list wins
+ * when every shared identifier is equal. No prerelease sorts after any prerelease.
+ * @param {Array<string|number>} first - First prerelease identifiers
+ * @param {Array<string|number>} second - Second prerelease identifiers
+ * @returns {number} Negative if first is lower, positive if first is higher, 0 if equal
+ */
+function comparePrereleases(first, second) {
+  if (first.length === 0 || second.length === 0) {
+    return second.length - first.length;
+  }
+
+  for (let index = 0; index < Math.min(first.length, second.length); index++) {
+    const [left, right] = [first[index], second[index]];
+    if (left === right) {
+      continue;
+    }
+    if (typeof left === 'number' && typeof right === 'number') {
+      return left - right;
+    }
+    if (typeof left === 'number' || typeof right === 'number') {
+      return typeof left === 'number' ? -1 : 1;
+    }
+    return left < right ? -1 : 1;
+  }
+
+  return first.length - second.length;
 }
 
 /**
@@ -59,25 +347,364 @@ export function incrementSemanticVersion(version, type = 'patch') {
  * @param {string|boolean} userValue - User provided value or true for auto-increment
  * @param {string} currentValue - Current version value
  * @param {string} incrementType - Type of increment for auto-increment
+ * @param {Object} context - Increment settings passed to incrementSemanticVersion
  * @returns {string} New version string
  */
-export function calculateNewSemanticVersion(userValue, currentValue, incrementType = 'patch') {
+export function calculateNewSemanticVersion(
+  userValue,
+  currentValue,
+  incrementType = 'patch',
+  context = {}
+) {
   if (userValue && userValue !== true) {
     return userValue;
   }
-  return incrementSemanticVersion(currentValue, incrementType);
+
+  // A versioning module from the config replaces the built-in schemes
+  const versioning = context.versioning;
+  if (versioning) {
+    return String(
+      versioning.format(
+        versioning.increment(incrementType, versioning.parse(currentValue), context)
+      )
+    );
+  }
+
+  return incrementSemanticVersion(currentValue, incrementType, context);
+}
+
+/**
+ * List the increment types offered by the interactive prompt for a version
+ * Versioning modules provide their own through incrementTypes (an array, or a function of the
+ * current version and context); strings are turned into { type, name } choices
+ * @param {string} currentVersion - Current version
+ * @param {Object} context - Increment settings with scheme and versioning
+ * @returns {Array<Object>} Choices with type, name and an optional description
+ */
+export function getIncrementChoices(currentVersion, context = {}) {
+  const versioning = context.versioning;
+  if (versioning) {
+    const types =
+      typeof versioning.incrementTypes === 'function'
+        ? versioning.incrementTypes(currentVersion, context)
+        : versioning.incrementTypes || DEFAULT_MODULE_INCREMENT_TYPES;
+
+    return types.map((choice) =>
+      typeof choice === 'string'
+        ? { type: choice, name: choice.charAt(0).toUpperCase() + choice.slice(1) }
+        : choice
+    );
+  }
+
+  if (context.scheme === 'calver') {
+    return CALVER_INCREMENT_CHOICES;
+  }
+
+  const version = parseSemanticVersion(currentVersion);
+  return SEMVER_INCREMENT_CHOICES.filter((choice) => !choice.when || choice.when(version)).map(
+    ({ type, name, description }) => ({ type, name, description })
+  );
+}
+
+/**
+ * Collect the version increment settings from the CLI options
+ * @param {Object} options - Configuration options with preid, scheme, calverFormat and now
+ * @returns {Object} Context for incrementSemanticVersion
+ */
+export function getVersionContext(options) {
+  return {
+    preid: options.preid,
+    scheme: options.scheme,
+    calverFormat: options.calverFormat,
+    versioning: options.versioning,
+    now: options.now,
+  };
 }
 
 /**
  * Calculate new build number based on current value and user input
- * Handles both custom build numbers and auto-increment scenarios
+ * Handles both custom build numbers and strategy-based auto-increment scenarios
  * @param {number|boolean} userValue - User provided value or true for auto-increment
  * @param {string|number} currentValue - Current build number value
- * @returns {number} New build number
+ * @param {Object} context - Optional strategy settings: strategy (defaults to 'increment'),
+ *   version and digits for 'semver-encoded', now for the time-based strategies, dotted
+ *   (with an optional 1-based component to increment) to allow iOS build numbers like 4.2.17,
+ *   and a versioning module whose optional incrementBuildNumber(currentValue, context) replaces
+ *   the strategy
+ * @returns {number|string} New build number; dotted build numbers are returned as strings
+ * @throws {Error} If the strategy is unknown or can't produce a build number
  */
-export function calculateNewBuildNumber(userValue, currentValue) {
+export function calculateNewBuildNumber(userValue, currentValue, context = {}) {
   if (userValue && userValue !== true) {
-    return parseInt(userValue);
+    return context.dotted ? normalizeDottedBuildNumber(userValue) : parseInt(userValue);
+  }
+
+  // A versioning module can compute build numbers too, with its own optional hook
+  if (context.versioning?.incrementBuildNumber) {
+    return validateModuleBuildNumber(
+      context.versioning.incrementBuildNumber(currentValue, context),
+      context
+    );
+  }
+
+  const strategyName = context.strategy || 'increment';
+  const strategy = BUILD_NUMBER_STRATEGIES[strategyName];
+
+  if (!strategy) {
+    throw new Error(
+      `Invalid build number strategy: ${strategyName} (expected one of: ${Object.keys(BUILD_NUMBER_STRATEGIES).join(', ')})`
+    );
+  }
+
+  return strategy(currentValue, context);
+}
+
+/**
+ * Increment a build number by one
+ * Dotted build numbers increment their last component, or the configured one
+ * @param {string|number} currentValue - Current build number value
+ * @param {Object} context - Context with dotted and an optional component
+ * @returns {number|string} New build number
+ */
+function incrementBuildNumber(currentValue, context) {
+  if (!context.dotted) {
+    return parseInt(currentValue) + 1;
+  }
+
+  return normalizeDottedBuildNumber(incrementDottedBuildNumber(currentValue, context.component));
+}
+
+/**
+ * Parse a build number in Apple's CFBundleVersion format
+ * @param {string|number} value - Build number such as 17 or 4.2.17
+ * @returns {Array<number>} Components
+ * @throws {Error} If the value isn't one to three period-separated integers
+ */
+export function parseDottedBuildNumber(value) {
+  const text = String(value).trim();
+  if (!DOTTED_BUILD_NUMBER_PATTERN.test(text)) {
+    throw new Error(
+      `Invalid build number: ${value} (expected up to three period-separated integers, e.g. 4.2.17)`
+    );
+  }
+  return text.split('.').map((component) => parseInt(component));
+}
+
+/**
+ * Increment one component of a dotted build number
+ * Later components are reset to 0, and missing components up to the incremented one are added
+ * (4.2.17 → 4.2.18, or 4.3.0 when incrementing component 2)
+ * @param {string|number} value - Current build number
+ * @param {number} component - 1-based component to increment (defaults to the last one)
+ * @returns {string} New build number
+ * @throws {Error} If the value or component is invalid
+ */
+export function incrementDottedBuildNumber(value, component) {
+  const components = parseDottedBuildNumber(value);
+  const index = component ? component - 1 : components.length - 1;
+
+  if (!Number.isInteger(index) || index < 0 || index > 2) {
+    throw new Error(`Invalid build number component: ${component} (expected 1, 2 or 3)`);
+  }
+
+  while (components.length <= index) {
+    components.push(0);
+  }
+  components[index]++;
+  components.fill(0, index + 1);
+
+  return components.join('.');
+}
+
+/**
+ * Compare two build numbers component by component (4.2.17 < 4.10.0)
+ * @param {string|number} a - First build number
+ * @param {string|number} b - Second build number
+ * @returns {number} Negative if a is lower, positive if a is higher, 0 if equal
+ * @throws {Error} If either build number is invalid
+ */
+export function compareBuildNumbers(a, b) {
+  const first = parseDottedBuildNumber(a);
+  const second = parseDottedBuildNumber(b);
+
+  for (let index = 0; index < Math.max(first.length, second.length); index++) {
+    const difference = (first[index] || 0) - (second[index] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Validate a dotted build number and return plain integers as numbers
+ * @param {string|number} value - Build number
+ * @returns {number|string} The build number, as a number when it has a single component
+ * @throws {Error} If the value isn't a valid build number
+ */
+function normalizeDottedBuildNumber(value) {
+  const components = parseDottedBuildNumber(value);
+  return components.length === 1 ? components[0] : components.join('.');
+}
+
+/**
+ * Check a build number returned by a versioning module
+ * @param {string|number} value - Build number returned by the module
+ * @param {Object} context - Build number context; dotted allows build numbers like 4.2.17
+ * @returns {number|string} The build number, as a number when it has a single component
+ * @throws {Error} If the value isn't a positive integer (or a dotted build number on iOS)
+ */
+function validateModuleBuildNumber(value, context) {
+  if (context.dotted) {
+    return normalizeDottedBuildNumber(value);
+  }
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`Invalid build number from the versioning module: ${value}`);
+  }
+  return parseInt(value);
+}
+
+/**
+ * Build a date-based build number in the YYMMDDNN format
+ * The NN counter continues when the current value already has today's date prefix
+ * @param {string|number} currentValue - Current build number value
+ * @param {Object} context - Context with an optional now date
+ * @returns {number} New build number
+ * @throws {Error} If the daily counter would exceed 99 or the date build number would be lower
+ *   than the current one (e.g. after a timestamp build number)
+ */
+function calculateDateBuildNumber(currentValue, context) {
+  const now = context.now || new Date();
+  const prefix = [now.getFullYear() % 100, now.getMonth() + 1, now.getDate()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join('');
+
+  const current = String(currentValue);
+  const counter =
+    current.length === 8 && current.startsWith(prefix) ? parseInt(current.slice(6)) + 1 : 1;
+
+  if (counter > 99) {
+    throw new Error(
+      `Date build number ${prefix}NN has no builds left for today (current: ${current})`
+    );
+  }
+
+  const buildNumber = parseInt(`${prefix}${String(counter).padStart(2, '0')}`);
+  if (buildNumber <= parseInt(currentValue)) {
+    throw new Error(
+      `Date build number ${buildNumber} would not be higher than the current ${current}; ` +
+        'pass an explicit build number or keep the current strategy'
+    );
+  }
+
+  return buildNumber;
+}
+
+/**
+ * Build a timestamp build number in seconds since the Unix epoch
+ * Never goes backwards: a current value at or ahead of the clock is incremented instead
+ * @param {string|number} currentValue - Current build number value
+ * @param {Object} context - Context with an optional now date
+ * @returns {number} New build number
+ */
+function calculateTimestampBuildNumber(currentValue, context) {
+  const timestamp = Math.floor((context.now || new Date()).getTime() / 1000);
+  const current = parseInt(currentValue);
+
+  return current >= timestamp ? current + 1 : timestamp;
+}
+
+/**
+ * Encode a semantic version as an integer build number
+ * Each component takes a fixed number of decimal digits, so 2.5.0 becomes 20500 with the
+ * default widths (major*10000 + minor*100 + patch). An optional build digit counts builds of
+ * the same version: it continues from the current value and resets when the version changes.
+ * Prereleases need prerelease digits, which hold the prerelease number (2.5.0-beta.3 → 2050003
+ * with two digits); the release takes the highest value (2050099) so it sorts above its betas.
+ * @param {string} version - Semantic version to encode
+ * @param {string|number} currentValue - Current build number, used to continue the build counter
+ * @param {Object} digits - Digit widths for minor, patch, prerelease and build (defaults: 2, 2,
+ *   0, 0)
+ * @returns {number} Encoded build number
+ * @throws {Error} If the version is missing, a component doesn't fit its width, a prerelease
+ *   has no prerelease digits or would lower the build number, or the result exceeds
+ *   Google Play's versionCode limit
+ */
+export function encodeSemanticVersion(version, currentValue, digits = {}) {
+  if (!version) {
+    throw new Error('The semver-encoded strategy needs a version to encode');
+  }
+
+  const widths = { ...DEFAULT_ENCODING_DIGITS, ...digits };
+  const { components, major, minor, patch, prerelease } = parseSemanticVersion(version);
+  if (components.length > 3) {
+    throw new Error(`Cannot encode ${version}: only major.minor.patch versions can be encoded`);
+  }
+  if (prerelease.length > 0 && !widths.prerelease) {
+    throw new Error(
+      `Cannot encode ${version}: prereleases need versionCodeDigits.prerelease digits, ` +
+        'otherwise the release would get the same versionCode as its prereleases'
+    );
+  }
+
+  ensureFitsDigits(version, 'minor', minor, widths.minor);
+  ensureFitsDigits(version, 'patch', patch, widths.patch);
+
+  const core = (major * 10 ** widths.minor + minor) * 10 ** widths.patch + patch;
+
+  // The release takes the highest prerelease value, prereleases their last number (beta.3 → 3)
+  const prereleaseFactor = 10 ** widths.prerelease;
+  const prereleaseNumber =
+    prerelease.length > 0
+      ? ([...prerelease].reverse().find((identifier) => typeof identifier === 'number') ?? 0)
+      : prereleaseFactor - 1;
+  if (prerelease.length > 0 && prereleaseNumber >= prereleaseFactor - 1) {
+    throw new Error(
+      `Cannot encode ${version}: prerelease ${prereleaseNumber} does not fit in ` +
+        `${widths.prerelease} digit(s) below the release's ${prereleaseFactor - 1}`
+    );
+  }
+  const encoded = core * prereleaseFactor + (widths.prerelease ? prereleaseNumber : 0);
+
+  // Continue the build counter while the version stays the same
+  const buildFactor = 10 ** widths.build;
+  const current = parseInt(currentValue);
+  const build =
+    widths.build && Math.floor(current / buildFactor) === encoded ? (current % buildFactor) + 1 : 0;
+
+  ensureFitsDigits(version, 'build', build, widths.build);
+
+  const buildNumber = encoded * buildFactor + build;
+
+  // Prerelease numbers aren't ordered across identifiers (beta.5 → rc.1)
+  const currentCore = Math.floor(current / (prereleaseFactor * buildFactor));
+  if (widths.prerelease && currentCore === core && buildNumber <= current) {
+    throw new Error(
+      `Cannot encode ${version}: versionCode ${buildNumber} would not be higher than ${current}`
+    );
+  }
+  if (buildNumber > MAX_VERSION_CODE) {
+    throw new Error(
+      `Cannot encode ${version}: versionCode ${buildNumber} exceeds Google Play's limit of ` +
+        `${MAX_VERSION_CODE} (major ${major} is too large for the digit widths)`
+    );
+  }
+
+  return buildNumber;
+}
+
+/**
+ * Check that a version component fits in its digit width
+ * @param {string} version - Version being encoded, used for the error message
+ * @param {string} component - Component name
+ * @param {number} value - Component value
+ * @param {number} width - Number of decimal digits available
+ * @throws {Error} If the value needs more digits than available
+ */
+function ensureFitsDigits(version, component, value, width) {
+  if (value >= 10 ** width) {
+    throw new Error(
+      `Cannot encode ${version}: ${component} ${value} does not fit in ${width} digit(s)`
+    );
   }
-  return parseInt(currentValue) + 1;
 }
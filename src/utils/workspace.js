@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * iOS project discovery
+ * Reads the .xcworkspace files and the Podfile of the ios directory to find the Xcode projects
+ * that belong to the app, instead of taking every .xcodeproj next to them
+ */
+
+// <Group> and <FileRef> tags of contents.xcworkspacedata
+const WORKSPACE_TAG_PATTERN = /<(\/?)(Group|FileRef)\b([^>]*?)(\/?)>/g;
+const LOCATION_PATTERN = /location\s*=\s*"([^"]*)"/;
+
+// `project 'MyApp.xcodeproj'` (or the older `xcodeproj 'MyApp'`) in a Podfile
+const PODFILE_PROJECT_PATTERN = /^\s*(?:project|xcodeproj)\s*\(?\s*['"]([^'"]+)['"]/;
+
+// Project generated by CocoaPods, which never holds app versions
+const PODS_PROJECT = 'Pods.xcodeproj';
+
+/**
+ * Read the Xcode projects referenced by a workspace
+ * Locations are resolved like Xcode does: `group:` relative to the enclosing group,
+ * `container:` relative to the folder holding the workspace and `absolute:` as is
+ * @param {string} content - contents.xcworkspacedata content
+ * @param {string} workspaceDir - Folder holding the .xcworkspace
+ * @returns {Array<string>} Absolute .xcodeproj paths in workspace order
+ */
+export function parseWorkspaceProjects(content, workspaceDir) {
+  const projects = [];
+  const groups = [workspaceDir];
+
+  for (const [, closing, tag, attributes, selfClosing] of content.matchAll(WORKSPACE_TAG_PATTERN)) {
+    if (closing) {
+      if (tag === 'Group' && groups.length > 1) {
+        groups.pop();
+      }
+      continue;
+    }
+
+    const location = resolveWorkspaceLocation(
+      attributes.match(LOCATION_PATTERN)?.[1],
+      groups[groups.length - 1],
+      workspaceDir
+    );
+
+    if (tag === 'Group' && !selfClosing) {
+      groups.push(location || groups[groups.length - 1]);
+    } else if (tag === 'FileRef' && location?.endsWith('.xcodeproj')) {
+      projects.push(location);
+    }
+  }
+
+  return projects;
+}
+
+/**
+ * Resolve a workspace location to an absolute path
+ * @param {string|undefined} location - Location attribute (e.g. "group:MyApp.xcodeproj")
+ * @param {string} groupDir - Folder of the enclosing group
+ * @param {string} workspaceDir - Folder holding the .xcworkspace
+ * @returns {string|null} Absolute path, or null for locations outside the file system
+ *   (e.g. `self:` or `developer:`)
+ */
+function resolveWorkspaceLocation(location, groupDir, workspaceDir) {
+  const separator = location?.indexOf(':') ?? -1;
+  if (separator === -1) {
+    return null;
+  }
+
+  const type = location.slice(0, separator);
+  const locationPath = location.slice(separator + 1);
+
+  switch (type) {
+    case 'group':
+      return path.resolve(groupDir, locationPath);
+    case 'container':
+      return path.resolve(workspaceDir, locationPath);
+    case 'absolute':
+      return path.resolve(locationPath);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read the Xcode projects named by `project` directives in a Podfile
+ * CocoaPods adds the .xcodeproj extension when it's left out
+ * @param {string} content - Podfile content
+ * @param {string} podfileDir - Folder holding the Podfile
+ * @returns {Array<string>} Absolute .xcodeproj paths in Podfile order
+ */
+export function parsePodfileProjects(content, podfileDir) {
+  const projects = [];
+
+  for (const line of content.split('\n')) {
+    const match = line.replace(/#.*$/, '').match(PODFILE_PROJECT_PATTERN);
+    if (match) {
+      const projectPath = match[1].endsWith('.xcodeproj') ? match[1] : `${match[1]}.xcodeproj`;
+      projects.push(path.resolve(podfileDir, projectPath));
+    }
+  }
+
+  return projects;
+}
+
+/**
+ * Find the Xcode projects that belong to the app in an ios directory
+ * The Podfile's `project` directives are used first, then the projects of the .xcworkspace
+ * files, then every .xcodeproj in the directory. Pods.xcodeproj is always left out.
+ * @param {string} iosDir - Directory holding the projects (e.g. "ios")
+ * @returns {Object} projects (absolute project.pbxproj paths) and ambiguous, true when several
+ *   workspaces or loose .xcodeproj folders leave more than one candidate
+ */
+export function discoverIOSProjects(iosDir) {
+  if (!fs.existsSync(iosDir)) {
+    return { projects: [], ambiguous: false };
+  }
+
+  const entries = fs.readdirSync(iosDir);
+
+  const podfilePath = path.join(iosDir, 'Podfile');
+  const podfileProjects = fs.existsSync(podfilePath)
+    ? toPbxprojPaths(parsePodfileProjects(fs.readFileSync(podfilePath, 'utf8'), iosDir))
+    : [];
+  if (podfileProjects.length > 0) {
+    return { projects: podfileProjects, ambiguous: false };
+  }
+
+  const workspaces = entries
+    .filter((entry) => entry.endsWith('.xcworkspace'))
+    .map((entry) => path.join(iosDir, entry, 'contents.xcworkspacedata'))
+    .filter((contentsPath) => fs.existsSync(contentsPath))
+    .map((contentsPath) =>
+      toPbxprojPaths(parseWorkspaceProjects(fs.readFileSync(contentsPath, 'utf8'), iosDir))
+    )
+    .filter((projects) => projects.length > 0);
+  if (workspaces.length > 0) {
+    const projects = [...new Set(workspaces.flat())];
+    const agree = workspaces.every(
+      (workspaceProjects) => workspaceProjects.length === projects.length
+    );
+    return { projects, ambiguous: !agree && projects.length > 1 };
+  }
+
+  const projects = toPbxprojPaths(
+    entries
+      .filter((entry) => entry.endsWith('.xcodeproj'))
+      .map((entry) => path.join(iosDir, entry))
+      .filter((projectPath) => fs.statSync(projectPath).isDirectory())
+  );
+  return { projects, ambiguous: projects.length > 1 };
+}
+
+/**
+ * Turn .xcodeproj paths into the project.pbxproj files that exist, without Pods.xcodeproj
+ * @param {Array<string>} projectPaths - Absolute .xcodeproj paths
+ * @returns {Array<string>} Distinct project.pbxproj paths
+ */
+function toPbxprojPaths(projectPaths) {
+  return [
+    ...new Set(
+      projectPaths
+        .filter((projectPath) => path.basename(projectPath) !== PODS_PROJECT)
+        .map((projectPath) => path.join(projectPath, 'project.pbxproj'))
+        .filter((pbxprojPath) => fs.existsSync(pbxprojPath))
+    ),
+  ];
+}
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Xcode build configuration (.xcconfig) reader
+ * Reads build setting assignments with their value ranges and follows #include chains,
+ * so a setting can be updated in the file that actually defines it
+ */
+
+// `#include "Other.xcconfig"` or `#include? "Optional.xcconfig"`
+const INCLUDE_PATTERN = /^\s*#include(\?)?\s*"([^"]+)"/;
+
+// `KEY = value` or `KEY[sdk=iphoneos*] = value`
+const ASSIGNMENT_PATTERN = /^(\s*)([A-Za-z_][A-Za-z0-9_]*)((?:\[[^\]]*\])*)(\s*=\s*)/;
+
+/**
+ * Parse the content of an .xcconfig file
+ * @param {string} content - xcconfig content
+ * @returns {Object} Settings (key, conditions, value, start/end of the value, line) and
+ *   includes (path, optional, line) in file order
+ */
+export function parseXcconfig(content) {
+  const settings = [];
+  const includes = [];
+  let offset = 0;
+
+  content.split('\n').forEach((line, index) => {
+    const lineStart = offset;
+    offset += line.length + 1;
+
+    const include = line.match(INCLUDE_PATTERN);
+    if (include) {
+      includes.push({ path: include[2], optional: Boolean(include[1]), line: index + 1 });
+      return;
+    }
+
+    const assignment = line.match(ASSIGNMENT_PATTERN);
+    if (!assignment) {
+      return;
+    }
+
+    // The value runs up to a `//` comment or an optional trailing semicolon
+    const valueStart = assignment[0].length;
+    const commentIndex = line.indexOf('//', valueStart);
+    const rawValue = line.slice(valueStart, commentIndex === -1 ? line.length : commentIndex);
+    const value = rawValue.replace(/\r$/, '').trimEnd().replace(/;$/, '').trimEnd();
+
+    settings.push({
+      key: assignment[2],
+      conditions: assignment[3],
+      value,
+      start: lineStart + valueStart,
+      end: lineStart + valueStart + value.length,
+      line: index + 1,
+    });
+  });
+
+  return { settings, includes };
+}
+
+/**
+ * Find the effective definition of a build setting, following #include chains
+ * Included files are read at the position of their #include, so later assignments win just
+ * like in Xcode. Conditional assignments (KEY[sdk=...]) are ignored.
+ * @param {string} filePath - Path to the .xcconfig file
+ * @param {string} key - Build setting name
+ * @returns {Object|null} Definition with filePath, value and start/end offsets, or null if the
+ *   setting isn't defined
+ * @throws {Error} If a required #include is missing
+ */
+export function findXcconfigSetting(filePath, key) {
+  return findSettingInFile(path.resolve(filePath), key, new Set());
+}
+
+/**
+ * Find the last unconditional definition of a setting in a file and its includes
+ * @param {string} filePath - Absolute path to the .xcconfig file
+ * @param {string} key - Build setting name
+ * @param {Set<string>} visited - Files already on the include chain, to stop include cycles
+ * @returns {Object|null} Definition or null
+ */
+function findSettingInFile(filePath, key, visited) {
+  if (visited.has(filePath)) {
+    return null;
+  }
+  visited.add(filePath);
+
+  const { settings, includes } = parseXcconfig(fs.readFileSync(filePath, 'utf8'));
+  const entries = [
+    ...settings.map((setting) => ({ line: setting.line, setting })),
+    ...includes.map((include) => ({ line: include.line, include })),
+  ].sort((a, b) => a.line - b.line);
+
+  let definition = null;
+
+  for (const entry of entries) {
+    if (entry.setting) {
+      if (entry.setting.key === key && !entry.setting.conditions) {
+        definition = { filePath, ...entry.setting };
+      }
+      continue;
+    }
+
+    const includePath = path.resolve(path.dirname(filePath), entry.include.path);
+    if (!fs.existsSync(includePath)) {
+      if (entry.include.optional) {
+        continue;
+      }
+      throw new Error(`Could not find ${entry.include.path} included from ${filePath}`);
+    }
+
+    definition = findSettingInFile(includePath, key, visited) || definition;
+  }
+
+  visited.delete(filePath);
+  return definition;
+}
+
+/**
+ * Replace setting values in place
+ * @param {string} content - Original .xcconfig content
+ * @param {Array<Object>} edits - Definitions (start/end offsets) with the new value
+ * @returns {string} Updated content
+ */
+export function updateXcconfigContent(content, edits) {
+  // Apply edits from the end of the file so earlier offsets stay valid
+  const sortedEdits = [...edits].sort((a, b) => b.start - a.start);
+
+  for (const edit of sortedEdits) {
+    content = content.slice(0, edit.start) + String(edit.value) + content.slice(edit.end);
+  }
+
+  return content;
+}
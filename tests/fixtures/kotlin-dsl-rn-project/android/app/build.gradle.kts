@@ -0,0 +1,30 @@
+plugins {
+    id("com.android.application")
+    id("com.facebook.react")
+}
+
+android {
+    namespace = "com.testkotlindslapp"
+    compileSdk = 34
+
+    defaultConfig {
+        applicationId = "com.testkotlindslapp"
+        minSdk = 23
+        targetSdk = 34
+        versionCode = 12
+        versionName = "1.2.0"
+        testInstrumentationRunner = "androidx.test.runner.AndroidJUnitRunner"
+    }
+
+    buildTypes {
+        getByName("release") {
+            isMinifyEnabled = false
+            proguardFiles(getDefaultProguardFile("proguard-android-optimize.txt"), "proguard-rules.pro")
+        }
+    }
+}
+
+dependencies {
+    implementation("com.facebook.react:react-android")
+    implementation("androidx.appcompat:appcompat:1.6.1")
+}
\ No newline at end of file
@@ -1,6 +1,6 @@
 import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
 import { spawn } from 'child_process';
-import { createMockProject, createTempDir, readFile } from '../helpers/mockProject.js';
+import { createMockProject, createTempDir, readFile, writeFile } from '../helpers/mockProject.js';
 import { fileURLToPath } from 'url';
 import path from 'path';
 
@@ -174,6 +174,149 @@ describe('CLI Integration Tests', () => {
       expect(packageData.version).toBe('1.1.0');
     });
 
+    test('bumps gradle.properties versions once when also listed as a source', async () => {
+      await createMockProject('basic', tempDir);
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const propertiesPath = path.join(tempDir, 'android/gradle.properties');
+      await writeFile(
+        buildGradlePath,
+        (await readFile(buildGradlePath))
+          .replace('versionCode 1', 'versionCode VERSION_CODE.toInteger()')
+          .replace('versionName "1.0.0"', 'versionName VERSION_NAME')
+      );
+      await writeFile(propertiesPath, 'VERSION_CODE=122\nVERSION_NAME=2.4.2\n');
+      await writeFile(
+        path.join(tempDir, 'vbump.config.json'),
+        JSON.stringify({
+          android: {
+            files: [
+              'android/app/build.gradle',
+              { path: 'android/gradle.properties', type: 'properties' },
+            ],
+          },
+        })
+      );
+
+      const result = await runCLI(['--android']);
+
+      expect(result.code).toBe(0);
+      expect(await readFile(propertiesPath)).toBe('VERSION_CODE=123\nVERSION_NAME=2.4.3\n');
+    });
+
+    test('bumps Android to a prerelease and promotes it', async () => {
+      await createMockProject('basic', tempDir);
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+
+      const result = await runCLI(['--android', '--increment', 'preminor', '--preid', 'beta']);
+
+      expect(result.code).toBe(0);
+      expect(await readFile(buildGradlePath)).toContain('versionName "1.1.0-beta.0"');
+      expect(JSON.parse(await readFile(path.join(tempDir, 'package.json'))).version).toBe(
+        '1.1.0-beta.0'
+      );
+
+      await runCLI(['--android', '--increment', 'prerelease']);
+      expect(await readFile(buildGradlePath)).toContain('versionName "1.1.0-beta.1"');
+
+      await runCLI(['--android', '--increment', 'release']);
+      expect(await readFile(buildGradlePath)).toContain('versionName "1.1.0"');
+    });
+
+    test('keeps prereleases out of MARKETING_VERSION', async () => {
+      await createMockProject('basic', tempDir);
+      const pbxprojPath = path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj');
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const packageJsonPath = path.join(tempDir, 'package.json');
+
+      const result = await runCLI([
+        '--android',
+        '--ios',
+        '--increment',
+        'preminor',
+        '--preid',
+        'beta',
+      ]);
+
+      expect(result.code).toBe(0);
+      expect(await readFile(buildGradlePath)).toContain('versionName "1.1.0-beta.0"');
+      expect(await readFile(pbxprojPath)).toContain('MARKETING_VERSION = 1.1.0;');
+      expect(JSON.parse(await readFile(packageJsonPath)).version).toBe('1.1.0-beta.0');
+
+      await runCLI(['--android', '--ios', '--increment', 'prerelease']);
+
+      expect(await readFile(buildGradlePath)).toContain('versionName "1.1.0-beta.1"');
+      expect(await readFile(pbxprojPath)).toContain('MARKETING_VERSION = 1.1.0;');
+      expect(JSON.parse(await readFile(packageJsonPath)).version).toBe('1.1.0-beta.1');
+    });
+
+    test('bumps two-part and four-part version names', async () => {
+      await createMockProject('basic', tempDir);
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const buildGradle = await readFile(buildGradlePath);
+
+      await writeFile(buildGradlePath, buildGradle.replace('"1.0.0"', '"5.2"'));
+      const result = await runCLI(['--android-app-version', '--increment', 'minor']);
+
+      expect(result.code).toBe(0);
+      expect(await readFile(buildGradlePath)).toContain('versionName "5.3"');
+
+      await runCLI(['--android-app-version']);
+
+      expect(await readFile(buildGradlePath)).toContain('versionName "5.4"');
+
+      await writeFile(buildGradlePath, buildGradle.replace('"1.0.0"', '"1.4.2.7"'));
+      await runCLI(['--android-app-version', '--increment', '4th']);
+
+      expect(await readFile(buildGradlePath)).toContain('versionName "1.4.2.8"');
+    });
+
+    test('bumps to the next CalVer release with the calver scheme', async () => {
+      await createMockProject('basic', tempDir);
+      await writeFile(
+        path.join(tempDir, 'vbump.config.json'),
+        JSON.stringify({ scheme: 'calver', calverFormat: 'YY.0M.MICRO' })
+      );
+
+      const result = await runCLI(['--android', '--ios']);
+
+      // The CLI reads its own clock, so only the YY.0M.MICRO shape is known in advance
+      expect(result.code).toBe(0);
+      const calverVersion = (await readFile(path.join(tempDir, 'android/app/build.gradle'))).match(
+        /versionName "(\d{2}\.\d{2}\.0)"/
+      )?.[1];
+      expect(calverVersion).toBeDefined();
+      expect(
+        await readFile(path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj'))
+      ).toContain(`MARKETING_VERSION = ${calverVersion};`);
+      expect(JSON.parse(await readFile(path.join(tempDir, 'package.json'))).version).toBe(
+        calverVersion
+      );
+    });
+
+    test('bumps versions and build numbers with a custom versioning module', async () => {
+      await createMockProject('basic', tempDir);
+      await writeFile(
+        path.join(tempDir, 'scheme.mjs'),
+        [
+          'export const parse = (version) => version.split(".").map(Number);',
+          'export const format = (parts) => parts.join(".");',
+          'export const increment = (type, [major, minor]) => [major, minor + 2, 0];',
+          'export const incrementBuildNumber = (current) => Number(current) + 100;',
+        ].join('\n')
+      );
+      await writeFile(
+        path.join(tempDir, 'vbump.config.json'),
+        JSON.stringify({ versioning: './scheme.mjs' })
+      );
+
+      const result = await runCLI(['--android', '--android-build-number']);
+
+      expect(result.code).toBe(0);
+      const buildGradle = await readFile(path.join(tempDir, 'android/app/build.gradle'));
+      expect(buildGradle).toContain('versionName "1.2.0"');
+      expect(buildGradle).toContain('versionCode 101');
+    });
+
     test('updates Android build number only', async () => {
       await createMockProject('basic', tempDir);
 
@@ -223,6 +366,156 @@ describe('CLI Integration Tests', () => {
       const buildGradleContent = await readFile(path.join(tempDir, 'android/app/build.gradle'));
       expect(buildGradleContent).toContain('versionName "3.1.4"');
     });
+
+    test('updates Kotlin DSL build file by default', async () => {
+      await createMockProject('kotlin-dsl', tempDir);
+
+      const result = await runCLI(['--android', '--increment', 'patch']);
+
+      expect(result.code).toBe(0);
+
+      const buildGradleContent = await readFile(path.join(tempDir, 'android/app/build.gradle.kts'));
+      expect(buildGradleContent).toContain('versionCode = 13');
+      expect(buildGradleContent).toContain('versionName = "1.2.1"');
+    });
+
+    test('updates only the selected flavor', async () => {
+      await createMockProject('flavors', tempDir);
+
+      const result = await runCLI(['--android-build-number', '--flavor', 'brandA']);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Target');
+      expect(result.stdout).toContain('brandA');
+
+      const buildGradleContent = await readFile(path.join(tempDir, 'android/app/build.gradle'));
+      expect(buildGradleContent).toContain('versionCode 30');
+      expect(buildGradleContent).toContain('versionCode 41');
+      expect(buildGradleContent).toContain('versionCode 55');
+    });
+
+    test('updates the app target and the selected iOS target', async () => {
+      await createMockProject('multi-target', tempDir);
+
+      const result = await runCLI(['--ios-build-number', '--ios-target', 'MultiTargetWidget']);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('MultiTargetApp');
+      expect(result.stdout).toContain('MultiTargetWidget');
+      expect(result.stdout).not.toContain('MultiTargetAppTests');
+
+      const pbxprojContent = await readFile(
+        path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj')
+      );
+      expect(pbxprojContent.match(/CURRENT_PROJECT_VERSION = 13;/g)).toHaveLength(4);
+      expect(pbxprojContent.match(/CURRENT_PROJECT_VERSION = 1;/g)).toHaveLength(2);
+    });
+
+    test('updates hardcoded Info.plist versions and shows variables as unchanged', async () => {
+      await createMockProject('multi-target', tempDir);
+
+      const result = await runCLI(['--ios-app-version', '1.5.0']);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('CFBundleShortVersionString');
+      expect(result.stdout).toContain('$(MARKETING_VERSION)');
+      expect(result.stdout).toContain('unchanged');
+      expect(await readFile(path.join(tempDir, 'ios/MultiTargetWidget/Info.plist'))).toContain(
+        '<string>1.5.0</string>'
+      );
+    });
+
+    test('updates versions defined in an xcconfig included by the build configurations', async () => {
+      await createMockProject('xcconfig', tempDir);
+
+      const result = await runCLI(['--ios', '--increment', 'minor']);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('↳ ios/Config/Version.xcconfig');
+      expect(await readFile(path.join(tempDir, 'ios/Config/Version.xcconfig'))).toBe(
+        '// Version shared by every build configuration\nMARKETING_VERSION = 2.5.0\nCURRENT_PROJECT_VERSION = 32'
+      );
+    });
+
+    test('follows MARKETING_VERSION references and shows the variable', async () => {
+      await createMockProject('multi-target', tempDir);
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      await writeFile(
+        pbxprojPath,
+        (await readFile(pbxprojPath))
+          .replace(/MARKETING_VERSION = 1\.2\.0;/g, 'MARKETING_VERSION = "$(APP_VERSION)";')
+          .replace(/(\t+)SDKROOT = iphoneos;/g, '$1APP_VERSION = 1.2.0;\n$1SDKROOT = iphoneos;')
+      );
+
+      const result = await runCLI(['--ios-app-version']);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('$(APP_VERSION) in');
+      expect((await readFile(pbxprojPath)).match(/APP_VERSION = 1\.2\.1;/g)).toHaveLength(2);
+    });
+
+    test('shows per-ABI versionCodes for a split APK scheme', async () => {
+      await createMockProject('basic', tempDir);
+
+      await writeFile(
+        path.join(tempDir, 'vbump.config.json'),
+        JSON.stringify({
+          android: { versionCodeScheme: { multiplier: 1000, abiOffsets: { 'arm64-v8a': 4 } } },
+        })
+      );
+
+      const result = await runCLI(['--android-build-number']);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('arm64-v8a');
+      expect(result.stdout).toContain('2004');
+    });
+
+    test('shows the root build.gradle for ext-based versions', async () => {
+      await createMockProject('basic', tempDir);
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const buildGradleContent = await readFile(buildGradlePath);
+      await writeFile(
+        buildGradlePath,
+        buildGradleContent.replace('versionCode 1', 'versionCode rootProject.ext.versionCode')
+      );
+      await writeFile(
+        path.join(tempDir, 'android/build.gradle'),
+        'buildscript {\n    ext {\n        versionCode = 20\n    }\n}\n'
+      );
+
+      const result = await runCLI(['--android-build-number']);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('↳ android/build.gradle');
+
+      const rootContent = await readFile(path.join(tempDir, 'android/build.gradle'));
+      expect(rootContent).toContain('versionCode = 21');
+    });
+
+    test('fails without writing when an ext reference is missing', async () => {
+      await createMockProject('basic', tempDir);
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const buildGradleContent = (await readFile(buildGradlePath)).replace(
+        'versionCode 1',
+        'versionCode rootProject.ext.missingCode'
+      );
+      await writeFile(buildGradlePath, buildGradleContent);
+      await writeFile(
+        path.join(tempDir, 'android/build.gradle'),
+        'buildscript {\n    ext {\n        versionCode = 20\n    }\n}\n'
+      );
+
+      const result = await runCLI(['--android']);
+
+      expect(result.code).toBe(3);
+      expect(result.stdout).toContain('Could not resolve rootProject.ext.missingCode');
+      expect(await readFile(buildGradlePath)).toBe(buildGradleContent);
+      expect(JSON.parse(await readFile(path.join(tempDir, 'package.json'))).version).toBe('1.0.0');
+    });
   });
 
   describe('iOS Updates', () => {
@@ -283,6 +576,45 @@ describe('CLI Integration Tests', () => {
       expect(pbxprojContent).toContain('CURRENT_PROJECT_VERSION = 99;');
     });
 
+    test('uses a dotted iOS build number and shows it in the summary', async () => {
+      await createMockProject('basic', tempDir);
+
+      const result = await runCLI(['--ios-build-number', '4.2.17']);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('4.2.17');
+
+      const pbxprojContent = await readFile(
+        path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj')
+      );
+      expect(pbxprojContent).toContain('CURRENT_PROJECT_VERSION = 4.2.17;');
+
+      const nextResult = await runCLI(['--ios-build-number']);
+
+      expect(nextResult.code).toBe(0);
+      expect(
+        await readFile(path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj'))
+      ).toContain('CURRENT_PROJECT_VERSION = 4.2.18;');
+    });
+
+    test('leaves out projects that are not in the app workspace', async () => {
+      await createMockProject('basic', tempDir);
+      const pbxprojPath = path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj');
+      const strayPath = path.join(tempDir, 'ios/Playground.xcodeproj/project.pbxproj');
+      await writeFile(strayPath, await readFile(pbxprojPath));
+      await writeFile(
+        path.join(tempDir, 'ios/TestRNApp.xcworkspace/contents.xcworkspacedata'),
+        '<Workspace version = "1.0"><FileRef location = "group:TestRNApp.xcodeproj"></FileRef></Workspace>'
+      );
+
+      const result = await runCLI(['--ios-build-number', '42']);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('1 iOS file(s)');
+      expect(await readFile(pbxprojPath)).toContain('CURRENT_PROJECT_VERSION = 42;');
+      expect(await readFile(strayPath)).not.toContain('CURRENT_PROJECT_VERSION = 42;');
+    });
+
     test('uses specific iOS app version', async () => {
       await createMockProject('basic', tempDir);
 
@@ -339,6 +671,22 @@ describe('CLI Integration Tests', () => {
     });
   });
 
+  describe('Build Number Strategies', () => {
+    test('uses the date strategy for both platforms', async () => {
+      await createMockProject('basic', tempDir);
+
+      const result = await runCLI(['--build-numbers', '--build-strategy', 'date']);
+
+      expect(result.code).toBe(0);
+      expect(await readFile(path.join(tempDir, 'android/app/build.gradle'))).toMatch(
+        /versionCode \d{6}01\n/
+      );
+      expect(await readFile(path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj'))).toMatch(
+        /CURRENT_PROJECT_VERSION = \d{6}01;/
+      );
+    });
+  });
+
   describe('Custom Configuration', () => {
     test('uses custom configuration file', async () => {
       await createMockProject('custom-config', tempDir);
@@ -415,6 +763,215 @@ describe('CLI Integration Tests', () => {
       expect(result.stdout).toContain('No Android or iOS files found');
     });
 
+    test('exits with a distinct code for computed versionCode expressions', async () => {
+      await createMockProject('basic', tempDir);
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const buildGradleContent = (await readFile(buildGradlePath)).replace(
+        'versionCode 1',
+        'versionCode getGitCommitCount()'
+      );
+      await writeFile(buildGradlePath, buildGradleContent);
+
+      const result = await runCLI(['--android-build-number']);
+
+      expect(result.code).toBe(3);
+      expect(result.stdout).toContain('computed dynamically');
+      expect(result.stdout).toContain('versionCode getGitCommitCount()');
+      expect(await readFile(buildGradlePath)).toBe(buildGradleContent);
+    });
+
+    test('replaces computed versionCode expressions with --force-literal', async () => {
+      await createMockProject('basic', tempDir);
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      await writeFile(
+        buildGradlePath,
+        (await readFile(buildGradlePath)).replace('versionCode 1', 'versionCode 1000 + buildNum')
+      );
+
+      const result = await runCLI(['--android-build-number', '500', '--force-literal']);
+
+      expect(result.code).toBe(0);
+      expect(await readFile(buildGradlePath)).toContain('versionCode 500\n');
+    });
+
+    test('exits with a distinct code when app extensions diverge from the app', async () => {
+      await createMockProject('multi-target', tempDir);
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const pbxprojContent = (await readFile(pbxprojPath)).replace(
+        /(INFOPLIST_FILE = MultiTargetWidget\/Info\.plist;\n\t+)MARKETING_VERSION = 1\.2\.0;/g,
+        '$1MARKETING_VERSION = 1.1.0;'
+      );
+      await writeFile(pbxprojPath, pbxprojContent);
+
+      const result = await runCLI(['--ios-app-version']);
+
+      expect(result.code).toBe(4);
+      expect(result.stdout).toContain(
+        'MultiTargetWidget: MARKETING_VERSION 1.1.0 (MultiTargetApp has 1.2.0, bumping to 1.2.1)'
+      );
+      expect(await readFile(pbxprojPath)).toBe(pbxprojContent);
+
+      const syncResult = await runCLI(['--ios-app-version', '--sync-extensions']);
+
+      expect(syncResult.code).toBe(0);
+      expect((await readFile(pbxprojPath)).match(/MARKETING_VERSION = 1\.2\.1;/g)).toHaveLength(4);
+    });
+
+    test('leaves every platform untouched when app extensions diverge', async () => {
+      await createMockProject('multi-target', tempDir);
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const buildGradleContent =
+        'android {\n    defaultConfig {\n        versionCode 1\n        versionName "1.2.0"\n    }\n}\n';
+      await writeFile(buildGradlePath, buildGradleContent);
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const pbxprojContent = (await readFile(pbxprojPath)).replace(
+        /(INFOPLIST_FILE = MultiTargetWidget\/Info\.plist;\n\t+)MARKETING_VERSION = 1\.2\.0;/g,
+        '$1MARKETING_VERSION = 1.1.0;'
+      );
+      await writeFile(pbxprojPath, pbxprojContent);
+      const packageJsonContent = await readFile(path.join(tempDir, 'package.json'));
+
+      const result = await runCLI(['--android', '--ios']);
+
+      expect(result.code).toBe(4);
+      expect(result.stdout).toContain('MultiTargetWidget: MARKETING_VERSION 1.1.0');
+      expect(await readFile(buildGradlePath)).toBe(buildGradleContent);
+      expect(await readFile(pbxprojPath)).toBe(pbxprojContent);
+      expect(await readFile(path.join(tempDir, 'package.json'))).toBe(packageJsonContent);
+    });
+
+    test('requires a baseline when build configurations have different versions', async () => {
+      await createMockProject('multi-target', tempDir);
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const pbxprojContent = (await readFile(pbxprojPath)).replace(
+        /(INFOPLIST_FILE = MultiTargetApp\/Info\.plist;\n\t+)MARKETING_VERSION = 1\.2\.0;/,
+        '$1MARKETING_VERSION = 1.2.3;'
+      );
+      await writeFile(pbxprojPath, pbxprojContent);
+
+      const result = await runCLI(['--ios-app-version']);
+
+      expect(result.code).toBe(5);
+      expect(result.stdout).toContain(
+        'MultiTargetApp: MARKETING_VERSION Debug 1.2.3, Release 1.2.0'
+      );
+      expect(result.stdout).toContain('--baseline');
+      expect(await readFile(pbxprojPath)).toBe(pbxprojContent);
+
+      const baselineResult = await runCLI([
+        '--ios-app-version',
+        '--baseline',
+        'highest',
+        '--sync-extensions',
+      ]);
+
+      expect(baselineResult.code).toBe(0);
+      expect(baselineResult.stdout).toContain('MultiTargetApp (Release)');
+      expect((await readFile(pbxprojPath)).match(/MARKETING_VERSION = 1\.2\.4;/g)).toHaveLength(4);
+    });
+
+    test('requires a baseline for drifted configurations on full iOS runs', async () => {
+      await createMockProject('basic', tempDir);
+
+      const pbxprojPath = path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj');
+      const pbxprojContent = (await readFile(pbxprojPath)).replace(
+        'MARKETING_VERSION = 1.0.0;',
+        'MARKETING_VERSION = 1.4.0;'
+      );
+      await writeFile(pbxprojPath, pbxprojContent);
+
+      const result = await runCLI(['--ios']);
+
+      expect(result.code).toBe(5);
+      expect(result.stdout).toContain('MARKETING_VERSION Debug 1.4.0, Release 1.0.0');
+      expect(await readFile(pbxprojPath)).toBe(pbxprojContent);
+
+      const baselineResult = await runCLI(['--ios', '--baseline', 'highest']);
+
+      expect(baselineResult.code).toBe(0);
+      expect((await readFile(pbxprojPath)).match(/MARKETING_VERSION = 1\.4\.1;/g)).toHaveLength(2);
+    });
+
+    test('leaves every platform untouched when a baseline is missing', async () => {
+      await createMockProject('basic', tempDir);
+
+      const pbxprojPath = path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj');
+      const pbxprojContent = (await readFile(pbxprojPath))
+        .replace('MARKETING_VERSION = 1.0.0;', 'MARKETING_VERSION = 1.3.0;')
+        .replace('MARKETING_VERSION = 1.0.0;', 'MARKETING_VERSION = 1.2.0;');
+      await writeFile(pbxprojPath, pbxprojContent);
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const buildGradleContent = await readFile(buildGradlePath);
+      const packageJsonContent = await readFile(path.join(tempDir, 'package.json'));
+
+      const result = await runCLI(['--android', '--ios']);
+
+      expect(result.code).toBe(5);
+      const output = `${result.stdout}${result.stderr}`;
+      expect(output.match(/MARKETING_VERSION Debug 1\.3\.0, Release 1\.2\.0/g)).toHaveLength(1);
+      expect(await readFile(buildGradlePath)).toBe(buildGradleContent);
+      expect(await readFile(pbxprojPath)).toBe(pbxprojContent);
+      expect(await readFile(path.join(tempDir, 'package.json'))).toBe(packageJsonContent);
+    });
+
+    test('restarts iOS build numbers for a new marketing version with the reset policy', async () => {
+      await createMockProject('basic', tempDir);
+      await writeFile(
+        path.join(tempDir, 'vbump.config.json'),
+        JSON.stringify({ ios: { buildNumberPolicy: 'reset-on-version-change' } })
+      );
+      const pbxprojPath = path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj');
+      await writeFile(
+        pbxprojPath,
+        (await readFile(pbxprojPath)).replace(
+          /CURRENT_PROJECT_VERSION = 1;/g,
+          'CURRENT_PROJECT_VERSION = 40;'
+        )
+      );
+
+      const result = await runCLI(['--ios', '--increment', 'minor']);
+
+      expect(result.code).toBe(0);
+      const pbxprojContent = await readFile(pbxprojPath);
+      expect(pbxprojContent.match(/MARKETING_VERSION = 1\.1\.0;/g)).toHaveLength(2);
+      expect(pbxprojContent.match(/CURRENT_PROJECT_VERSION = 1;/g)).toHaveLength(2);
+    });
+
+    test('encodes prereleases into iOS build numbers on full iOS runs', async () => {
+      await createMockProject('basic', tempDir);
+      await writeFile(
+        path.join(tempDir, 'vbump.config.json'),
+        JSON.stringify({ ios: { prereleaseBuildNumbers: { beta: 200 } } })
+      );
+
+      const result = await runCLI(['--ios', '--increment', 'preminor', '--preid', 'beta']);
+
+      expect(result.code).toBe(0);
+      const pbxprojContent = await readFile(
+        path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj')
+      );
+      expect(pbxprojContent.match(/MARKETING_VERSION = 1\.1\.0;/g)).toHaveLength(2);
+      expect(pbxprojContent.match(/CURRENT_PROJECT_VERSION = 200;/g)).toHaveLength(2);
+      expect(JSON.parse(await readFile(path.join(tempDir, 'package.json'))).version).toBe(
+        '1.1.0-beta.0'
+      );
+    });
+
+    test('rejects unknown build strategies', async () => {
+      await createMockProject('basic', tempDir);
+
+      const result = await runCLI(['--build-numbers', '--build-strategy', 'weekly']);
+
+      expect(result.code).toBe(1);
+      expect(result.stderr).toContain('Invalid build number strategy: weekly');
+    });
+
     test('handles invalid increment type', async () => {
       await createMockProject('basic', tempDir);
 
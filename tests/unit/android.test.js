@@ -1,5 +1,6 @@
 import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
-import { updateAndroidVersions } from '../../src/utils/android.js';
+import { updateAndroidVersions, parseAndroidVersions } from '../../src/utils/android.js';
+import { DynamicVersionError } from '../../src/utils/errors.js';
 import { createMockProject, createTempDir, readFile } from '../helpers/mockProject.js';
 
 // Add this helper function at the top of the file
@@ -378,6 +379,994 @@ describe('Android Version Updates', () => {
     });
   });
 
+  describe('Kotlin DSL build files', () => {
+    test('updates versionCode and versionName in build.gradle.kts', async () => {
+      await createMockProject('kotlin-dsl', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle.kts');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        increment: 'minor',
+      };
+
+      const result = await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].versionCode).toBe(13);
+      expect(result[0].versionName).toBe('1.3.0');
+
+      // Verify the Kotlin assignment syntax is preserved
+      const content = await readFile(buildGradlePath);
+      expect(content).toContain('versionCode = 13');
+      expect(content).toContain('versionName = "1.3.0"');
+    });
+
+    test('parses versions from build.gradle.kts', async () => {
+      await createMockProject('kotlin-dsl', tempDir);
+      const path = await import('path');
+
+      const result = parseAndroidVersions(path.join(tempDir, 'android/app/build.gradle.kts'));
+
+      expect(result).toEqual({ versionCode: 12, versionName: '1.2.0', flavors: [] });
+    });
+  });
+
+  describe('Product flavors', () => {
+    test('updates defaultConfig only when no flavors are requested', async () => {
+      await createMockProject('flavors', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        increment: 'patch',
+      };
+
+      const result = await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(result[0].versionCode).toBe(31);
+      expect(result[0].versionName).toBe('3.0.1');
+
+      const content = await readFile(buildGradlePath);
+      expect(content).toContain('versionCode 31');
+      expect(content).toContain('versionCode 40');
+      expect(content).toContain('versionCode 55');
+    });
+
+    test('updates only the requested flavors', async () => {
+      await createMockProject('flavors', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        increment: 'minor',
+        flavors: ['brandB'],
+      };
+
+      const result = await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(result[0].versionCode).toBe(56);
+      expect(result[0].versionName).toBe('4.3.0');
+      expect(result[0].flavors).toEqual([
+        { name: 'brandB', versionCode: 56, versionName: '4.3.0' },
+      ]);
+
+      // Other blocks keep their values
+      const content = await readFile(buildGradlePath);
+      expect(content).toContain('versionCode 30');
+      expect(content).toContain('versionName "3.1.0"');
+      expect(content).toContain('versionCode 56');
+      expect(content).toContain('versionName "4.3.0"');
+    });
+
+    test('records one change per flavor with its target', async () => {
+      await createMockProject('flavors', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        flavors: ['defaultConfig', 'brandA', 'brandB'],
+      };
+
+      await updateAndroidVersions([buildGradlePath], true, null, options);
+
+      expect(
+        options.changes.map((change) => [change.target, change.oldValue, change.newValue])
+      ).toEqual([
+        ['defaultConfig', '30', 31],
+        ['brandA', '40', 41],
+        ['brandB', '55', 56],
+      ]);
+    });
+
+    test('updates Kotlin DSL flavors declared with create()', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle.kts');
+      await fs.writeFile(
+        buildGradlePath,
+        `
+android {
+    defaultConfig {
+        versionCode = 1
+        versionName = "1.0.0"
+    }
+    productFlavors {
+        create("brandA") {
+            versionCode = 40
+            versionName = "3.1.0"
+        }
+    }
+}
+`
+      );
+
+      const options = { projectRoot: tempDir, changes: [], flavors: ['brandA'] };
+      await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      const content = await readFile(buildGradlePath);
+      expect(content).toContain('versionCode = 1\n');
+      expect(content).toContain('versionCode = 41');
+      expect(content).toContain('versionName = "3.1.1"');
+    });
+
+    test('skips files that do not declare the requested flavors', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const options = { projectRoot: tempDir, changes: [], flavors: ['brandA'] };
+
+      const result = await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(result).toHaveLength(0);
+      expect(options.changes).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Could not find flavor(s) brandA')
+      );
+    });
+
+    test('lists every versioned flavor when parsing', async () => {
+      await createMockProject('flavors', tempDir);
+      const path = await import('path');
+
+      const result = parseAndroidVersions(path.join(tempDir, 'android/app/build.gradle'));
+
+      expect(result).toEqual({
+        versionCode: 30,
+        versionName: '3.0.0',
+        flavors: [
+          { name: 'brandA', versionCode: 40, versionName: '3.1.0' },
+          { name: 'brandB', versionCode: 55, versionName: '4.2.1' },
+        ],
+      });
+    });
+  });
+
+  describe('Properties file sources', () => {
+    const propertiesContent = `# Versions read by app/build.gradle
+VERSION_CODE=120
+VERSION_NAME=2.4.0
+
+org.gradle.jvmargs=-Xmx2048m
+`;
+
+    test('updates a configured properties source in place', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const propertiesPath = path.join(tempDir, 'android/gradle.properties');
+      await fs.writeFile(propertiesPath, propertiesContent);
+
+      const options = { projectRoot: tempDir, changes: [], increment: 'minor' };
+      const result = await updateAndroidVersions(
+        [{ path: propertiesPath, type: 'properties' }],
+        true,
+        true,
+        options
+      );
+
+      expect(result[0].versionCode).toBe(121);
+      expect(result[0].versionName).toBe('2.5.0');
+
+      const content = await readFile(propertiesPath);
+      expect(content).toBe(
+        propertiesContent.replace('VERSION_CODE=120', 'VERSION_CODE=121').replace('2.4.0', '2.5.0')
+      );
+    });
+
+    test('supports custom property keys', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const propertiesPath = path.join(tempDir, 'android/version.properties');
+      await fs.writeFile(propertiesPath, 'app.versionCode=7\napp.versionName=1.0.0\n');
+
+      const options = { projectRoot: tempDir, changes: [] };
+      await updateAndroidVersions(
+        [
+          {
+            path: propertiesPath,
+            versionCodeKey: 'app.versionCode',
+            versionNameKey: 'app.versionName',
+          },
+        ],
+        true,
+        null,
+        options
+      );
+
+      expect(await readFile(propertiesPath)).toBe('app.versionCode=8\napp.versionName=1.0.0\n');
+    });
+
+    test('follows build.gradle property references to gradle.properties', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const propertiesPath = path.join(tempDir, 'android/gradle.properties');
+      const buildGradle = (await readFile(buildGradlePath))
+        .replace('versionCode 1', "versionCode project.property('VERSION_CODE') as int")
+        .replace('versionName "1.0.0"', 'versionName VERSION_NAME');
+      await fs.writeFile(buildGradlePath, buildGradle);
+      await fs.writeFile(propertiesPath, propertiesContent);
+
+      const options = { projectRoot: tempDir, changes: [], increment: 'patch' };
+      const result = await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(result[0]).toMatchObject({ versionCode: 121, versionName: '2.4.1' });
+      expect(await readFile(buildGradlePath)).toBe(buildGradle);
+      expect(await readFile(propertiesPath)).toContain('VERSION_CODE=121');
+      expect(await readFile(propertiesPath)).toContain('VERSION_NAME=2.4.1');
+      expect(normalizePath(options.changes[0].file)).toBe('android/gradle.properties');
+    });
+
+    test('bumps a properties value once when build.gradle reads it too', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const propertiesPath = path.join(tempDir, 'android/gradle.properties');
+      await fs.writeFile(
+        buildGradlePath,
+        (await readFile(buildGradlePath)).replace(
+          'versionCode 1',
+          'versionCode VERSION_CODE as int'
+        )
+      );
+      await fs.writeFile(propertiesPath, propertiesContent);
+
+      const options = { projectRoot: tempDir, changes: [], increment: 'patch' };
+      await updateAndroidVersions(
+        [{ path: propertiesPath, type: 'properties' }, buildGradlePath],
+        true,
+        true,
+        options
+      );
+
+      expect(await readFile(propertiesPath)).toContain('VERSION_CODE=121\n');
+      expect(await readFile(propertiesPath)).toContain('VERSION_NAME=2.4.1\n');
+      expect(await readFile(buildGradlePath)).toContain('versionName "1.0.1"');
+      expect(options.changes.map((change) => change.item)).toEqual([
+        'versionCode',
+        'versionName',
+        'versionName',
+      ]);
+    });
+
+    test('follows a properties file loaded with rootProject.file()', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const propertiesPath = path.join(tempDir, 'android/version.properties');
+      const buildGradle = (await readFile(buildGradlePath))
+        .replace(
+          'android {',
+          `def versionProps = new Properties()
+versionProps.load(new FileInputStream(rootProject.file('version.properties')))
+
+android {`
+        )
+        .replace('versionCode 1', "versionCode versionProps['VERSION_CODE'].toInteger()")
+        .replace('versionName "1.0.0"', "versionName versionProps['VERSION_NAME']");
+      await fs.writeFile(buildGradlePath, buildGradle);
+      await fs.writeFile(propertiesPath, propertiesContent);
+
+      const options = { projectRoot: tempDir, changes: [] };
+      const result = await updateAndroidVersions([buildGradlePath], true, null, options);
+
+      expect(result[0].versionCode).toBe(121);
+      expect(await readFile(propertiesPath)).toContain('VERSION_CODE=121');
+    });
+
+    test('follows a property reference next to a literal version', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const propertiesPath = path.join(tempDir, 'android/gradle.properties');
+      await fs.writeFile(
+        buildGradlePath,
+        (await readFile(buildGradlePath)).replace(
+          'versionCode 1',
+          'versionCode VERSION_CODE.toInteger()'
+        )
+      );
+      await fs.writeFile(propertiesPath, propertiesContent);
+
+      const options = { projectRoot: tempDir, changes: [], increment: 'patch' };
+      await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(await readFile(buildGradlePath)).toContain('versionName "1.0.1"');
+      expect(await readFile(buildGradlePath)).toContain('versionCode VERSION_CODE.toInteger()');
+      expect(await readFile(propertiesPath)).toContain('VERSION_CODE=121');
+      expect(await readFile(propertiesPath)).toContain('VERSION_NAME=2.4.0');
+      expect(options.changes.map((change) => normalizePath(change.file))).toEqual([
+        'android/gradle.properties',
+        'android/app/build.gradle',
+      ]);
+    });
+
+    test('warns when the properties keys are missing', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const propertiesPath = path.join(tempDir, 'android/gradle.properties');
+      await fs.writeFile(propertiesPath, 'org.gradle.jvmargs=-Xmx2048m\n');
+
+      const options = { projectRoot: tempDir, changes: [] };
+      const result = await updateAndroidVersions([propertiesPath], true, true, options);
+
+      expect(result).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Could not find VERSION_CODE or VERSION_NAME')
+      );
+    });
+  });
+
+  describe('AndroidManifest.xml sources', () => {
+    const manifestContent = `<?xml version="1.0" encoding="utf-8"?>
+<!-- <manifest android:versionCode="99"> -->
+<manifest xmlns:android="http://schemas.android.com/apk/res/android"
+    package="com.testrnapp"
+    android:versionCode="1"
+    android:versionName="1.0.0">
+    <application android:label="TestRNApp" />
+</manifest>
+`;
+
+    const writeManifest = async (content = manifestContent) => {
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const manifestPath = path.join(tempDir, 'android/app/src/main/AndroidManifest.xml');
+      await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+      await fs.writeFile(manifestPath, content);
+      return manifestPath;
+    };
+
+    test('bumps manifest attributes alongside build.gradle', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      await fs.writeFile(
+        buildGradlePath,
+        (await readFile(buildGradlePath)).replace('versionCode 1', 'versionCode 40')
+      );
+      const manifestPath = await writeManifest();
+
+      const options = { projectRoot: tempDir, changes: [] };
+      const result = await updateAndroidVersions(
+        [{ path: manifestPath, type: 'manifest' }, buildGradlePath],
+        true,
+        true,
+        options
+      );
+
+      expect(result.map((entry) => entry.versionCode)).toEqual([41, 41]);
+      expect(await readFile(manifestPath)).toBe(
+        manifestContent
+          .replace('android:versionCode="1"', 'android:versionCode="41"')
+          .replace('android:versionName="1.0.0"', 'android:versionName="1.0.1"')
+      );
+      expect(normalizePath(options.changes[2].file)).toBe(
+        'android/app/src/main/AndroidManifest.xml'
+      );
+      expect(options.changes[2]).toMatchObject({ oldValue: '1', newValue: 41 });
+    });
+
+    test('bumps a manifest on its own', async () => {
+      await createMockProject('basic', tempDir);
+      const manifestPath = await writeManifest();
+
+      const options = { projectRoot: tempDir, changes: [] };
+      await updateAndroidVersions([manifestPath], true, null, options);
+
+      const updatedContent = await readFile(manifestPath);
+      expect(updatedContent).toContain('android:versionCode="2"');
+      expect(updatedContent).toContain('android:versionName="1.0.0"');
+      expect(updatedContent).toContain('<!-- <manifest android:versionCode="99"> -->');
+    });
+
+    test('reads the android namespace prefix from the manifest', async () => {
+      await createMockProject('basic', tempDir);
+      const manifestPath = await writeManifest(
+        "<manifest xmlns:a='http://schemas.android.com/apk/res/android' a:versionCode='7' />"
+      );
+
+      const options = { projectRoot: tempDir, changes: [] };
+      await updateAndroidVersions([manifestPath], '12', true, options);
+
+      expect(await readFile(manifestPath)).toContain("a:versionCode='12'");
+    });
+
+    test('warns when the manifest has no version attributes', async () => {
+      await createMockProject('basic', tempDir);
+      const manifestPath = await writeManifest('<manifest package="com.testrnapp" />');
+
+      const options = { projectRoot: tempDir, changes: [] };
+      const result = await updateAndroidVersions([manifestPath], true, true, options);
+
+      expect(result).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Could not find android:versionCode or android:versionName')
+      );
+    });
+  });
+
+  describe('ABI split versionCode schemes', () => {
+    const versionCodeScheme = { multiplier: 10, abiOffsets: { 'armeabi-v7a': 1, 'arm64-v8a': 2 } };
+
+    test('bumps the base and records per-ABI versionCodes', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const options = { projectRoot: tempDir, changes: [], versionCodeScheme };
+      await updateAndroidVersions([buildGradlePath], true, null, options);
+
+      expect(await readFile(buildGradlePath)).toContain('versionCode 2\n');
+      expect(
+        options.changes.map(({ target, oldValue, newValue }) => [target, oldValue, newValue])
+      ).toEqual([
+        [undefined, '1', 2],
+        ['armeabi-v7a', 11, 21],
+        ['arm64-v8a', 12, 22],
+      ]);
+    });
+
+    test('labels per-ABI rows with the flavor', async () => {
+      await createMockProject('flavors', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        flavors: ['brandA'],
+        versionCodeScheme,
+      };
+      await updateAndroidVersions([buildGradlePath], true, null, options);
+
+      expect(options.changes.map((change) => change.target)).toEqual([
+        'brandA',
+        'brandA / armeabi-v7a',
+        'brandA / arm64-v8a',
+      ]);
+    });
+
+    test('rejects versionCodes over the Google Play limit before writing', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const content = await readFile(buildGradlePath);
+      const options = { projectRoot: tempDir, changes: [], versionCodeScheme };
+
+      await expect(
+        updateAndroidVersions([buildGradlePath], '210000000', null, options)
+      ).rejects.toThrow(
+        "exceeds Google Play's limit of 2100000000 for armeabi-v7a: 2100000001, arm64-v8a: 2100000002"
+      );
+      expect(await readFile(buildGradlePath)).toBe(content);
+    });
+
+    test('validates the scheme configuration', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        versionCodeScheme: { multiplier: 10, abiOffsets: { x86: -1 } },
+      };
+
+      await expect(updateAndroidVersions([buildGradlePath], true, null, options)).rejects.toThrow(
+        'android.versionCodeScheme.abiOffsets.x86 must be a non-negative integer'
+      );
+    });
+  });
+
+  describe('Build number strategies', () => {
+    test('applies the shared build strategy to versionCode', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        buildStrategy: 'date',
+        now: new Date(2025, 2, 7),
+      };
+      const result = await updateAndroidVersions([buildGradlePath], true, null, options);
+
+      expect(result[0].versionCode).toBe(25030701);
+    });
+  });
+
+  describe('semver-encoded versionCode strategy', () => {
+    const useVersions = async (versionCode, versionName) => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const content = (await readFile(buildGradlePath))
+        .replace('versionCode 1', `versionCode ${versionCode}`)
+        .replace('versionName "1.0.0"', `versionName "${versionName}"`);
+      await fs.writeFile(buildGradlePath, content);
+      return buildGradlePath;
+    };
+
+    test('derives versionCode from the new versionName', async () => {
+      const buildGradlePath = await useVersions(20409, '2.4.9');
+
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        increment: 'minor',
+        versionCodeStrategy: 'semver-encoded',
+      };
+      const result = await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(result[0]).toMatchObject({ versionCode: 20500, versionName: '2.5.0' });
+      expect(await readFile(buildGradlePath)).toContain('versionCode 20500\n');
+    });
+
+    test('updates versionCode when only versionName is bumped', async () => {
+      const buildGradlePath = await useVersions(20409, '2.4.9');
+
+      const options = { projectRoot: tempDir, changes: [], versionCodeStrategy: 'semver-encoded' };
+      await updateAndroidVersions([buildGradlePath], null, '3.0.0', options);
+
+      expect(await readFile(buildGradlePath)).toContain('versionCode 30000\n');
+    });
+
+    test('lets versionCodeStrategy override the shared build strategy', async () => {
+      const buildGradlePath = await useVersions(20409, '2.4.9');
+
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        buildStrategy: 'date',
+        versionCodeStrategy: 'semver-encoded',
+      };
+      await updateAndroidVersions([buildGradlePath], true, null, options);
+
+      expect(await readFile(buildGradlePath)).toContain('versionCode 20409\n');
+    });
+
+    test('uses configured digit widths with a build digit', async () => {
+      const buildGradlePath = await useVersions(204090, '2.4.9');
+
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        versionCodeStrategy: 'semver-encoded',
+        versionCodeDigits: { build: 1 },
+      };
+      await updateAndroidVersions([buildGradlePath], true, null, options);
+
+      expect(await readFile(buildGradlePath)).toContain('versionCode 204091\n');
+    });
+  });
+
+  describe('ext variable references', () => {
+    const useExtReferences = async (buildGradlePath, versionCode, versionName) => {
+      const fs = await import('fs/promises');
+      const content = (await readFile(buildGradlePath))
+        .replace('versionCode 1', `versionCode ${versionCode}`)
+        .replace('versionName "1.0.0"', `versionName ${versionName}`);
+      await fs.writeFile(buildGradlePath, content);
+      return content;
+    };
+
+    test('follows rootProject.ext into the root build.gradle', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const rootBuildGradlePath = path.join(tempDir, 'android/build.gradle');
+      const moduleContent = await useExtReferences(
+        buildGradlePath,
+        'rootProject.ext.versionCode',
+        'rootProject.ext.versionName'
+      );
+      await fs.writeFile(
+        rootBuildGradlePath,
+        `buildscript {
+    ext {
+        buildToolsVersion = "34.0.0"
+        minSdkVersion = 21
+        versionCode = 57
+        versionName = "2.3.0"
+    }
+}
+`
+      );
+
+      const options = { projectRoot: tempDir, changes: [], increment: 'minor' };
+      const result = await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(result[0].versionCode).toBe(58);
+      expect(result[0].versionName).toBe('2.4.0');
+
+      // Module file is untouched, the root ext block holds the new values
+      expect(await readFile(buildGradlePath)).toBe(moduleContent);
+      const rootContent = await readFile(rootBuildGradlePath);
+      expect(rootContent).toContain('versionCode = 58');
+      expect(rootContent).toContain('versionName = "2.4.0"');
+      expect(rootContent).toContain('minSdkVersion = 21');
+    });
+
+    test('records the file that holds the ext value', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      await useExtReferences(buildGradlePath, 'rootProject.ext.versionCode', '"1.0.0"');
+      await fs.writeFile(path.join(tempDir, 'android/build.gradle'), 'ext.versionCode = 9\n');
+
+      const options = { projectRoot: tempDir, changes: [] };
+      await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      const versionCodeChange = options.changes.find((c) => c.item === 'versionCode');
+      const versionNameChange = options.changes.find((c) => c.item === 'versionName');
+
+      expect(normalizeChange(versionCodeChange)).toEqual({
+        platform: 'Android',
+        file: 'android/build.gradle',
+        source: 'rootProject.ext.versionCode',
+        item: 'versionCode',
+        oldValue: '9',
+        newValue: 10,
+      });
+      expect(normalizePath(versionNameChange.file)).toBe('android/app/build.gradle');
+      expect(versionNameChange.source).toBeUndefined();
+    });
+
+    test('follows Kotlin DSL rootProject.extra references', async () => {
+      await createMockProject('kotlin-dsl', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle.kts');
+      const rootBuildGradlePath = path.join(tempDir, 'android/build.gradle.kts');
+      const content = (await readFile(buildGradlePath)).replace(
+        'versionCode = 12',
+        'versionCode = rootProject.extra["versionCode"] as Int'
+      );
+      await fs.writeFile(buildGradlePath, content);
+      await fs.writeFile(rootBuildGradlePath, 'extra.apply {\n    set("versionCode", 300)\n}\n');
+
+      const options = { projectRoot: tempDir, changes: [] };
+      await updateAndroidVersions([buildGradlePath], true, null, options);
+
+      expect(await readFile(rootBuildGradlePath)).toContain('set("versionCode", 301)');
+    });
+
+    test('follows module-level ext properties in the same file', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const content = (await readFile(buildGradlePath))
+        .replace('android {', 'ext {\n    appVersionCode = 77\n}\n\nandroid {')
+        .replace('versionCode 1', 'versionCode ext.appVersionCode');
+      await fs.writeFile(buildGradlePath, content);
+
+      const options = { projectRoot: tempDir, changes: [] };
+      await updateAndroidVersions([buildGradlePath], true, null, options);
+
+      const updatedContent = await readFile(buildGradlePath);
+      expect(updatedContent).toContain('appVersionCode = 78');
+      expect(updatedContent).toContain('versionCode ext.appVersionCode');
+    });
+
+    test('fails when an ext reference cannot be resolved', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const content = await useExtReferences(
+        buildGradlePath,
+        'rootProject.ext.versionCode',
+        '"1.0.0"'
+      );
+
+      const options = { projectRoot: tempDir, changes: [] };
+
+      const error = await updateAndroidVersions([buildGradlePath], true, true, options).catch(
+        (caught) => caught
+      );
+
+      expect(error).toBeInstanceOf(DynamicVersionError);
+      expect(error.message).toContain(
+        'Could not resolve rootProject.ext.versionCode referenced by versionCode'
+      );
+      expect(await readFile(buildGradlePath)).toBe(content);
+    });
+  });
+
+  describe('Structure-aware parsing', () => {
+    const writeBuildGradle = async (replace) => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      const content = replace(await readFile(buildGradlePath));
+      await fs.writeFile(buildGradlePath, content);
+      return { buildGradlePath, content };
+    };
+
+    test('ignores commented-out versions', async () => {
+      const { buildGradlePath } = await writeBuildGradle((content) =>
+        content.replace(
+          'android {',
+          '// versionCode 99\n/* defaultConfig { versionName "9.9.9" } */\nandroid {'
+        )
+      );
+
+      const options = { projectRoot: tempDir, changes: [] };
+      await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      const updatedContent = await readFile(buildGradlePath);
+      expect(updatedContent).toContain('// versionCode 99\n');
+      expect(updatedContent).toContain('versionName "9.9.9" }');
+      expect(updatedContent).toContain('versionCode 2');
+      expect(updatedContent).toContain('versionName "1.0.1"');
+    });
+
+    test('only touches defaultConfig when buildTypes also mention versions', async () => {
+      const { buildGradlePath } = await writeBuildGradle((content) =>
+        content
+          .replace('debuggable true', 'debuggable true\n            versionNameSuffix "-debug"')
+          .replace(
+            'android {',
+            'android {\n    applicationVariants.all { variant ->\n        variant.outputs.each { it.versionCodeOverride = 5 }\n    }\n'
+          )
+      );
+
+      const options = { projectRoot: tempDir, changes: [] };
+      await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      const updatedContent = await readFile(buildGradlePath);
+      expect(updatedContent).toContain('versionCodeOverride = 5');
+      expect(updatedContent).toContain('versionNameSuffix "-debug"');
+      expect(updatedContent).toContain('versionCode 2');
+    });
+
+    test('reports duplicate assignments instead of guessing', async () => {
+      const { buildGradlePath, content } = await writeBuildGradle((original) =>
+        original.replace('versionCode 1', 'versionCode 1\n        versionCode 3')
+      );
+
+      const options = { projectRoot: tempDir, changes: [] };
+      const result = await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(result).toHaveLength(0);
+      expect(await readFile(buildGradlePath)).toBe(content);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'versionCode is assigned 2 times in android > defaultConfig (lines 10, 11)'
+        )
+      );
+    });
+
+    test('reports conditional assignments', async () => {
+      const { buildGradlePath } = await writeBuildGradle((content) =>
+        content.replace(
+          'versionCode 1',
+          'if (project.hasProperty("ci")) {\n            versionCode 1\n        }'
+        )
+      );
+
+      const options = { projectRoot: tempDir, changes: [] };
+      const result = await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(result).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'versionCode is assigned conditionally in android > defaultConfig > if'
+        )
+      );
+    });
+
+    test('reports versions assigned only outside defaultConfig and productFlavors', async () => {
+      const { buildGradlePath } = await writeBuildGradle((content) =>
+        content
+          .replace('        versionCode 1\n', '')
+          .replace('minifyEnabled false', 'minifyEnabled false\n            versionCode 7')
+      );
+
+      const options = { projectRoot: tempDir, changes: [] };
+      const result = await updateAndroidVersions([buildGradlePath], true, null, options);
+
+      expect(result).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'versionCode is only assigned outside defaultConfig and productFlavors: android > buildTypes > release'
+        )
+      );
+    });
+
+    test('reports files that cannot be parsed', async () => {
+      const { buildGradlePath } = await writeBuildGradle((content) => `${content}\n}`);
+
+      const options = { projectRoot: tempDir, changes: [] };
+      const result = await updateAndroidVersions([buildGradlePath], true, true, options);
+
+      expect(result).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('could not be parsed'));
+    });
+
+    test('reads the same assignments it writes', async () => {
+      const { buildGradlePath } = await writeBuildGradle((content) =>
+        content.replace('android {', '// versionCode 99\nandroid {')
+      );
+
+      expect(parseAndroidVersions(buildGradlePath)).toMatchObject({
+        versionCode: 1,
+        versionName: '1.0.0',
+      });
+    });
+
+    test('throws when parsing an ambiguous file', async () => {
+      const { buildGradlePath } = await writeBuildGradle((content) =>
+        content.replace('versionCode 1', 'versionCode 1\n        versionCode 3')
+      );
+
+      expect(() => parseAndroidVersions(buildGradlePath)).toThrow(
+        'versionCode is assigned 2 times'
+      );
+    });
+  });
+
+  describe('Computed versions', () => {
+    const useComputedVersions = async (versionCodeExpression, versionNameExpression) => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const buildGradlePath = path.join(tempDir, 'android/app/build.gradle');
+      let content = await readFile(buildGradlePath);
+      if (versionCodeExpression) {
+        content = content.replace('versionCode 1', `versionCode ${versionCodeExpression}`);
+      }
+      if (versionNameExpression) {
+        content = content.replace('versionName "1.0.0"', `versionName ${versionNameExpression}`);
+      }
+      await fs.writeFile(buildGradlePath, content);
+      return { buildGradlePath, content };
+    };
+
+    test('refuses to bump a computed versionCode', async () => {
+      const { buildGradlePath, content } = await useComputedVersions(
+        'System.getenv("BUILD_NUMBER") as int'
+      );
+
+      const options = { projectRoot: tempDir, changes: [] };
+      const error = await updateAndroidVersions([buildGradlePath], true, null, options).catch(
+        (caught) => caught
+      );
+
+      expect(error).toBeInstanceOf(DynamicVersionError);
+      expect(error.exitCode).toBe(3);
+      expect(error.message).toContain(
+        'defaultConfig (line 10): versionCode System.getenv("BUILD_NUMBER") as int'
+      );
+      expect(await readFile(buildGradlePath)).toBe(content);
+    });
+
+    test('refuses SCREAMING_CASE expressions that no properties file defines', async () => {
+      for (const expression of ['BUILD_NUM + 1', 'BUILD_NUM']) {
+        const { buildGradlePath, content } = await useComputedVersions(expression);
+
+        const options = { projectRoot: tempDir, changes: [] };
+        const error = await updateAndroidVersions([buildGradlePath], true, true, options).catch(
+          (caught) => caught
+        );
+
+        expect(error).toBeInstanceOf(DynamicVersionError);
+        expect(error.message).toContain(`defaultConfig (line 10): versionCode ${expression}`);
+        expect(await readFile(buildGradlePath)).toBe(content);
+      }
+    });
+
+    test('still updates literal values when the computed one is not requested', async () => {
+      const { buildGradlePath } = await useComputedVersions('getGitCommitCount()');
+
+      const options = { projectRoot: tempDir, changes: [] };
+      const result = await updateAndroidVersions([buildGradlePath], null, true, options);
+
+      expect(result[0].versionName).toBe('1.0.1');
+      expect(result[0].versionCode).toBeUndefined();
+      expect(await readFile(buildGradlePath)).toContain('versionCode getGitCommitCount()');
+    });
+
+    test('requires an explicit value with forceLiteral', async () => {
+      const { buildGradlePath } = await useComputedVersions('1000 + buildNum');
+
+      const options = { projectRoot: tempDir, changes: [], forceLiteral: true };
+
+      await expect(updateAndroidVersions([buildGradlePath], true, null, options)).rejects.toThrow(
+        '--force-literal needs an explicit value'
+      );
+    });
+
+    test('replaces computed expressions with literals when forced', async () => {
+      const { buildGradlePath } = await useComputedVersions(
+        'getGitCommitCount()',
+        '"${major}.${minor}.0"'
+      );
+
+      const options = { projectRoot: tempDir, changes: [], forceLiteral: true };
+      await updateAndroidVersions([buildGradlePath], '300', '2.0.0', options);
+
+      const updatedContent = await readFile(buildGradlePath);
+      expect(updatedContent).toContain('versionCode 300\n');
+      expect(updatedContent).toContain('versionName "2.0.0"\n');
+      expect(options.changes.map((change) => change.oldValue)).toEqual([
+        'getGitCommitCount()',
+        '"${major}.${minor}.0"',
+      ]);
+    });
+
+    test('parses computed values as null', async () => {
+      const { buildGradlePath } = await useComputedVersions('getGitCommitCount()');
+
+      expect(parseAndroidVersions(buildGradlePath)).toMatchObject({
+        versionCode: null,
+        versionName: '1.0.0',
+      });
+    });
+  });
+
   describe('Cross-platform compatibility', () => {
     test('handles Windows paths correctly', async () => {
       // Mock Windows environment
@@ -0,0 +1,54 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseCalverFormat, incrementCalendarVersion } from '../../src/utils/calver.js';
+
+const OCTOBER_19 = new Date(2026, 9, 19);
+const NEW_YEAR = new Date(2027, 0, 3);
+
+describe('CalVer', () => {
+  describe('parseCalverFormat', () => {
+    test('splits a format into tokens', () => {
+      expect(parseCalverFormat('YY.0M.PATCH')).toEqual(['YY', '0M', 'PATCH']);
+    });
+
+    test('rejects unknown tokens, formats without dates and several counters', () => {
+      expect(() => parseCalverFormat('YYYY.MONTH.MICRO')).toThrow(
+        'Invalid CalVer format: YYYY.MONTH.MICRO (unknown MONTH'
+      );
+      expect(() => parseCalverFormat('MAJOR.MICRO')).toThrow('needs at least one date token');
+      expect(() => parseCalverFormat('YYYY.MINOR.MICRO')).toThrow(
+        'only one counter token is supported'
+      );
+    });
+  });
+
+  describe('incrementCalendarVersion', () => {
+    test.each([
+      ['2026.10.2', 'YYYY.MM.MICRO', OCTOBER_19, '2026.10.3'],
+      ['2026.9.4', 'YYYY.MM.MICRO', OCTOBER_19, '2026.10.0'],
+      ['2026.12.7', 'YYYY.MM.MICRO', NEW_YEAR, '2027.1.0'],
+      ['26.09.3', 'YY.0M.PATCH', OCTOBER_19, '26.10.0'],
+      ['26.10.3', 'YY.0M.PATCH', OCTOBER_19, '26.10.4'],
+      ['27.01.0', '0Y.0M.MICRO', NEW_YEAR, '27.01.1'],
+      ['2.4.0', 'YYYY.MM.MICRO', OCTOBER_19, '2026.10.0'],
+      ['2026.10.18', 'YYYY.MM.DD', OCTOBER_19, '2026.10.19'],
+    ])('%s with %s becomes %s', (version, format, now, expected) => {
+      expect(incrementCalendarVersion(version, format, now)).toBe(expected);
+    });
+
+    test('defaults to YYYY.MM.MICRO', () => {
+      expect(incrementCalendarVersion('2026.10.0', undefined, OCTOBER_19)).toBe('2026.10.1');
+    });
+
+    test('refuses a second release of a period without counter', () => {
+      expect(() => incrementCalendarVersion('2026.10.19', 'YYYY.MM.DD', OCTOBER_19)).toThrow(
+        'CalVer YYYY.MM.DD has no counter, and 2026.10.19 was already released for this period'
+      );
+    });
+
+    test('refuses to go backwards', () => {
+      expect(() => incrementCalendarVersion('2027.1.0', 'YYYY.MM.MICRO', OCTOBER_19)).toThrow(
+        'CalVer 2026.10.0 for YYYY.MM.MICRO would not be newer than 2027.1.0'
+      );
+    });
+  });
+});
@@ -3,6 +3,7 @@ import {
   detectReactNativeProject,
   loadProjectConfiguration,
   getDefaultConfig,
+  loadVersioningModule,
 } from '../../src/utils/detection.js';
 import { createMockProject, createTempDir } from '../helpers/mockProject.js';
 
@@ -209,6 +210,26 @@ describe('Project Detection', () => {
       expect(config.packageJson).toBe('json-package.json');
     });
 
+    test('falls back to build.gradle.kts when build.gradle is missing', async () => {
+      await createMockProject('kotlin-dsl', tempDir);
+
+      const config = await loadProjectConfiguration(tempDir);
+
+      expect(config.android.files).toEqual(['android/app/build.gradle.kts']);
+    });
+
+    test('keeps build.gradle when the Groovy file exists', async () => {
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      await createMockProject('basic', tempDir);
+      await fs.writeFile(path.join(tempDir, 'android/app/build.gradle.kts'), '');
+
+      const config = await loadProjectConfiguration(tempDir);
+
+      expect(config.android.files).toEqual(['android/app/build.gradle']);
+    });
+
     test('handles invalid configuration file gracefully', async () => {
       const path = await import('path');
       const fs = await import('fs/promises');
@@ -248,6 +269,49 @@ describe('Project Detection', () => {
     });
   });
 
+  describe('loadVersioningModule', () => {
+    test('returns null when no versioning module is configured', async () => {
+      expect(await loadVersioningModule(undefined, tempDir)).toBeNull();
+    });
+
+    test('loads the default export of a module path relative to the project', async () => {
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      await fs.writeFile(
+        path.join(tempDir, 'scheme.mjs'),
+        [
+          'export default {',
+          '  parse: (version) => version.split(".").map(Number),',
+          '  format: (parts) => parts.join("."),',
+          '  increment: (type, parts) => [parts[0], parts[1] + 2, 0],',
+          '};',
+        ].join('\n')
+      );
+
+      const versioning = await loadVersioningModule('./scheme.mjs', tempDir);
+
+      expect(versioning.format(versioning.increment('minor', versioning.parse('1.2.3')))).toBe(
+        '1.4.0'
+      );
+    });
+
+    test('rejects missing files and modules without the required functions', async () => {
+      await expect(loadVersioningModule('./missing.mjs', tempDir)).rejects.toThrow(
+        'Versioning module not found: ./missing.mjs'
+      );
+      await expect(loadVersioningModule({ parse: () => {} }, tempDir)).rejects.toThrow(
+        'must export parse, format and increment functions (missing: format, increment)'
+      );
+      await expect(
+        loadVersioningModule(
+          { parse: () => {}, format: () => {}, increment: () => {}, incrementBuildNumber: 1 },
+          tempDir
+        )
+      ).rejects.toThrow("exports an incrementBuildNumber that isn't a function");
+    });
+  });
+
   describe('getDefaultConfig', () => {
     test('returns default configuration object', () => {
       const config = getDefaultConfig();
@@ -1,6 +1,6 @@
 import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
-import { resolveFilePaths } from '../../src/utils/files.js';
-import { createMockProject, createTempDir } from '../helpers/mockProject.js';
+import { resolveFilePaths, resolveIOSFilePaths } from '../../src/utils/files.js';
+import { createMockProject, createTempDir, writeFile } from '../helpers/mockProject.js';
 
 // Add this helper function at the top of the file
 function normalizePath(filePath) {
@@ -42,6 +42,17 @@ describe('File Path Resolution', () => {
       expect(normalizePath(resolved[1])).toMatch(/android\/library\/build\.gradle$/);
     });
 
+    test('resolves source objects by path and keeps their settings', async () => {
+      await createMockProject('basic', tempDir);
+
+      const patterns = [{ path: 'android/app/build.gradle', type: 'gradle' }];
+      const resolved = resolveFilePaths(patterns, tempDir);
+
+      expect(resolved).toHaveLength(1);
+      expect(resolved[0].type).toBe('gradle');
+      expect(normalizePath(resolved[0].path)).toMatch(/android\/app\/build\.gradle$/);
+    });
+
     test('resolves iOS xcodeproj glob pattern', async () => {
       await createMockProject('basic', tempDir);
 
@@ -148,6 +159,90 @@ describe('File Path Resolution', () => {
     });
   });
 
+  describe('Workspace and Podfile discovery', () => {
+    /**
+     * Add a workspace and CocoaPods files next to the basic fixture's project
+     * @param {Object} files - Content by path relative to the ios directory
+     */
+    async function addIOSFiles(files) {
+      const path = await import('path');
+
+      for (const [file, content] of Object.entries(files)) {
+        await writeFile(path.join(tempDir, 'ios', file), content);
+      }
+    }
+
+    /**
+     * Build contents.xcworkspacedata for the given locations
+     * @param {Array<string>} locations - FileRef locations
+     * @returns {string} Workspace content
+     */
+    function workspace(locations) {
+      const fileRefs = locations.map(
+        (location) => `   <FileRef\n      location = "${location}">\n   </FileRef>`
+      );
+      return `<?xml version="1.0" encoding="UTF-8"?>\n<Workspace\n   version = "1.0">\n${fileRefs.join('\n')}\n</Workspace>\n`;
+    }
+
+    test('uses the workspace projects and leaves out Pods and stray projects', async () => {
+      await createMockProject('basic', tempDir);
+      await addIOSFiles({
+        'TestRNApp.xcworkspace/contents.xcworkspacedata': workspace([
+          'group:TestRNApp.xcodeproj',
+          'group:Pods/Pods.xcodeproj',
+        ]),
+        'Pods/Pods.xcodeproj/project.pbxproj': '// Pods project',
+        'Playground.xcodeproj/project.pbxproj': '// Stray project',
+      });
+
+      const resolved = resolveFilePaths(['ios/*.xcodeproj/project.pbxproj'], tempDir);
+
+      expect(resolved).toHaveLength(1);
+      expect(normalizePath(resolved[0])).toMatch(/ios\/TestRNApp\.xcodeproj\/project\.pbxproj$/);
+    });
+
+    test('finds projects nested in subfolders through the Podfile', async () => {
+      await createMockProject('basic', tempDir);
+      await addIOSFiles({
+        'App/Nested.xcodeproj/project.pbxproj': '// Nested project',
+        Podfile: "# project 'TestRNApp'\ntarget 'Nested' do\n  project 'App/Nested'\nend\n",
+      });
+
+      const resolved = resolveFilePaths(['ios/*.xcodeproj/project.pbxproj'], tempDir);
+
+      expect(resolved).toHaveLength(1);
+      expect(normalizePath(resolved[0])).toMatch(/ios\/App\/Nested\.xcodeproj\/project\.pbxproj$/);
+    });
+
+    test('keeps every candidate and warns when the choice is ambiguous', async () => {
+      await createMockProject('basic', tempDir);
+      await addIOSFiles({ 'SecondApp.xcodeproj/project.pbxproj': '// Second project file' });
+
+      const resolved = await resolveIOSFilePaths(['ios/*.xcodeproj/project.pbxproj'], tempDir, {
+        interactive: false,
+      });
+
+      expect(resolved).toHaveLength(2);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Found several Xcode projects for ios/*.xcodeproj/project.pbxproj')
+      );
+    });
+
+    test('does not warn when a workspace names the app project', async () => {
+      await createMockProject('basic', tempDir);
+      await addIOSFiles({
+        'SecondApp.xcodeproj/project.pbxproj': '// Second project file',
+        'TestRNApp.xcworkspace/contents.xcworkspacedata': workspace(['group:TestRNApp.xcodeproj']),
+      });
+
+      const resolved = await resolveIOSFilePaths(['ios/*.xcodeproj/project.pbxproj'], tempDir);
+
+      expect(resolved).toHaveLength(1);
+      expect(resolved[0]).toMatch(/TestRNApp\.xcodeproj/);
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Cross-platform compatibility', () => {
     test('handles Windows paths correctly', async () => {
       // Mock Windows environment
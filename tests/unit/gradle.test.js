@@ -0,0 +1,165 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  tokenizeGradle,
+  parseGradle,
+  getGradleAssignment,
+  findGradleAssignments,
+  getLiteralValue,
+  getBlockPath,
+} from '../../src/utils/gradle.js';
+
+const SAMPLE_GRADLE = `// versionCode 1 was the first release
+android {
+    /* defaultConfig { versionCode 2 } */
+    defaultConfig {
+        applicationId "com.example { not a block }"
+        versionCode 10
+        versionName = "1.0.0"
+    }
+
+    buildTypes {
+        release {
+            versionNameSuffix '-release'
+        }
+    }
+}
+`;
+
+describe('Gradle Parser', () => {
+  describe('tokenizeGradle', () => {
+    test('skips line and block comments', () => {
+      const tokens = tokenizeGradle('// versionCode 1\n/* versionCode 2 */ versionCode 3');
+
+      expect(
+        tokens.filter((token) => token.type !== 'newline').map((token) => token.value)
+      ).toEqual(['versionCode', '3']);
+    });
+
+    test('reads strings with escapes, triple quotes and interpolation', () => {
+      const tokens = tokenizeGradle(`"a\\"b" '''c''' "v\${project.property("X")}"`);
+
+      expect(tokens.map((token) => token.value)).toEqual([
+        '"a\\"b"',
+        "'''c'''",
+        '"v${project.property("X")}"',
+      ]);
+      expect(tokens.map((token) => token.interpolated)).toEqual([false, false, true]);
+    });
+
+    test('throws on unterminated strings and comments', () => {
+      expect(() => tokenizeGradle('versionName "1.0.0')).toThrow('Unterminated string at line 1');
+      expect(() => tokenizeGradle('\n/* versionCode 1')).toThrow('Unterminated comment at line 2');
+    });
+  });
+
+  describe('parseGradle', () => {
+    test('builds nested blocks ignoring braces in strings and comments', () => {
+      const root = parseGradle(SAMPLE_GRADLE);
+      const [android] = root.children;
+
+      expect(android.name).toBe('android');
+      expect(android.children.map((block) => block.name)).toEqual(['defaultConfig', 'buildTypes']);
+      expect(getBlockPath(android.children[1].children[0])).toEqual([
+        'android',
+        'buildTypes',
+        'release',
+      ]);
+    });
+
+    test('names blocks declared with container calls', () => {
+      const root = parseGradle(
+        'productFlavors {\n  create("brandA") { }\n  getByName("brandB") { }\n}'
+      );
+
+      expect(root.children[0].children.map((block) => block.name)).toEqual(['brandA', 'brandB']);
+    });
+
+    test('uses a header on the previous line', () => {
+      const root = parseGradle('android\n{\n  defaultConfig\n  {\n  }\n}');
+
+      expect(getBlockPath(root.children[0].children[0])).toEqual(['android', 'defaultConfig']);
+    });
+
+    test('continues statements across lines after an operator', () => {
+      const root = parseGradle('versionCode 1000 +\n    buildNumber\nversionName "1.0"');
+
+      expect(root.statements).toHaveLength(2);
+    });
+
+    test('throws on unbalanced braces', () => {
+      expect(() => parseGradle('android {\n  defaultConfig {\n}')).toThrow(
+        'Unclosed block "android" opened at line 1'
+      );
+      expect(() => parseGradle('android { }\n}')).toThrow('Unexpected "}" at line 2');
+    });
+  });
+
+  describe('getGradleAssignment', () => {
+    const parseStatement = (source) => parseGradle(source).statements[0];
+
+    test('supports Groovy, Kotlin DSL and method call syntax', () => {
+      const targets = ['versionCode 12', 'versionCode = 12', 'versionCode(12)'].map((source) => {
+        const assignment = getGradleAssignment(parseStatement(source));
+        return [assignment.target, source.slice(assignment.start, assignment.end)];
+      });
+
+      expect(targets).toEqual([
+        ['versionCode', '12'],
+        ['versionCode', '12'],
+        ['versionCode', '12'],
+      ]);
+    });
+
+    test('normalizes ext targets', () => {
+      const targets = [
+        'ext.appVersion = "1.0"',
+        'extra["appVersion"] = "1.0"',
+        'rootProject.extra.set("appVersion", "1.0")',
+      ].map((source) => getGradleAssignment(parseStatement(source)).target);
+
+      expect(targets).toEqual([
+        'ext.appVersion',
+        'extra.appVersion',
+        'rootProject.extra.appVersion',
+      ]);
+    });
+
+    test('returns null for statements that are not assignments', () => {
+      expect(getGradleAssignment(parseStatement('"versionCode"'))).toBeNull();
+      expect(getGradleAssignment(parseStatement('versionCode == 12'))).toBeNull();
+    });
+  });
+
+  describe('findGradleAssignments', () => {
+    test('finds assignments only in code', () => {
+      const assignments = findGradleAssignments(parseGradle(SAMPLE_GRADLE)).filter(
+        (assignment) => assignment.target === 'versionCode'
+      );
+
+      expect(assignments).toHaveLength(1);
+      expect(getBlockPath(assignments[0].block)).toEqual(['android', 'defaultConfig']);
+      expect(SAMPLE_GRADLE.slice(assignments[0].start, assignments[0].end)).toBe('10');
+    });
+  });
+
+  describe('getLiteralValue', () => {
+    const getValue = (source) => {
+      const assignment = getGradleAssignment(parseGradle(source).statements[0]);
+      return getLiteralValue(assignment.valueTokens);
+    };
+
+    test('returns integers and plain strings with the editable range', () => {
+      const source = 'versionName "1.2.3"';
+
+      expect(getValue('versionCode 42')).toMatchObject({ type: 'number', value: '42' });
+      expect(getValue(source)).toMatchObject({ type: 'string', value: '1.2.3' });
+      expect(source.slice(getValue(source).start, getValue(source).end)).toBe('1.2.3');
+    });
+
+    test('returns null for expressions and interpolated strings', () => {
+      expect(getValue('versionCode 1000 + buildNumber')).toBeNull();
+      expect(getValue('versionName "${major}.${minor}"')).toBeNull();
+      expect(getValue('versionCode rootProject.ext.versionCode')).toBeNull();
+    });
+  });
+});
@@ -1,5 +1,9 @@
 import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
-import { updateIOSVersions } from '../../src/utils/ios.js';
+import {
+  updateIOSVersions,
+  checkIOSVersions,
+  checkIOSExtensionVersions,
+} from '../../src/utils/ios.js';
 import { createMockProject, createTempDir, readFile } from '../helpers/mockProject.js';
 
 // Add this helper function at the top of the file
@@ -431,6 +435,889 @@ describe('iOS Version Updates', () => {
     });
   });
 
+  describe('Multi-target projects', () => {
+    test('bumps each target from its own values and reports it by name', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        increment: 'minor',
+        iosTargets: ['MultiTargetAppTests', 'MultiTargetWidget'],
+      };
+
+      const result = await updateIOSVersions([pbxprojPath], true, true, options);
+
+      expect(result[0]).toMatchObject({ currentProjectVersion: 13, marketingVersion: '1.3.0' });
+      expect(result[0].targets).toEqual([
+        { name: 'MultiTargetAppTests', currentProjectVersion: 2, marketingVersion: '1.1.0' },
+        { name: 'MultiTargetApp', currentProjectVersion: 13, marketingVersion: '1.3.0' },
+        { name: 'MultiTargetWidget', currentProjectVersion: 13, marketingVersion: '1.3.0' },
+      ]);
+      expect(
+        options.changes
+          .filter((change) => change.item === 'MARKETING_VERSION')
+          .map((change) => [change.target, change.oldValue, change.newValue])
+      ).toEqual([
+        ['MultiTargetAppTests', '1.0.0', '1.1.0'],
+        ['MultiTargetApp', '1.2.0', '1.3.0'],
+        ['MultiTargetWidget', '1.2.0', '1.3.0'],
+      ]);
+    });
+
+    test('rewrites the file byte for byte apart from the changed values', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const original = await readFile(pbxprojPath);
+
+      await updateIOSVersions([pbxprojPath], 20, null, { projectRoot: tempDir, changes: [] });
+
+      const content = await readFile(pbxprojPath);
+      expect(content).toBe(
+        original.replace(/CURRENT_PROJECT_VERSION = 12;/g, 'CURRENT_PROJECT_VERSION = 20;')
+      );
+    });
+
+    test('leaves project-level build settings alone', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const original = await readFile(pbxprojPath);
+      await fs.writeFile(
+        pbxprojPath,
+        original.replace(
+          'SDKROOT = iphoneos;',
+          'SDKROOT = iphoneos;\n\t\t\t\tMARKETING_VERSION = 0.0.1;'
+        )
+      );
+
+      await updateIOSVersions([pbxprojPath], null, true, { projectRoot: tempDir, changes: [] });
+
+      const content = await readFile(pbxprojPath);
+      expect(content).toContain('MARKETING_VERSION = 0.0.1;');
+      expect(content.match(/MARKETING_VERSION = 1\.2\.1;/g)).toHaveLength(4);
+    });
+
+    test('leaves test targets alone by default', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const options = { projectRoot: tempDir, changes: [], increment: 'patch' };
+
+      const result = await updateIOSVersions([pbxprojPath], true, true, options);
+
+      expect(result[0].targets.map((target) => target.name)).toEqual([
+        'MultiTargetApp',
+        'MultiTargetWidget',
+      ]);
+      expect(
+        options.changes.filter((change) => !change.source).map((change) => change.target)
+      ).toEqual(['MultiTargetApp', 'MultiTargetApp', 'MultiTargetWidget', 'MultiTargetWidget']);
+
+      const content = await readFile(pbxprojPath);
+      expect(content.match(/CURRENT_PROJECT_VERSION = 1;/g)).toHaveLength(2);
+      expect(content.match(/MARKETING_VERSION = 1\.0\.0;/g)).toHaveLength(2);
+    });
+
+    test('updates the app target and the listed targets only', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const original = await readFile(pbxprojPath);
+      await fs.writeFile(
+        pbxprojPath,
+        original.replace(
+          'com.apple.product-type.bundle.unit-test',
+          'com.apple.product-type.app-extension'
+        )
+      );
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        increment: 'patch',
+        iosTargets: ['MultiTargetWidget'],
+      };
+
+      const result = await updateIOSVersions([pbxprojPath], true, null, options);
+
+      expect(result[0].targets.map((target) => target.name)).toEqual([
+        'MultiTargetApp',
+        'MultiTargetWidget',
+      ]);
+      expect(await readFile(pbxprojPath)).toContain('CURRENT_PROJECT_VERSION = 1;');
+    });
+
+    test('warns about requested targets that do not exist', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        iosTargets: ['Watch'],
+        syncExtensions: true,
+      };
+
+      const result = await updateIOSVersions([pbxprojPath], true, null, options);
+
+      expect(result[0].targets.map((target) => target.name)).toEqual([
+        'MultiTargetApp',
+        'MultiTargetWidget',
+      ]);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Could not find target(s) Watch')
+      );
+    });
+
+    test('skips a project.pbxproj that cannot be parsed', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const pbxprojPath = path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj');
+      await fs.writeFile(pbxprojPath, '{\n  objects = {\n    MARKETING_VERSION = 1.0.0\n');
+
+      const result = await updateIOSVersions([pbxprojPath], true, true, {
+        projectRoot: tempDir,
+        changes: [],
+      });
+
+      expect(result).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Invalid project.pbxproj at line 4')
+      );
+    });
+  });
+
+  describe('Info.plist versions', () => {
+    test('updates hardcoded Info.plist versions along with the build settings', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const widgetPlistPath = path.join(tempDir, 'ios/MultiTargetWidget/Info.plist');
+      const original = await readFile(widgetPlistPath);
+      const options = { projectRoot: tempDir, changes: [], increment: 'minor' };
+
+      await updateIOSVersions([pbxprojPath], true, true, options);
+
+      expect(await readFile(widgetPlistPath)).toBe(
+        original
+          .replace('<string>1.2.0</string>', '<string>1.3.0</string>')
+          .replace('<string>12</string>', '<string>13</string>')
+      );
+      expect(
+        options.changes
+          .filter((change) => change.file === 'ios/MultiTargetWidget/Info.plist')
+          .map((change) => [change.item, change.oldValue, change.newValue, change.variable])
+      ).toEqual([
+        ['CFBundleShortVersionString', '1.2.0', '1.3.0', undefined],
+        ['CFBundleVersion', '12', 13, undefined],
+      ]);
+    });
+
+    test('leaves build setting references alone and reports them as variables', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const appPlistPath = path.join(tempDir, 'ios/MultiTargetApp/Info.plist');
+      const original = await readFile(appPlistPath);
+      const options = { projectRoot: tempDir, changes: [] };
+
+      await updateIOSVersions([pbxprojPath], null, true, options);
+
+      expect(await readFile(appPlistPath)).toBe(original);
+      expect(
+        options.changes.filter((change) => change.file === 'ios/MultiTargetApp/Info.plist')
+      ).toEqual([
+        {
+          platform: 'iOS',
+          file: 'ios/MultiTargetApp/Info.plist',
+          target: 'MultiTargetApp',
+          source: 'INFOPLIST_FILE',
+          item: 'CFBundleShortVersionString',
+          oldValue: '$(MARKETING_VERSION)',
+          newValue: '$(MARKETING_VERSION)',
+          variable: true,
+        },
+      ]);
+    });
+
+    test('does not write Info.plist files in dry run mode', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const widgetPlistPath = path.join(tempDir, 'ios/MultiTargetWidget/Info.plist');
+      const original = await readFile(widgetPlistPath);
+
+      await updateIOSVersions([pbxprojPath], true, true, {
+        projectRoot: tempDir,
+        changes: [],
+        dryRun: true,
+      });
+
+      expect(await readFile(widgetPlistPath)).toBe(original);
+    });
+
+    test('resolves $(SRCROOT) in INFOPLIST_FILE', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      await fs.writeFile(
+        pbxprojPath,
+        (await readFile(pbxprojPath)).replace(
+          /INFOPLIST_FILE = MultiTargetWidget\/Info\.plist;/g,
+          'INFOPLIST_FILE = "$(SRCROOT)/MultiTargetWidget/Info.plist";'
+        )
+      );
+
+      await updateIOSVersions([pbxprojPath], 20, null, { projectRoot: tempDir, changes: [] });
+
+      expect(await readFile(path.join(tempDir, 'ios/MultiTargetWidget/Info.plist'))).toContain(
+        '<string>20</string>'
+      );
+    });
+  });
+
+  describe('xcconfig version sources', () => {
+    test('updates the xcconfig behind baseConfigurationReference', async () => {
+      await createMockProject('xcconfig', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/XcconfigApp.xcodeproj/project.pbxproj');
+      const versionPath = path.join(tempDir, 'ios/Config/Version.xcconfig');
+      const originalPbxproj = await readFile(pbxprojPath);
+      const options = { projectRoot: tempDir, changes: [] };
+
+      const result = await updateIOSVersions([pbxprojPath], true, true, options);
+
+      expect(result[0]).toMatchObject({ currentProjectVersion: 32, marketingVersion: '2.4.1' });
+      expect(await readFile(pbxprojPath)).toBe(originalPbxproj);
+      expect(await readFile(versionPath)).toContain('MARKETING_VERSION = 2.4.1');
+      expect(await readFile(versionPath)).toContain('CURRENT_PROJECT_VERSION = 32');
+      expect(
+        options.changes
+          .filter((change) => change.source === 'xcconfig')
+          .map((change) => [change.file, change.item, change.newValue])
+      ).toEqual([
+        ['ios/Config/Version.xcconfig', 'CURRENT_PROJECT_VERSION', 32],
+        ['ios/Config/Version.xcconfig', 'MARKETING_VERSION', '2.4.1'],
+      ]);
+    });
+
+    test('updates xcconfig files listed in ios.files through their includes', async () => {
+      await createMockProject('xcconfig', tempDir);
+      const path = await import('path');
+
+      const releasePath = path.join(tempDir, 'ios/Config/Release.xcconfig');
+      const originalRelease = await readFile(releasePath);
+      const options = { projectRoot: tempDir, changes: [] };
+
+      const result = await updateIOSVersions([releasePath], 40, '3.0.0', options);
+
+      expect(result).toEqual([
+        { filePath: releasePath, currentProjectVersion: 40, marketingVersion: '3.0.0' },
+      ]);
+      expect(await readFile(releasePath)).toBe(originalRelease);
+      expect(await readFile(path.join(tempDir, 'ios/Config/Version.xcconfig'))).toBe(
+        '// Version shared by every build configuration\nMARKETING_VERSION = 3.0.0\nCURRENT_PROJECT_VERSION = 40'
+      );
+    });
+
+    test('bumps a shared xcconfig only once', async () => {
+      await createMockProject('xcconfig', tempDir);
+      const path = await import('path');
+
+      const files = [
+        path.join(tempDir, 'ios/Config/Debug.xcconfig'),
+        path.join(tempDir, 'ios/XcconfigApp.xcodeproj/project.pbxproj'),
+        path.join(tempDir, 'ios/Config/Release.xcconfig'),
+      ];
+      const options = { projectRoot: tempDir, changes: [] };
+
+      await updateIOSVersions(files, true, null, options);
+
+      expect(await readFile(path.join(tempDir, 'ios/Config/Version.xcconfig'))).toContain(
+        'CURRENT_PROJECT_VERSION = 32'
+      );
+      expect(options.changes.filter((change) => !change.variable)).toHaveLength(1);
+    });
+
+    test('skips projects whose xcconfig includes a missing file', async () => {
+      await createMockProject('xcconfig', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      await fs.rm(path.join(tempDir, 'ios/Config/Version.xcconfig'));
+
+      const result = await updateIOSVersions(
+        [path.join(tempDir, 'ios/XcconfigApp.xcodeproj/project.pbxproj')],
+        true,
+        true,
+        { projectRoot: tempDir, changes: [] }
+      );
+
+      expect(result).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Could not find Version.xcconfig included from')
+      );
+    });
+  });
+
+  describe('Quoted and referenced values', () => {
+    /**
+     * Copy the multi-target fixture and rewrite its project.pbxproj
+     * @param {Function} transform - Receives and returns the project.pbxproj content
+     */
+    async function createProject(transform) {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      await fs.writeFile(pbxprojPath, transform(await readFile(pbxprojPath)));
+      return pbxprojPath;
+    }
+
+    test('unquotes values and quotes new ones only when Xcode would', async () => {
+      const pbxprojPath = await createProject((content) =>
+        content.replace(/MARKETING_VERSION = 1\.2\.0;/g, 'MARKETING_VERSION = "1.2.0";')
+      );
+
+      await updateIOSVersions([pbxprojPath], null, true, { projectRoot: tempDir, changes: [] });
+      expect((await readFile(pbxprojPath)).match(/MARKETING_VERSION = 1\.2\.1;/g)).toHaveLength(4);
+
+      await updateIOSVersions([pbxprojPath], null, '2.0.0-beta', {
+        projectRoot: tempDir,
+        changes: [],
+      });
+      expect((await readFile(pbxprojPath)).match(/MARKETING_VERSION = 2\.0\.0;/g)).toHaveLength(4);
+    });
+
+    test('follows $(VARIABLE) references to project-level settings', async () => {
+      const pbxprojPath = await createProject((content) =>
+        content
+          .replace(/MARKETING_VERSION = 1\.2\.0;/g, 'MARKETING_VERSION = "$(APP_VERSION)";')
+          .replace(/(\t+)SDKROOT = iphoneos;/g, '$1APP_VERSION = 1.2.0;\n$1SDKROOT = iphoneos;')
+      );
+      const options = { projectRoot: tempDir, changes: [] };
+
+      const result = await updateIOSVersions([pbxprojPath], null, true, options);
+
+      const content = await readFile(pbxprojPath);
+      expect(result[0].marketingVersion).toBe('1.2.1');
+      expect(content.match(/MARKETING_VERSION = "\$\(APP_VERSION\)";/g)).toHaveLength(4);
+      expect(content.match(/APP_VERSION = 1\.2\.1;/g)).toHaveLength(2);
+      expect(options.changes[0]).toMatchObject({
+        target: 'MultiTargetApp',
+        item: 'MARKETING_VERSION',
+        reference: 'APP_VERSION',
+        oldValue: '1.2.0',
+        newValue: '1.2.1',
+      });
+    });
+
+    test('follows $(VARIABLE) references into xcconfig files', async () => {
+      await createMockProject('xcconfig', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const versionPath = path.join(tempDir, 'ios/Config/Version.xcconfig');
+      await fs.writeFile(
+        versionPath,
+        'APP_VERSION = 2.4.0\nMARKETING_VERSION = ${APP_VERSION}\nCURRENT_PROJECT_VERSION = 31'
+      );
+
+      await updateIOSVersions(
+        [path.join(tempDir, 'ios/XcconfigApp.xcodeproj/project.pbxproj')],
+        null,
+        true,
+        { projectRoot: tempDir, changes: [] }
+      );
+
+      expect(await readFile(versionPath)).toBe(
+        'APP_VERSION = 2.4.1\nMARKETING_VERSION = ${APP_VERSION}\nCURRENT_PROJECT_VERSION = 31'
+      );
+    });
+
+    test('leaves references it cannot follow alone', async () => {
+      const pbxprojPath = await createProject((content) =>
+        content.replace(/MARKETING_VERSION = 1\.2\.0;/g, 'MARKETING_VERSION = "$(APP_VERSION)";')
+      );
+      const original = await readFile(pbxprojPath);
+
+      await updateIOSVersions([pbxprojPath], null, true, { projectRoot: tempDir, changes: [] });
+
+      expect(await readFile(pbxprojPath)).toBe(original);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "Leaving MARKETING_VERSION = $(APP_VERSION) (APP_VERSION isn't defined) alone"
+        )
+      );
+    });
+  });
+
+  describe('Dotted build numbers', () => {
+    /**
+     * Copy the multi-target fixture with CURRENT_PROJECT_VERSION 4.2.17 for the app and widget
+     */
+    async function createDottedProject() {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const widgetPlistPath = path.join(tempDir, 'ios/MultiTargetWidget/Info.plist');
+      await fs.writeFile(
+        pbxprojPath,
+        (await readFile(pbxprojPath)).replace(
+          /CURRENT_PROJECT_VERSION = 12;/g,
+          'CURRENT_PROJECT_VERSION = 4.2.17;'
+        )
+      );
+      await fs.writeFile(
+        widgetPlistPath,
+        (await readFile(widgetPlistPath)).replace('<string>12</string>', '<string>4.2.17</string>')
+      );
+      return pbxprojPath;
+    }
+
+    test('increments the last component of dotted build numbers', async () => {
+      const pbxprojPath = await createDottedProject();
+      const path = await import('path');
+      const options = { projectRoot: tempDir, changes: [] };
+
+      const result = await updateIOSVersions([pbxprojPath], true, null, options);
+
+      expect(result[0].currentProjectVersion).toBe('4.2.18');
+      expect(
+        (await readFile(pbxprojPath)).match(/CURRENT_PROJECT_VERSION = 4\.2\.18;/g)
+      ).toHaveLength(4);
+      expect(await readFile(path.join(tempDir, 'ios/MultiTargetWidget/Info.plist'))).toContain(
+        '<string>4.2.18</string>'
+      );
+      expect(
+        options.changes
+          .filter((change) => change.item === 'CURRENT_PROJECT_VERSION')
+          .map((change) => [change.oldValue, change.newValue])
+      ).toEqual([
+        ['4.2.17', '4.2.18'],
+        ['4.2.17', '4.2.18'],
+      ]);
+    });
+
+    test('increments the configured build number component', async () => {
+      const pbxprojPath = await createDottedProject();
+
+      await updateIOSVersions([pbxprojPath], true, null, {
+        projectRoot: tempDir,
+        changes: [],
+        buildNumberComponent: 2,
+      });
+
+      expect(
+        (await readFile(pbxprojPath)).match(/CURRENT_PROJECT_VERSION = 4\.3\.0;/g)
+      ).toHaveLength(4);
+    });
+
+    test("rejects build numbers outside Apple's format", async () => {
+      const pbxprojPath = await createDottedProject();
+
+      await expect(
+        updateIOSVersions([pbxprojPath], '4.2.17.1', null, { projectRoot: tempDir, changes: [] })
+      ).rejects.toThrow('Invalid build number: 4.2.17.1');
+    });
+  });
+
+  describe('Configuration drift', () => {
+    /**
+     * Copy the multi-target fixture with the app's Release configuration behind Debug
+     */
+    async function createDriftedProject() {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const content = await readFile(pbxprojPath);
+      await fs.writeFile(
+        pbxprojPath,
+        content.replace(
+          /CURRENT_PROJECT_VERSION = 12;\n(\t+INFOPLIST_FILE = MultiTargetApp\/Info\.plist;\n\t+)MARKETING_VERSION = 1\.2\.0;/,
+          'CURRENT_PROJECT_VERSION = 10;\n$1MARKETING_VERSION = 1.1.9;'
+        )
+      );
+      return pbxprojPath;
+    }
+
+    test('fails without a baseline and lists each configuration', async () => {
+      const pbxprojPath = await createDriftedProject();
+      const original = await readFile(pbxprojPath);
+
+      await expect(
+        updateIOSVersions([pbxprojPath], true, true, { projectRoot: tempDir, changes: [] })
+      ).rejects.toMatchObject({
+        name: 'ConfigurationDriftError',
+        exitCode: 5,
+        message: expect.stringContaining(
+          'MultiTargetApp: MARKETING_VERSION Debug 1.2.0, Release 1.1.9'
+        ),
+      });
+      expect(await readFile(pbxprojPath)).toBe(original);
+    });
+
+    test('bumps from the highest value and shows a row per configuration', async () => {
+      const pbxprojPath = await createDriftedProject();
+      const options = { projectRoot: tempDir, changes: [], baseline: 'highest' };
+
+      await updateIOSVersions([pbxprojPath], true, true, options);
+
+      const content = await readFile(pbxprojPath);
+      expect(content.match(/MARKETING_VERSION = 1\.2\.1;/g)).toHaveLength(4);
+      expect(content.match(/CURRENT_PROJECT_VERSION = 13;/g)).toHaveLength(4);
+      expect(
+        options.changes
+          .filter((change) => change.configuration)
+          .map((change) => [change.configuration, change.item, change.oldValue, change.newValue])
+      ).toEqual([
+        ['Debug', 'CURRENT_PROJECT_VERSION', '12', 13],
+        ['Release', 'CURRENT_PROJECT_VERSION', '10', 13],
+        ['Debug', 'MARKETING_VERSION', '1.2.0', '1.2.1'],
+        ['Release', 'MARKETING_VERSION', '1.1.9', '1.2.1'],
+      ]);
+    });
+
+    test('bumps from the value of a named configuration', async () => {
+      const pbxprojPath = await createDriftedProject();
+
+      await updateIOSVersions([pbxprojPath], true, null, {
+        projectRoot: tempDir,
+        changes: [],
+        baseline: 'Release',
+        syncExtensions: true,
+      });
+
+      expect((await readFile(pbxprojPath)).match(/CURRENT_PROJECT_VERSION = 11;/g)).toHaveLength(4);
+    });
+
+    test('rejects a baseline naming an unknown configuration', async () => {
+      const pbxprojPath = await createDriftedProject();
+
+      await expect(
+        updateIOSVersions([pbxprojPath], true, null, {
+          projectRoot: tempDir,
+          changes: [],
+          baseline: 'Staging',
+        })
+      ).rejects.toThrow(
+        'Unknown baseline "Staging" for CURRENT_PROJECT_VERSION of MultiTargetApp (available: highest, first, Debug, Release)'
+      );
+    });
+
+    test('only reports drift when an explicit version is given', async () => {
+      const pbxprojPath = await createDriftedProject();
+
+      await updateIOSVersions([pbxprojPath], null, '2.0.0', {
+        projectRoot: tempDir,
+        changes: [],
+        syncExtensions: true,
+      });
+
+      expect((await readFile(pbxprojPath)).match(/MARKETING_VERSION = 2\.0\.0;/g)).toHaveLength(4);
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('MultiTargetApp: MARKETING_VERSION Debug 1.2.0, Release 1.1.9')
+      );
+    });
+  });
+
+  describe('Extension version parity', () => {
+    /**
+     * Copy the multi-target fixture with the widget extension at its own versions
+     */
+    async function createDivergedProject() {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const content = await readFile(pbxprojPath);
+      await fs.writeFile(
+        pbxprojPath,
+        content.replace(
+          /CURRENT_PROJECT_VERSION = 12;\n(\t+INFOPLIST_FILE = MultiTargetWidget\/Info\.plist;\n\t+)MARKETING_VERSION = 1\.2\.0;/g,
+          'CURRENT_PROJECT_VERSION = 9;\n$1MARKETING_VERSION = 1.1.0;'
+        )
+      );
+      return pbxprojPath;
+    }
+
+    test('reports extensions that differ from their host app', async () => {
+      const pbxprojPath = await createDivergedProject();
+
+      expect(checkIOSExtensionVersions(pbxprojPath)).toEqual([
+        {
+          host: 'MultiTargetApp',
+          extension: 'MultiTargetWidget',
+          setting: 'MARKETING_VERSION',
+          hostValue: '1.2.0',
+          extensionValue: '1.1.0',
+        },
+        {
+          host: 'MultiTargetApp',
+          extension: 'MultiTargetWidget',
+          setting: 'CURRENT_PROJECT_VERSION',
+          hostValue: '12',
+          extensionValue: '9',
+        },
+      ]);
+    });
+
+    test('ignores test targets depending on the app', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+
+      expect(checkIOSExtensionVersions(pbxprojPath)).toEqual([]);
+    });
+
+    test('refuses a bump that leaves extensions out of line', async () => {
+      const pbxprojPath = await createDivergedProject();
+      const original = await readFile(pbxprojPath);
+
+      await expect(
+        updateIOSVersions([pbxprojPath], true, true, { projectRoot: tempDir, changes: [] })
+      ).rejects.toMatchObject({
+        name: 'ExtensionVersionMismatchError',
+        exitCode: 4,
+        message: expect.stringContaining(
+          'MultiTargetWidget: MARKETING_VERSION 1.1.0 (MultiTargetApp has 1.2.0, bumping to 1.2.1)'
+        ),
+      });
+      expect(await readFile(pbxprojPath)).toBe(original);
+    });
+
+    test('refuses diverging extensions when checking before any update', async () => {
+      const pbxprojPath = await createDivergedProject();
+      const original = await readFile(pbxprojPath);
+
+      await expect(
+        checkIOSVersions([pbxprojPath], true, true, { projectRoot: tempDir, changes: [] })
+      ).rejects.toMatchObject({ name: 'ExtensionVersionMismatchError', exitCode: 4 });
+      expect(await readFile(pbxprojPath)).toBe(original);
+    });
+
+    test('gives extensions the host app versions with syncExtensions', async () => {
+      const pbxprojPath = await createDivergedProject();
+      const options = { projectRoot: tempDir, changes: [], syncExtensions: true };
+
+      const result = await updateIOSVersions([pbxprojPath], true, true, options);
+
+      expect(result[0].targets).toEqual([
+        { name: 'MultiTargetApp', currentProjectVersion: 13, marketingVersion: '1.2.1' },
+        { name: 'MultiTargetWidget', currentProjectVersion: 13, marketingVersion: '1.2.1' },
+      ]);
+      expect(options.changes).toContainEqual(
+        expect.objectContaining({
+          target: 'MultiTargetWidget',
+          item: 'MARKETING_VERSION',
+          oldValue: '1.1.0',
+          newValue: '1.2.1',
+        })
+      );
+      expect(checkIOSExtensionVersions(pbxprojPath)).toEqual([]);
+    });
+
+    test('syncs extensions that were not selected', async () => {
+      await createMockProject('multi-target', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/MultiTargetApp.xcodeproj/project.pbxproj');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        iosTargets: ['MultiTargetAppTests'],
+        syncExtensions: true,
+      };
+
+      const result = await updateIOSVersions([pbxprojPath], true, null, options);
+
+      expect(result[0].targets.map((target) => target.name)).toEqual([
+        'MultiTargetAppTests',
+        'MultiTargetApp',
+        'MultiTargetWidget',
+      ]);
+      expect((await readFile(pbxprojPath)).match(/CURRENT_PROJECT_VERSION = 13;/g)).toHaveLength(4);
+    });
+  });
+
+  describe('Build number strategies', () => {
+    test('applies the build strategy to CURRENT_PROJECT_VERSION', async () => {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+
+      const pbxprojPath = path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj');
+      const options = {
+        projectRoot: tempDir,
+        changes: [],
+        buildStrategy: 'date',
+        now: new Date(2025, 2, 7),
+      };
+      await updateIOSVersions([pbxprojPath], true, null, options);
+
+      expect(await readFile(pbxprojPath)).toContain('CURRENT_PROJECT_VERSION = 25030701;');
+    });
+  });
+
+  describe('Build number policy', () => {
+    /**
+     * Copy the basic fixture with CURRENT_PROJECT_VERSION 57
+     * @returns {string} Path to the project.pbxproj file
+     */
+    async function createReleasedProject() {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+      const fs = await import('fs/promises');
+
+      const pbxprojPath = path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj');
+      await fs.writeFile(
+        pbxprojPath,
+        (await readFile(pbxprojPath)).replace(
+          /CURRENT_PROJECT_VERSION = 1;/g,
+          'CURRENT_PROJECT_VERSION = 57;'
+        )
+      );
+      return pbxprojPath;
+    }
+
+    const policy = { buildNumberPolicy: 'reset-on-version-change' };
+
+    test('restarts the build number when the marketing version changes', async () => {
+      const pbxprojPath = await createReleasedProject();
+
+      const result = await updateIOSVersions([pbxprojPath], true, true, {
+        projectRoot: tempDir,
+        changes: [],
+        ...policy,
+      });
+
+      expect(result[0]).toMatchObject({ currentProjectVersion: 1, marketingVersion: '1.0.1' });
+      expect((await readFile(pbxprojPath)).match(/CURRENT_PROJECT_VERSION = 1;/g)).toHaveLength(2);
+    });
+
+    test('restarts at the configured start value', async () => {
+      const pbxprojPath = await createReleasedProject();
+
+      await updateIOSVersions([pbxprojPath], true, '2.0.0', {
+        projectRoot: tempDir,
+        changes: [],
+        buildNumberStart: 100,
+        ...policy,
+      });
+
+      expect(await readFile(pbxprojPath)).toContain('CURRENT_PROJECT_VERSION = 100;');
+    });
+
+    test('increments the build number for build-only bumps and keeps explicit values', async () => {
+      const pbxprojPath = await createReleasedProject();
+      const options = { projectRoot: tempDir, changes: [], ...policy };
+
+      await updateIOSVersions([pbxprojPath], true, null, options);
+      expect(await readFile(pbxprojPath)).toContain('CURRENT_PROJECT_VERSION = 58;');
+
+      await updateIOSVersions([pbxprojPath], 70, true, options);
+      expect(await readFile(pbxprojPath)).toContain('CURRENT_PROJECT_VERSION = 70;');
+    });
+
+    test('rejects unknown policies and invalid start values', async () => {
+      const pbxprojPath = await createReleasedProject();
+
+      await expect(
+        updateIOSVersions([pbxprojPath], true, true, { buildNumberPolicy: 'reset' })
+      ).rejects.toThrow('Invalid ios.buildNumberPolicy: reset');
+      await expect(
+        updateIOSVersions([pbxprojPath], true, true, { ...policy, buildNumberStart: 0 })
+      ).rejects.toThrow('ios.buildNumberStart must be a positive integer');
+    });
+  });
+
+  describe('Prerelease versions', () => {
+    /**
+     * Copy the basic fixture and build options that update its package.json
+     * @param {Object} overrides - Extra options
+     * @returns {Object} pbxprojPath, packageJsonPath and options
+     */
+    async function createPrereleaseProject(overrides = {}) {
+      await createMockProject('basic', tempDir);
+      const path = await import('path');
+
+      const packageJsonPath = path.join(tempDir, 'package.json');
+      return {
+        pbxprojPath: path.join(tempDir, 'ios/TestRNApp.xcodeproj/project.pbxproj'),
+        packageJsonPath,
+        options: { projectRoot: tempDir, changes: [], packageJsonPath, ...overrides },
+      };
+    }
+
+    test('writes the version core to MARKETING_VERSION and the full version to package.json', async () => {
+      const { pbxprojPath, packageJsonPath, options } = await createPrereleaseProject();
+
+      const result = await updateIOSVersions([pbxprojPath], true, '2.0.0-beta.3', options);
+
+      expect(result[0].marketingVersion).toBe('2.0.0');
+      expect((await readFile(pbxprojPath)).match(/MARKETING_VERSION = 2\.0\.0;/g)).toHaveLength(2);
+      expect(JSON.parse(await readFile(packageJsonPath)).version).toBe('2.0.0-beta.3');
+    });
+
+    test('continues the prerelease recorded in package.json', async () => {
+      const { pbxprojPath, packageJsonPath, options } = await createPrereleaseProject({
+        currentPackageVersion: '1.0.0-beta.3',
+        increment: 'prerelease',
+      });
+
+      await updateIOSVersions([pbxprojPath], true, true, options);
+
+      expect(await readFile(pbxprojPath)).toContain('MARKETING_VERSION = 1.0.0;');
+      expect(await readFile(pbxprojPath)).toContain('CURRENT_PROJECT_VERSION = 2;');
+      expect(JSON.parse(await readFile(packageJsonPath)).version).toBe('1.0.0-beta.4');
+    });
+
+    test('encodes the prerelease into CURRENT_PROJECT_VERSION with ios.prereleaseBuildNumbers', async () => {
+      const prereleaseBuildNumbers = { beta: 200, rc: 300, release: 900 };
+      const { pbxprojPath, options } = await createPrereleaseProject({
+        currentPackageVersion: '1.0.0-beta.3',
+        prereleaseBuildNumbers,
+      });
+
+      await updateIOSVersions([pbxprojPath], true, true, { ...options, increment: 'prerelease' });
+      expect(await readFile(pbxprojPath)).toContain('CURRENT_PROJECT_VERSION = 204;');
+
+      await updateIOSVersions([pbxprojPath], true, '1.0.0-rc.1', options);
+      expect(await readFile(pbxprojPath)).toContain('CURRENT_PROJECT_VERSION = 301;');
+
+      await updateIOSVersions([pbxprojPath], true, '1.0.0', options);
+      expect(await readFile(pbxprojPath)).toContain('CURRENT_PROJECT_VERSION = 900;');
+
+      await expect(
+        updateIOSVersions([pbxprojPath], true, '1.1.0-alpha.1', options)
+      ).rejects.toThrow('ios.prereleaseBuildNumbers has no "alpha" entry');
+    });
+  });
+
   describe('Cross-platform compatibility', () => {
     test('handles Windows paths correctly', async () => {
       // Mock Windows environment
@@ -0,0 +1,179 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  parsePbxproj,
+  getString,
+  getStringList,
+  getObjectsByIsa,
+  getNativeTargets,
+  getAllBuildConfigurations,
+  getProjectBuildConfigurations,
+  getEmbeddedTargetIds,
+  getFileReferencePath,
+  formatPbxprojString,
+  updatePbxprojContent,
+} from '../../src/utils/pbxproj.js';
+import { readFile } from '../helpers/mockProject.js';
+
+const SAMPLE_PBXPROJ = `// !$*UTF8*$!
+{
+	objects = {
+/* Begin PBXNativeTarget section */
+		AAA /* App */ = {
+			isa = PBXNativeTarget;
+			buildConfigurationList = LIST /* Build configuration list */;
+			name = App;
+			productType = "com.apple.product-type.application";
+		};
+/* End PBXNativeTarget section */
+		LIST = {isa = XCConfigurationList; buildConfigurations = (DEBUG /* Debug */, RELEASE, ); };
+		DEBUG /* Debug */ = {
+			isa = XCBuildConfiguration;
+			buildSettings = {
+				MARKETING_VERSION = 1.0.0; // inline comment
+				PRODUCT_NAME = "$(TARGET_NAME)";
+				OTHER_SWIFT_FLAGS = "-D \\"DEBUG\\"";
+			};
+			name = Debug;
+		};
+		RELEASE = {isa = XCBuildConfiguration; buildSettings = {MARKETING_VERSION = "1.0.0"; }; name = Release; };
+	};
+}`;
+
+describe('pbxproj Parser', () => {
+  describe('parsePbxproj', () => {
+    test('reads dictionaries, arrays and strings with their source ranges', () => {
+      const root = parsePbxproj(SAMPLE_PBXPROJ);
+      const [release] = getObjectsByIsa(root, 'XCBuildConfiguration').slice(-1);
+      const marketingVersion = release.node.entries
+        .get('buildSettings')
+        .entries.get('MARKETING_VERSION');
+
+      expect(marketingVersion).toMatchObject({ type: 'string', value: '1.0.0', quoted: true });
+      expect(SAMPLE_PBXPROJ.slice(marketingVersion.start, marketingVersion.end)).toBe('"1.0.0"');
+      expect(
+        getStringList(root.entries.get('objects').entries.get('LIST'), 'buildConfigurations')
+      ).toEqual(['DEBUG', 'RELEASE']);
+    });
+
+    test('unescapes quoted strings and skips comments', () => {
+      const root = parsePbxproj(SAMPLE_PBXPROJ);
+      const debug = root.entries.get('objects').entries.get('DEBUG');
+      const buildSettings = debug.entries.get('buildSettings');
+
+      expect(getString(buildSettings, 'OTHER_SWIFT_FLAGS')).toBe('-D "DEBUG"');
+      expect(getString(buildSettings, 'PRODUCT_NAME')).toBe('$(TARGET_NAME)');
+      expect(getString(debug, 'name')).toBe('Debug');
+    });
+
+    test('throws with the line number on invalid content', () => {
+      expect(() => parsePbxproj('{\n  objects = {\n    A = B\n  };\n}')).toThrow(
+        'Invalid project.pbxproj at line 4: expected ";"'
+      );
+      expect(() => parsePbxproj('{\n  name = "unterminated;\n}')).toThrow(
+        'Invalid project.pbxproj at line 2: unterminated string'
+      );
+      expect(() => parsePbxproj('{ } }')).toThrow('unexpected content after the root object');
+    });
+  });
+
+  describe('getNativeTargets', () => {
+    test('maps targets to their build configurations', () => {
+      const [target] = getNativeTargets(parsePbxproj(SAMPLE_PBXPROJ));
+
+      expect(target).toMatchObject({
+        id: 'AAA',
+        name: 'App',
+        productType: 'com.apple.product-type.application',
+      });
+      expect(target.buildConfigurations.map((configuration) => configuration.name)).toEqual([
+        'Debug',
+        'Release',
+      ]);
+    });
+
+    test('reads every target of a multi-target project', async () => {
+      const content = await readFile(
+        'tests/fixtures/multi-target-rn-project/ios/MultiTargetApp.xcodeproj/project.pbxproj'
+      );
+      const root = parsePbxproj(content);
+
+      expect(getNativeTargets(root).map((target) => target.name)).toEqual([
+        'MultiTargetAppTests',
+        'MultiTargetApp',
+        'MultiTargetWidget',
+      ]);
+      expect(getAllBuildConfigurations(root)).toHaveLength(8);
+      expect(getProjectBuildConfigurations(root).map((configuration) => configuration.id)).toEqual([
+        '83CBBA201A601CBA00E9B192',
+        '83CBBA211A601CBA00E9B192',
+      ]);
+    });
+  });
+
+  describe('getEmbeddedTargetIds', () => {
+    test('follows target dependencies and embed build phases', async () => {
+      const content = await readFile(
+        'tests/fixtures/multi-target-rn-project/ios/MultiTargetApp.xcodeproj/project.pbxproj'
+      );
+      const root = parsePbxproj(content);
+      const [tests, app] = getNativeTargets(root);
+
+      expect(getEmbeddedTargetIds(root, app)).toEqual(['2D02E47A1E0B4A5D006451C7']);
+      expect(getEmbeddedTargetIds(root, tests)).toEqual(['13B07F861A680F5B00A75B9A']);
+
+      // The embed phase alone is enough to find the extension
+      const withoutDependency = parsePbxproj(
+        content.replace('2D02E4CC1E0B4AEC006451C7 /* PBXTargetDependency */,', '')
+      );
+      expect(
+        getEmbeddedTargetIds(withoutDependency, getNativeTargets(withoutDependency)[1])
+      ).toEqual(['2D02E47A1E0B4A5D006451C7']);
+    });
+  });
+
+  describe('getFileReferencePath', () => {
+    test('joins the paths of parent groups', async () => {
+      const root = parsePbxproj(
+        await readFile(
+          'tests/fixtures/xcconfig-rn-project/ios/XcconfigApp.xcodeproj/project.pbxproj'
+        )
+      );
+      const [debug] = getNativeTargets(root)[0].buildConfigurations;
+
+      expect(getFileReferencePath(root, debug.baseConfigurationReference)).toBe(
+        'Config/Debug.xcconfig'
+      );
+      // Build products aren't part of the source tree
+      expect(getFileReferencePath(root, '13B07F961A680F5B00A75B9A')).toBeNull();
+    });
+  });
+
+  describe('formatPbxprojString', () => {
+    test('quotes only when Xcode would', () => {
+      expect(formatPbxprojString('1.2.3')).toBe('1.2.3');
+      expect(formatPbxprojString(42)).toBe('42');
+      expect(formatPbxprojString('apple-generic')).toBe('"apple-generic"');
+      expect(formatPbxprojString('')).toBe('""');
+      expect(formatPbxprojString('say "hi"')).toBe('"say \\"hi\\""');
+    });
+  });
+
+  describe('updatePbxprojContent', () => {
+    test('changes only the edited values', () => {
+      const root = parsePbxproj(SAMPLE_PBXPROJ);
+      const edits = getAllBuildConfigurations(root).map((configuration) => ({
+        ...configuration.buildSettings.entries.get('MARKETING_VERSION'),
+        value: '2.0.0',
+      }));
+
+      const updated = updatePbxprojContent(SAMPLE_PBXPROJ, edits);
+
+      expect(updated).toBe(
+        SAMPLE_PBXPROJ.replace('MARKETING_VERSION = 1.0.0;', 'MARKETING_VERSION = 2.0.0;').replace(
+          'MARKETING_VERSION = "1.0.0";',
+          'MARKETING_VERSION = 2.0.0;'
+        )
+      );
+    });
+  });
+});
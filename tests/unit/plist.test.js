@@ -0,0 +1,68 @@
+import { describe, test, expect } from '@jest/globals';
+import { findPlistStrings, updatePlistContent } from '../../src/utils/plist.js';
+
+const SAMPLE_PLIST = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+	<!-- <key>CFBundleVersion</key><string>0</string> -->
+	<key>CFBundleName</key>
+	<string>Tom &amp; Jerry</string>
+	<key>CFBundleShortVersionString</key>
+	<string>2.3.0</string>
+	<key>LSRequiresIPhoneOS</key>
+	<true/>
+	<key>NSExtension</key>
+	<dict>
+		<key>CFBundleVersion</key>
+		<string>nested</string>
+	</dict>
+	<key>CFBundleVersion</key>
+	<string/>
+</dict>
+</plist>`;
+
+describe('Info.plist Parser', () => {
+  describe('findPlistStrings', () => {
+    test('reads top-level string values only', () => {
+      const strings = findPlistStrings(SAMPLE_PLIST);
+
+      expect([...strings.keys()]).toEqual([
+        'CFBundleName',
+        'CFBundleShortVersionString',
+        'CFBundleVersion',
+      ]);
+      expect(strings.get('CFBundleName').value).toBe('Tom & Jerry');
+      expect(strings.get('CFBundleVersion')).toMatchObject({ value: '', selfClosing: true });
+
+      const { start, end } = strings.get('CFBundleShortVersionString');
+      expect(SAMPLE_PLIST.slice(start, end)).toBe('2.3.0');
+    });
+
+    test('throws on binary and malformed property lists', () => {
+      expect(() => findPlistStrings('bplist00')).toThrow('not an XML property list');
+      expect(() => findPlistStrings('<plist><dict><key>A</key></plist>')).toThrow(
+        'unexpected </plist> at line 1'
+      );
+      expect(() => findPlistStrings('<plist>\n<dict>\n<key>A</key>')).toThrow('unclosed <dict>');
+    });
+  });
+
+  describe('updatePlistContent', () => {
+    test('replaces values in place and escapes them', () => {
+      const strings = findPlistStrings(SAMPLE_PLIST);
+
+      const updated = updatePlistContent(SAMPLE_PLIST, [
+        { ...strings.get('CFBundleShortVersionString'), value: '2.4.0' },
+        { ...strings.get('CFBundleVersion'), value: '7' },
+        { ...strings.get('CFBundleName'), value: 'Tom <3 Jerry' },
+      ]);
+
+      expect(updated).toBe(
+        SAMPLE_PLIST.replace('<string>2.3.0</string>', '<string>2.4.0</string>')
+          .replace('<string/>', '<string>7</string>')
+          .replace('Tom &amp; Jerry', 'Tom &lt;3 Jerry')
+      );
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseProperties,
+  getPropertyValue,
+  updatePropertiesContent,
+} from '../../src/utils/properties.js';
+
+const SAMPLE_PROPERTIES = `# Release settings
+VERSION_CODE=120
+VERSION_NAME = 2.4.0
+
+! Legacy comment style
+org.gradle.jvmargs=-Xmx2048m
+android.useAndroidX: true
+`;
+
+describe('Properties Utilities', () => {
+  describe('parseProperties', () => {
+    test('parses entries with different separators', () => {
+      const entries = parseProperties(SAMPLE_PROPERTIES);
+
+      expect(entries.map((entry) => [entry.key, entry.value])).toEqual([
+        ['VERSION_CODE', '120'],
+        ['VERSION_NAME', '2.4.0'],
+        ['org.gradle.jvmargs', '-Xmx2048m'],
+        ['android.useAndroidX', 'true'],
+      ]);
+    });
+
+    test('skips comments and blank lines', () => {
+      const entries = parseProperties('# VERSION_CODE=1\n\n! VERSION_NAME=1.0\n');
+      expect(entries).toHaveLength(0);
+    });
+
+    test('records value offsets', () => {
+      const [entry] = parseProperties('VERSION_CODE = 42\n');
+      expect('VERSION_CODE = 42\n'.slice(entry.start, entry.end)).toBe('42');
+    });
+  });
+
+  describe('getPropertyValue', () => {
+    test('returns the value for a key', () => {
+      expect(getPropertyValue(SAMPLE_PROPERTIES, 'VERSION_CODE')).toBe('120');
+    });
+
+    test('returns undefined for missing keys', () => {
+      expect(getPropertyValue(SAMPLE_PROPERTIES, 'MISSING')).toBeUndefined();
+    });
+
+    test('uses the last definition of a repeated key', () => {
+      expect(getPropertyValue('VERSION_CODE=1\nVERSION_CODE=2\n', 'VERSION_CODE')).toBe('2');
+    });
+  });
+
+  describe('updatePropertiesContent', () => {
+    test('updates values without touching comments or order', () => {
+      const result = updatePropertiesContent(SAMPLE_PROPERTIES, {
+        VERSION_CODE: 121,
+        VERSION_NAME: '2.4.1',
+      });
+
+      expect(result).toBe(
+        SAMPLE_PROPERTIES.replace('VERSION_CODE=120', 'VERSION_CODE=121').replace(
+          'VERSION_NAME = 2.4.0',
+          'VERSION_NAME = 2.4.1'
+        )
+      );
+    });
+
+    test('preserves Windows line endings', () => {
+      const result = updatePropertiesContent('VERSION_CODE=1\r\nVERSION_NAME=1.0.0\r\n', {
+        VERSION_CODE: 2,
+      });
+
+      expect(result).toBe('VERSION_CODE=2\r\nVERSION_NAME=1.0.0\r\n');
+    });
+
+    test('ignores keys that are not defined', () => {
+      const result = updatePropertiesContent(SAMPLE_PROPERTIES, { MISSING: 'value' });
+      expect(result).toBe(SAMPLE_PROPERTIES);
+    });
+  });
+});
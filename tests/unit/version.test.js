@@ -3,7 +3,15 @@ import {
   parseSemanticVersion,
   incrementSemanticVersion,
   calculateNewSemanticVersion,
+  compareSemanticVersions,
+  formatSemanticVersion,
+  getCoreVersion,
   calculateNewBuildNumber,
+  encodeSemanticVersion,
+  parseDottedBuildNumber,
+  incrementDottedBuildNumber,
+  compareBuildNumbers,
+  getIncrementChoices,
 } from '../../src/utils/version.js';
 
 describe('Version Utilities', () => {
@@ -12,9 +20,12 @@ describe('Version Utilities', () => {
       const result = parseSemanticVersion('1.2.3');
 
       expect(result).toEqual({
+        components: [1, 2, 3],
         major: 1,
         minor: 2,
         patch: 3,
+        prerelease: [],
+        build: [],
       });
     });
 
@@ -22,9 +33,12 @@ describe('Version Utilities', () => {
       const result = parseSemanticVersion('0.0.0');
 
       expect(result).toEqual({
+        components: [0, 0, 0],
         major: 0,
         minor: 0,
         patch: 0,
+        prerelease: [],
+        build: [],
       });
     });
 
@@ -32,21 +46,247 @@ describe('Version Utilities', () => {
       const result = parseSemanticVersion('999.888.777');
 
       expect(result).toEqual({
+        components: [999, 888, 777],
         major: 999,
         minor: 888,
         patch: 777,
+        prerelease: [],
+        build: [],
       });
     });
 
     test('throws error for invalid version format', () => {
-      expect(() => parseSemanticVersion('1.2')).toThrow('Invalid version format: 1.2');
-      expect(() => parseSemanticVersion('1.2.3.4')).toThrow('Invalid version format: 1.2.3.4');
+      expect(() => parseSemanticVersion('1')).toThrow('Invalid version format: 1');
+      expect(() => parseSemanticVersion('1..2')).toThrow('Invalid version format: 1..2');
+      expect(() => parseSemanticVersion('1.2.')).toThrow('Invalid version format: 1.2.');
+      expect(() => parseSemanticVersion('.1.2')).toThrow('Invalid version format: .1.2');
       expect(() => parseSemanticVersion('1.2.a')).toThrow('Invalid version format: 1.2.a');
       expect(() => parseSemanticVersion('a.b.c')).toThrow('Invalid version format: a.b.c');
       expect(() => parseSemanticVersion('')).toThrow('Invalid version format: ');
-      expect(() => parseSemanticVersion('1.2.3-alpha')).toThrow(
-        'Invalid version format: 1.2.3-alpha'
+      expect(() => parseSemanticVersion('1.2.3-')).toThrow('Invalid version format: 1.2.3-');
+      expect(() => parseSemanticVersion('1.2.3-beta.01')).toThrow(
+        'Invalid version format: 1.2.3-beta.01'
       );
+      expect(() => parseSemanticVersion('1.2.3+')).toThrow('Invalid version format: 1.2.3+');
+      expect(() => parseSemanticVersion('1.2.3-beta..1')).toThrow(
+        'Invalid version format: 1.2.3-beta..1'
+      );
+    });
+
+    test('parses prerelease and build metadata', () => {
+      expect(parseSemanticVersion('2.0.0-beta.3+sha.5114f85')).toEqual({
+        components: [2, 0, 0],
+        major: 2,
+        minor: 0,
+        patch: 0,
+        prerelease: ['beta', 3],
+        build: ['sha', '5114f85'],
+      });
+      expect(formatSemanticVersion(parseSemanticVersion('2.0.0-rc-1+001'))).toBe('2.0.0-rc-1+001');
+    });
+  });
+
+  describe('CalVer scheme', () => {
+    const calver = (calverFormat, now) => ({ scheme: 'calver', calverFormat, now });
+
+    test('uses the next CalVer release whatever the increment type', () => {
+      const context = calver('YYYY.MM.MICRO', new Date(2026, 9, 19));
+
+      expect(incrementSemanticVersion('2026.10.2', 'calver', context)).toBe('2026.10.3');
+      expect(incrementSemanticVersion('2026.10.2', 'patch', context)).toBe('2026.10.3');
+      expect(calculateNewSemanticVersion(true, '2026.9.4', 'minor', context)).toBe('2026.10.0');
+    });
+
+    test('rejects prerelease increments and unknown schemes', () => {
+      expect(() =>
+        incrementSemanticVersion('2026.10.2', 'prerelease', calver('YYYY.MM.MICRO'))
+      ).toThrow("The prerelease increment isn't supported by the calver scheme");
+      expect(() => incrementSemanticVersion('1.2.3', 'patch', { scheme: 'romver' })).toThrow(
+        'Invalid versioning scheme: romver (expected one of: semver, calver)'
+      );
+    });
+
+    test('keeps zero-padded parts in the version core', () => {
+      expect(getCoreVersion('26.09.1-beta.0')).toBe('26.09.1');
+    });
+  });
+
+  describe('Custom versioning modules', () => {
+    // Even minors are stable releases, odd minors internal builds
+    const evenOdd = {
+      incrementTypes: ['stable', 'internal'],
+      parse: (version) => version.split('.').map(Number),
+      format: (parts) => parts.join('.'),
+      increment: (type, [major, minor]) => {
+        const parity = type === 'stable' ? 0 : 1;
+        return [major, minor + 1 + ((minor + 1 + parity) % 2), 0];
+      },
+    };
+
+    test('delegates version increments to the module', () => {
+      const context = { versioning: evenOdd };
+
+      expect(calculateNewSemanticVersion(true, '1.2.3', 'stable', context)).toBe('1.4.0');
+      expect(calculateNewSemanticVersion(true, '1.2.3', 'internal', context)).toBe('1.3.0');
+      expect(calculateNewSemanticVersion('5.0.0', '1.2.3', 'stable', context)).toBe('5.0.0');
+    });
+
+    test('takes the increment choices from the module', () => {
+      expect(getIncrementChoices('1.2.3', { versioning: evenOdd })).toEqual([
+        { type: 'stable', name: 'Stable' },
+        { type: 'internal', name: 'Internal' },
+      ]);
+    });
+
+    test('delegates build numbers to incrementBuildNumber and falls back to the strategy', () => {
+      const byTens = { ...evenOdd, incrementBuildNumber: (current) => parseInt(current) + 10 };
+
+      expect(calculateNewBuildNumber(true, 5, { versioning: byTens })).toBe(15);
+      expect(calculateNewBuildNumber(true, 5, { versioning: evenOdd })).toBe(6);
+      expect(() =>
+        calculateNewBuildNumber(true, 5, {
+          versioning: { ...evenOdd, incrementBuildNumber: () => 'next' },
+        })
+      ).toThrow('Invalid build number from the versioning module: next');
+    });
+  });
+
+  describe('getIncrementChoices', () => {
+    const types = (version, context) =>
+      getIncrementChoices(version, context).map((choice) => choice.type);
+
+    test('offers release only for prereleases and build only for four-part versions', () => {
+      expect(types('1.2.3')).toEqual([
+        'patch',
+        'minor',
+        'major',
+        'prerelease',
+        'prepatch',
+        'preminor',
+        'premajor',
+      ]);
+      expect(types('1.2.3-beta.1')[0]).toBe('release');
+      expect(types('1.2.3.4')).toContain('build');
+    });
+
+    test('offers the next CalVer release for the calver scheme', () => {
+      expect(types('2026.10.2', { scheme: 'calver' })).toEqual(['calver']);
+    });
+  });
+
+  describe('Versions with two or four components', () => {
+    test('parses and formats versions keeping their width', () => {
+      expect(parseSemanticVersion('5.2')).toMatchObject({
+        components: [5, 2],
+        major: 5,
+        minor: 2,
+        patch: 0,
+      });
+      expect(formatSemanticVersion(parseSemanticVersion('1.4.2.7-rc.1'))).toBe('1.4.2.7-rc.1');
+    });
+
+    test.each([
+      ['5.2', 'minor', '5.3'],
+      ['5.2', 'major', '6.0'],
+      ['5.2', 'patch', '5.3'],
+      ['5.2', 'prepatch', '5.3-0'],
+      ['5.2', '3rd', '5.2.1'],
+      ['1.4.2.7', '4th', '1.4.2.8'],
+      ['1.4.2.7', 'build', '1.4.2.8'],
+      ['1.4.2.7', 'patch', '1.4.3.0'],
+      ['1.4.2.7', 'minor', '1.5.0.0'],
+      ['1.4.2.7', '1st', '2.0.0.0'],
+      ['1.4.2', '4th', '1.4.2.1'],
+      ['1.4.2.7', 'prerelease', '1.4.2.8-0'],
+      ['1.4.2.0-beta.2', 'build', '1.4.2.0'],
+    ])('%s with %s becomes %s', (version, type, expected) => {
+      expect(incrementSemanticVersion(version, type)).toBe(expected);
+    });
+
+    test('rejects malformed ordinals', () => {
+      expect(() => incrementSemanticVersion('1.4.2.7', '4st')).toThrow(
+        'Invalid increment type: 4st'
+      );
+      expect(() => incrementSemanticVersion('1.4.2.7', '0th')).toThrow(
+        'Invalid increment type: 0th'
+      );
+    });
+
+    test('rejects ordinals more than one component past the end', () => {
+      expect(() => incrementSemanticVersion('1.4.2', '21st')).toThrow(
+        'Invalid increment type: 21st'
+      );
+      expect(() => incrementSemanticVersion('5.2', '1000000th')).toThrow(
+        'Invalid increment type: 1000000th'
+      );
+      expect(() => incrementSemanticVersion('5.2', 'build')).toThrow(
+        'Invalid increment type: build'
+      );
+    });
+
+    test('compares versions of different widths', () => {
+      expect(compareSemanticVersions('5.2', '5.2.0')).toBe(0);
+      expect(compareSemanticVersions('1.4.2.7', '1.4.2')).toBeGreaterThan(0);
+      expect(compareSemanticVersions('5.10', '5.9.9')).toBeGreaterThan(0);
+    });
+
+    test('refuses to encode four-part versions as build numbers', () => {
+      expect(() => encodeSemanticVersion('1.4.2.7', 0)).toThrow(
+        'Cannot encode 1.4.2.7: only major.minor.patch versions can be encoded'
+      );
+    });
+  });
+
+  describe('Prerelease versions', () => {
+    test.each([
+      ['2.0.0-rc.2', 'release', undefined, '2.0.0'],
+      ['1.2.3', 'prerelease', undefined, '1.2.4-0'],
+      ['1.2.3', 'prerelease', 'beta', '1.2.4-beta.0'],
+      ['2.0.0-beta.3', 'prerelease', undefined, '2.0.0-beta.4'],
+      ['2.0.0-beta.3', 'prerelease', 'beta', '2.0.0-beta.4'],
+      ['2.0.0-beta.3', 'prerelease', 'rc', '2.0.0-rc.0'],
+      ['2.0.0-beta', 'prerelease', undefined, '2.0.0-beta.0'],
+      ['1.2.3', 'prepatch', 'alpha', '1.2.4-alpha.0'],
+      ['1.2.3', 'preminor', 'beta', '1.3.0-beta.0'],
+      ['1.2.3-beta.1', 'premajor', undefined, '2.0.0-0'],
+      ['2.0.0-rc.1', 'major', undefined, '2.0.0'],
+      ['1.3.0-beta.1', 'minor', undefined, '1.3.0'],
+      ['1.2.4-beta.1', 'patch', undefined, '1.2.4'],
+      ['1.2.4-beta.1', 'minor', undefined, '1.3.0'],
+      ['1.2.3+build.7', 'patch', undefined, '1.2.4'],
+    ])('%s with %s (preid %s) becomes %s', (version, type, preid, expected) => {
+      expect(incrementSemanticVersion(version, type, { preid })).toBe(expected);
+    });
+
+    test('rejects releasing a stable version and invalid prerelease identifiers', () => {
+      expect(() => incrementSemanticVersion('1.2.3', 'release')).toThrow(
+        'Cannot release 1.2.3: it is not a prerelease version'
+      );
+      expect(() => incrementSemanticVersion('1.2.3', 'prerelease', { preid: 'beta.1' })).toThrow(
+        'Invalid prerelease identifier: beta.1'
+      );
+    });
+
+    test('passes the prerelease identifier through calculateNewSemanticVersion', () => {
+      expect(calculateNewSemanticVersion(true, '1.2.3', 'preminor', { preid: 'rc' })).toBe(
+        '1.3.0-rc.0'
+      );
+    });
+
+    test('orders versions by SemVer precedence', () => {
+      const versions = [
+        '1.0.0',
+        '1.0.0-rc.1',
+        '1.0.0-beta.11',
+        '1.0.0-beta.2',
+        '1.0.0-beta',
+        '1.0.0-alpha.beta',
+        '1.0.0-alpha.1',
+        '1.0.0-alpha',
+      ];
+
+      expect([...versions].sort(compareSemanticVersions)).toEqual([...versions].reverse());
+      expect(compareSemanticVersions('1.0.0+build.1', '1.0.0+build.2')).toBe(0);
     });
   });
 
@@ -90,7 +330,15 @@ describe('Version Utilities', () => {
     });
 
     test('throws error for invalid version format', () => {
-      expect(() => incrementSemanticVersion('1.2', 'patch')).toThrow('Invalid version format: 1.2');
+      expect(() => incrementSemanticVersion('1', 'patch')).toThrow('Invalid version format: 1');
+    });
+  });
+
+  describe('compareSemanticVersions', () => {
+    test('orders versions by major, minor and patch', () => {
+      expect(compareSemanticVersions('1.10.0', '1.9.9')).toBeGreaterThan(0);
+      expect(compareSemanticVersions('1.2.3', '2.0.0')).toBeLessThan(0);
+      expect(compareSemanticVersions('1.2.3', '1.2.3')).toBe(0);
     });
   });
 
@@ -214,22 +462,177 @@ describe('Version Utilities', () => {
     });
   });
 
+  describe('Dotted build numbers', () => {
+    test('parses up to three period-separated integers', () => {
+      expect(parseDottedBuildNumber('4.2.17')).toEqual([4, 2, 17]);
+      expect(parseDottedBuildNumber(12)).toEqual([12]);
+    });
+
+    test.each(['4.2.17.1', '4..2', '4.2-beta', '.4', ''])('rejects %p', (value) => {
+      expect(() => parseDottedBuildNumber(value)).toThrow('Invalid build number');
+    });
+
+    test('increments the last component by default', () => {
+      expect(incrementDottedBuildNumber('4.2.17')).toBe('4.2.18');
+      expect(incrementDottedBuildNumber('4.2.17', 2)).toBe('4.3.0');
+      expect(incrementDottedBuildNumber('7', 3)).toBe('7.0.1');
+      expect(() => incrementDottedBuildNumber('4.2.17', 4)).toThrow(
+        'Invalid build number component: 4'
+      );
+    });
+
+    test('compares component by component', () => {
+      expect(compareBuildNumbers('4.10.0', '4.9.9')).toBeGreaterThan(0);
+      expect(compareBuildNumbers('4.2', '4.2.0')).toBe(0);
+      expect(compareBuildNumbers('12', '4.2.17')).toBeGreaterThan(0);
+    });
+
+    test('calculateNewBuildNumber keeps dotted build numbers when allowed', () => {
+      expect(calculateNewBuildNumber(true, '4.2.17', { dotted: true })).toBe('4.2.18');
+      expect(calculateNewBuildNumber(true, '17', { dotted: true })).toBe(18);
+      expect(calculateNewBuildNumber('5.0.0', '4.2.17', { dotted: true })).toBe('5.0.0');
+      expect(() => calculateNewBuildNumber('5.0.0.1', '4.2.17', { dotted: true })).toThrow(
+        'Invalid build number: 5.0.0.1'
+      );
+      expect(calculateNewBuildNumber('5.0.0', '4', {})).toBe(5);
+    });
+  });
+
+  describe('encodeSemanticVersion', () => {
+    test('encodes major*10000 + minor*100 + patch by default', () => {
+      expect(encodeSemanticVersion('2.5.0', '20409')).toBe(20500);
+      expect(encodeSemanticVersion('10.0.12', '1')).toBe(100012);
+    });
+
+    test('supports custom digit widths', () => {
+      expect(encodeSemanticVersion('1.12.345', '0', { minor: 3, patch: 3 })).toBe(1012345);
+    });
+
+    test('continues the build digit for the same version', () => {
+      expect(encodeSemanticVersion('2.5.0', '205000', { build: 1 })).toBe(205001);
+      expect(encodeSemanticVersion('2.5.0', '205003', { build: 1 })).toBe(205004);
+    });
+
+    test('resets the build digit when the version changes', () => {
+      expect(encodeSemanticVersion('2.5.1', '205004', { build: 1 })).toBe(205010);
+    });
+
+    test('throws when a component does not fit its width', () => {
+      expect(() => encodeSemanticVersion('2.100.0', '0')).toThrow(
+        'Cannot encode 2.100.0: minor 100 does not fit in 2 digit(s)'
+      );
+      expect(() => encodeSemanticVersion('2.5.0', '205009', { build: 1 })).toThrow(
+        'Cannot encode 2.5.0: build 10 does not fit in 1 digit(s)'
+      );
+    });
+
+    test('throws without a version', () => {
+      expect(() => encodeSemanticVersion(undefined, '1')).toThrow('needs a version to encode');
+    });
+
+    test('sorts releases above their prereleases with prerelease digits', () => {
+      const digits = { prerelease: 2 };
+
+      expect(encodeSemanticVersion('2.0.0-beta.1', '10299', digits)).toBe(2000001);
+      expect(encodeSemanticVersion('2.0.0-beta.2', '2000001', digits)).toBe(2000002);
+      expect(encodeSemanticVersion('2.0.0', '2000002', digits)).toBe(2000099);
+    });
+
+    test('rejects prereleases that would not raise the build number', () => {
+      expect(() => encodeSemanticVersion('2.0.0-beta.1', '20000')).toThrow(
+        'prereleases need versionCodeDigits.prerelease digits'
+      );
+      expect(() => encodeSemanticVersion('2.0.0-rc.1', '2000005', { prerelease: 2 })).toThrow(
+        'Cannot encode 2.0.0-rc.1: versionCode 2000001 would not be higher than 2000005'
+      );
+      expect(() => encodeSemanticVersion('2.0.0-beta.99', '0', { prerelease: 2 })).toThrow(
+        'prerelease 99 does not fit in 2 digit(s)'
+      );
+    });
+
+    test("throws when the major version exceeds Google Play's limit", () => {
+      expect(() => encodeSemanticVersion('210001.0.0', '0')).toThrow(
+        "versionCode 2100010000 exceeds Google Play's limit"
+      );
+    });
+  });
+
+  describe('calculateNewBuildNumber strategies', () => {
+    test('derives the build number from the version with semver-encoded', () => {
+      const context = { strategy: 'semver-encoded', version: '2.5.0' };
+
+      expect(calculateNewBuildNumber(true, '20409', context)).toBe(20500);
+    });
+
+    const now = new Date(2025, 2, 7, 14, 30);
+
+    test('starts a date build number for a new day', () => {
+      expect(calculateNewBuildNumber(true, '25030603', { strategy: 'date', now })).toBe(25030701);
+      expect(calculateNewBuildNumber(true, '42', { strategy: 'date', now })).toBe(25030701);
+    });
+
+    test('rolls the daily counter when the date prefix matches', () => {
+      expect(calculateNewBuildNumber(true, '25030701', { strategy: 'date', now })).toBe(25030702);
+    });
+
+    test('throws when the daily counter is exhausted', () => {
+      expect(() => calculateNewBuildNumber(true, '25030799', { strategy: 'date', now })).toThrow(
+        'no builds left for today'
+      );
+    });
+
+    test('uses seconds since the epoch with timestamp', () => {
+      const timestamp = Math.floor(now.getTime() / 1000);
+
+      expect(calculateNewBuildNumber(true, '42', { strategy: 'timestamp', now })).toBe(timestamp);
+      expect(
+        calculateNewBuildNumber(true, String(timestamp + 5), { strategy: 'timestamp', now })
+      ).toBe(timestamp + 6);
+    });
+
+    test('throws for unknown strategies', () => {
+      expect(() => calculateNewBuildNumber(true, '1', { strategy: 'weekly' })).toThrow(
+        'Invalid build number strategy: weekly'
+      );
+    });
+
+    test('refuses a date build number lower than the current one', () => {
+      const timestamp = String(Math.floor(now.getTime() / 1000));
+
+      expect(() => calculateNewBuildNumber(true, timestamp, { strategy: 'date', now })).toThrow(
+        `Date build number 25030701 would not be higher than the current ${timestamp}`
+      );
+    });
+
+    test('prefers an explicit value over the strategy', () => {
+      const context = { strategy: 'semver-encoded', version: '2.5.0' };
+
+      expect(calculateNewBuildNumber('7', '20409', context)).toBe(7);
+    });
+  });
+
   describe('Edge cases and error handling', () => {
     test('handles very large version numbers', () => {
       const result = parseSemanticVersion('999999999.999999999.999999999');
       expect(result).toEqual({
+        components: [999999999, 999999999, 999999999],
         major: 999999999,
         minor: 999999999,
         patch: 999999999,
+        prerelease: [],
+        build: [],
       });
     });
 
     test('handles version strings with leading zeros', () => {
       const result = parseSemanticVersion('01.02.03');
       expect(result).toEqual({
+        components: [1, 2, 3],
         major: 1,
         minor: 2,
         patch: 3,
+        prerelease: [],
+        build: [],
       });
     });
 
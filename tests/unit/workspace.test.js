@@ -0,0 +1,60 @@
+import { describe, test, expect } from '@jest/globals';
+import path from 'path';
+import { parseWorkspaceProjects, parsePodfileProjects } from '../../src/utils/workspace.js';
+
+const IOS_DIR = path.resolve('/app/ios');
+
+const SAMPLE_WORKSPACE = `<?xml version="1.0" encoding="UTF-8"?>
+<Workspace
+   version = "1.0">
+   <FileRef
+      location = "group:MyApp.xcodeproj">
+   </FileRef>
+   <Group
+      location = "container:Modules"
+      name = "Modules">
+      <FileRef
+         location = "group:Widgets/Widgets.xcodeproj">
+      </FileRef>
+   </Group>
+   <FileRef
+      location = "group:Pods/Pods.xcodeproj">
+   </FileRef>
+   <FileRef
+      location = "self:">
+   </FileRef>
+   <FileRef
+      location = "group:README.md">
+   </FileRef>
+</Workspace>
+`;
+
+describe('Workspace Parser', () => {
+  describe('parseWorkspaceProjects', () => {
+    test('resolves group and container locations of Xcode projects', () => {
+      expect(parseWorkspaceProjects(SAMPLE_WORKSPACE, IOS_DIR)).toEqual([
+        path.join(IOS_DIR, 'MyApp.xcodeproj'),
+        path.join(IOS_DIR, 'Modules/Widgets/Widgets.xcodeproj'),
+        path.join(IOS_DIR, 'Pods/Pods.xcodeproj'),
+      ]);
+    });
+  });
+
+  describe('parsePodfileProjects', () => {
+    test('reads project directives and adds the missing extension', () => {
+      const podfile = [
+        "require_relative '../node_modules/react-native/scripts/react_native_pods'",
+        "# project 'Old.xcodeproj'",
+        "project 'App/MyApp'",
+        "target 'MyApp' do",
+        '  project "MyApp.xcodeproj"',
+        'end',
+      ].join('\n');
+
+      expect(parsePodfileProjects(podfile, IOS_DIR)).toEqual([
+        path.join(IOS_DIR, 'App/MyApp.xcodeproj'),
+        path.join(IOS_DIR, 'MyApp.xcodeproj'),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  parseXcconfig,
+  findXcconfigSetting,
+  updateXcconfigContent,
+} from '../../src/utils/xcconfig.js';
+import { createTempDir, readFile, writeFile } from '../helpers/mockProject.js';
+
+const SAMPLE_XCCONFIG = `// Shared settings
+#include "Base.xcconfig"
+#include? "Local.xcconfig"
+
+MARKETING_VERSION = 1.4.0 // bumped by vbump
+CURRENT_PROJECT_VERSION=27;
+CURRENT_PROJECT_VERSION[sdk=iphonesimulator*] = 1
+`;
+
+describe('xcconfig Parser', () => {
+  let tempDir, cleanup;
+
+  beforeEach(async () => {
+    const temp = await createTempDir();
+    tempDir = temp.path;
+    cleanup = temp.cleanup;
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  /**
+   * Write xcconfig files into the temp directory
+   * @param {Object} files - Content by relative path
+   */
+  async function writeXcconfigs(files) {
+    const path = await import('path');
+
+    for (const [file, content] of Object.entries(files)) {
+      await writeFile(path.join(tempDir, file), content);
+    }
+  }
+
+  describe('parseXcconfig', () => {
+    test('reads assignments and includes', () => {
+      const { settings, includes } = parseXcconfig(SAMPLE_XCCONFIG);
+
+      expect(includes).toEqual([
+        { path: 'Base.xcconfig', optional: false, line: 2 },
+        { path: 'Local.xcconfig', optional: true, line: 3 },
+      ]);
+      expect(settings.map((setting) => [setting.key, setting.conditions, setting.value])).toEqual([
+        ['MARKETING_VERSION', '', '1.4.0'],
+        ['CURRENT_PROJECT_VERSION', '', '27'],
+        ['CURRENT_PROJECT_VERSION', '[sdk=iphonesimulator*]', '1'],
+      ]);
+
+      const { start, end } = settings[1];
+      expect(SAMPLE_XCCONFIG.slice(start, end)).toBe('27');
+    });
+  });
+
+  describe('findXcconfigSetting', () => {
+    test('follows #include chains and lets later assignments win', async () => {
+      const path = await import('path');
+      await writeXcconfigs({
+        'Config/Release.xcconfig': '#include "Shared/Version.xcconfig"\nMARKETING_VERSION = 2.0.0',
+        'Config/Shared/Version.xcconfig': 'MARKETING_VERSION = 1.0.0\nCURRENT_PROJECT_VERSION = 5',
+      });
+
+      const releasePath = path.join(tempDir, 'Config/Release.xcconfig');
+
+      expect(findXcconfigSetting(releasePath, 'CURRENT_PROJECT_VERSION')).toMatchObject({
+        filePath: path.join(tempDir, 'Config/Shared/Version.xcconfig'),
+        value: '5',
+      });
+      expect(findXcconfigSetting(releasePath, 'MARKETING_VERSION')).toMatchObject({
+        filePath: releasePath,
+        value: '2.0.0',
+      });
+      expect(findXcconfigSetting(releasePath, 'PRODUCT_NAME')).toBeNull();
+    });
+
+    test('skips missing optional includes and stops include cycles', async () => {
+      const path = await import('path');
+      await writeXcconfigs({
+        'A.xcconfig': '#include? "Missing.xcconfig"\n#include "B.xcconfig"',
+        'B.xcconfig': '#include "A.xcconfig"\nCURRENT_PROJECT_VERSION = 3',
+      });
+
+      expect(
+        findXcconfigSetting(path.join(tempDir, 'A.xcconfig'), 'CURRENT_PROJECT_VERSION').value
+      ).toBe('3');
+    });
+
+    test('throws on a missing required include', async () => {
+      const path = await import('path');
+      await writeXcconfigs({ 'A.xcconfig': '#include "Missing.xcconfig"' });
+
+      expect(() =>
+        findXcconfigSetting(path.join(tempDir, 'A.xcconfig'), 'MARKETING_VERSION')
+      ).toThrow('Could not find Missing.xcconfig included from');
+    });
+  });
+
+  describe('updateXcconfigContent', () => {
+    test('replaces values and keeps comments and formatting', async () => {
+      const path = await import('path');
+      await writeXcconfigs({ 'Version.xcconfig': SAMPLE_XCCONFIG, 'Base.xcconfig': '' });
+
+      const filePath = path.join(tempDir, 'Version.xcconfig');
+      const content = await readFile(filePath);
+      const edits = [
+        { ...findXcconfigSetting(filePath, 'MARKETING_VERSION'), value: '1.5.0' },
+        { ...findXcconfigSetting(filePath, 'CURRENT_PROJECT_VERSION'), value: 28 },
+      ];
+
+      expect(updateXcconfigContent(content, edits)).toBe(
+        SAMPLE_XCCONFIG.replace('1.4.0 //', '1.5.0 //').replace('=27;', '=28;')
+      );
+    });
+  });
+});